@@ -0,0 +1,101 @@
+/**
+ * GraphQL over HTTP: POST a JSON body {query, variables, operationName}, or GET with the same as
+ * query parameters (variables as JSON). Parse, validation and variable errors answer 400, as do queries nested
+ * too deep or estimated to return too many objects (see limits.js); errors while resolving are listed in `errors`
+ * next to the partial `data`, with typed errors (utils/errors) keeping their message.
+ */
+
+const { parse, validate, execute, specifiedRules, GraphQLError } = require('graphql');
+const { createSchema } = require('./schema');
+const { createLoaders } = require('./loaders');
+const { MAX_DEPTH, MAX_COST, depthLimit, costLimit } = require('./limits');
+const { ValidationError, statusOf } = require('../utils/errors');
+
+/**
+ * Serialize a resolver error; unexpected errors are logged and masked like API 500s
+ * @param {GraphQLError} error - Error located in the query
+ * @returns {Object} {message, locations, path, extensions}
+ */
+function formatError(error) {
+    const original = error.originalError;
+    if (!original || original instanceof GraphQLError) return error.toJSON();
+
+    const status = statusOf(original);
+    const { locations, path } = error;
+    if (status === 500) {
+        console.error('GraphQL error:', original);
+        return { message: 'Internal server error', locations, path };
+    }
+    return { message: original.message, locations, path, extensions: { status, ...original.details } };
+}
+
+/**
+ * Read the operation from the request body (POST) or query string (GET)
+ * @returns {Object} {query, variables, operationName}
+ */
+function readOperation(req) {
+    const source = req.method === 'GET' ? req.query : (req.body || {});
+    let variables = source.variables || {};
+
+    if (typeof variables === 'string') {
+        try {
+            variables = JSON.parse(variables);
+        } catch (err) {
+            throw new ValidationError('Invalid variables', { hint: 'Pass variables as a JSON object' });
+        }
+    }
+    if (typeof source.query !== 'string' || source.query.trim() === '') {
+        throw new ValidationError('Missing query', { hint: 'POST {"query": "..."} as JSON, or GET /graphql?query=...' });
+    }
+    return { query: source.query, variables, operationName: source.operationName || null };
+}
+
+/**
+ * Create the /graphql request handler
+ * @param {Function} repositoriesOf - Returns the repositories of the request's dataset (see repository/index.js)
+ * @param {Object} quota - Export quota of sgRNA rows: {exportAllowance(req, res), countExport(req, rows)}
+ *   as in utils/apiAccess.js; without it rows are not counted
+ * @returns {Function} Async (req, res) handler
+ */
+function createGraphQLHandler(repositoriesOf, quota = {}) {
+    const { exportAllowance = async () => Infinity, countExport = () => {} } = quota;
+    const schema = createSchema();
+
+    return async (req, res) => {
+        const { query, variables, operationName } = readOperation(req);
+        const repositories = repositoriesOf(req);
+
+        let document;
+        try {
+            document = parse(query);
+        } catch (err) {
+            return res.status(400).json({ errors: [err.toJSON()] });
+        }
+
+        const rules = [...specifiedRules, depthLimit(MAX_DEPTH), costLimit(MAX_COST, variables)];
+        const validationErrors = validate(schema, document, rules);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({ errors: validationErrors.map(error => error.toJSON()) });
+        }
+
+        const result = await execute({
+            schema,
+            document,
+            variableValues: variables,
+            operationName,
+            contextValue: {
+                repositories,
+                loaders: createLoaders(repositories),
+                exports: { allowance: () => exportAllowance(req, res), count: rows => countExport(req, rows) }
+            }
+        });
+
+        // Without data the request itself failed (e.g. missing or invalid variables)
+        if (!('data' in result)) return res.status(400).json({ errors: result.errors.map(formatError) });
+        res.json(result.errors ? { errors: result.errors.map(formatError), data: result.data } : { data: result.data });
+    };
+}
+
+module.exports = {
+    createGraphQLHandler
+};
@@ -0,0 +1,144 @@
+/**
+ * Query depth and cost limits as validation rules, so oversized queries answer 400 before anything is resolved.
+ * The schema is cyclic (a gene's experiments have the gene, a cell line's experiments have the cell line), so
+ * without limits one request could nest connections of up to 1000 nodes each and fan out multiplicatively.
+ *
+ * - depth: fields nested below the operation, counting a connection's `nodes` as one level
+ * - cost: estimated number of objects returned; a connection returns `first` nodes (or its default) per parent,
+ *   a plain list such as cellLines LIST_SIZE_ESTIMATE, and any other object field one per parent
+ * Introspection fields (__schema, __type, ...) are not counted.
+ */
+
+const { GraphQLError, GraphQLInt, Kind, getNamedType, getNullableType, isListType, isObjectType, valueFromAST } = require('graphql');
+
+const MAX_DEPTH = 8;
+const MAX_COST = 25000;
+
+// Objects assumed per plain list field, which has no first argument
+const LIST_SIZE_ESTIMATE = 100;
+
+/**
+ * Fields of a selection set with their parent type, through inline fragments and fragment spreads
+ * @param {Set} spreads - Fragments already spread on the path here; a spread cycle is not followed again
+ * @returns {Array} [{node, parentType, spreads}]
+ * @private
+ */
+function collectFields(context, parentType, selectionSet, spreads) {
+    const fields = [];
+    selectionSet.selections.forEach(selection => {
+        if (selection.kind === Kind.FIELD) {
+            if (!selection.name.value.startsWith('__')) fields.push({ node: selection, parentType, spreads });
+            return;
+        }
+
+        let fragment = selection;
+        let path = spreads;
+        if (selection.kind === Kind.FRAGMENT_SPREAD) {
+            const name = selection.name.value;
+            fragment = context.getFragment(name);
+            if (!fragment || spreads.has(name)) return;
+            path = new Set(spreads).add(name);
+        }
+        const type = fragment.typeCondition ? context.getSchema().getType(fragment.typeCondition.name.value) : parentType;
+        if (isObjectType(type)) fields.push(...collectFields(context, type, fragment.selectionSet, path));
+    });
+    return fields;
+}
+
+/**
+ * Nodes a connection field returns per parent, from its first argument or default
+ * @private
+ */
+function pageSize(fieldDef, node, variables) {
+    const argument = (node.arguments || []).find(arg => arg.name.value === 'first');
+    const value = argument ? valueFromAST(argument.value, GraphQLInt, variables) : undefined;
+    if (Number.isInteger(value) && value > 0) return value;
+    return fieldDef.args.find(arg => arg.name === 'first').defaultValue || 1;
+}
+
+/**
+ * Depth and estimated cost of a selection set; fields unknown to the schema are left to the standard rules
+ * @param {number} multiplier - Objects the selection set is resolved for
+ * @param {number} nodesPerParent - Page size when the selection set is a connection's, for its nodes field
+ * @returns {Object} {depth, cost}
+ * @private
+ */
+function measure(context, parentType, selectionSet, variables, multiplier, nodesPerParent, spreads = new Set()) {
+    let depth = 0;
+    let cost = 0;
+    collectFields(context, parentType, selectionSet, spreads).forEach(field => {
+        const fieldDef = field.parentType.getFields()[field.node.name.value];
+        if (!fieldDef) return;
+
+        let fieldDepth = 1;
+        const type = getNamedType(fieldDef.type);
+        if (field.node.selectionSet && isObjectType(type)) {
+            // A connection is one object per parent whose nodes are resolved `first` times per parent
+            const isConnection = fieldDef.args.some(arg => arg.name === 'first');
+            let count = multiplier;
+            if (nodesPerParent && field.node.name.value === 'nodes') count = multiplier * nodesPerParent;
+            else if (!isConnection && isListType(getNullableType(fieldDef.type))) count = multiplier * LIST_SIZE_ESTIMATE;
+
+            const pageSizeHere = isConnection ? pageSize(fieldDef, field.node, variables) : undefined;
+            const child = measure(context, type, field.node.selectionSet, variables, count, pageSizeHere, field.spreads);
+            fieldDepth += child.depth;
+            cost += count + child.cost;
+        }
+        depth = Math.max(depth, fieldDepth);
+    });
+    return { depth, cost };
+}
+
+/**
+ * Measure an operation from its root type
+ * @returns {Object} {depth, cost}
+ * @private
+ */
+function measureOperation(context, operation, variables) {
+    const rootType = context.getSchema().getRootType(operation.operation);
+    if (!rootType) return { depth: 0, cost: 0 };
+    return measure(context, rootType, operation.selectionSet, variables, 1);
+}
+
+/**
+ * Validation rule rejecting operations nested deeper than maxDepth fields
+ * @param {number} maxDepth - Deepest allowed field nesting
+ * @returns {Function} Rule for graphql's validate()
+ */
+function depthLimit(maxDepth = MAX_DEPTH) {
+    return context => ({
+        OperationDefinition(operation) {
+            const { depth } = measureOperation(context, operation, {});
+            if (depth > maxDepth) {
+                context.reportError(new GraphQLError(
+                    `Query is nested ${depth} levels deep; at most ${maxDepth} are allowed`, { nodes: operation }));
+            }
+        }
+    });
+}
+
+/**
+ * Validation rule rejecting operations estimated to return more than maxCost objects
+ * @param {number} maxCost - Most objects one operation may return
+ * @param {Object} variables - Variables of the request, for first arguments passed as variables
+ * @returns {Function} Rule for graphql's validate()
+ */
+function costLimit(maxCost = MAX_COST, variables = {}) {
+    return context => ({
+        OperationDefinition(operation) {
+            const { cost } = measureOperation(context, operation, variables);
+            if (cost > maxCost) {
+                context.reportError(new GraphQLError(
+                    `Query may return about ${cost} objects; at most ${maxCost} are allowed, lower first or nest fewer lists`,
+                    { nodes: operation }));
+            }
+        }
+    });
+}
+
+module.exports = {
+    MAX_DEPTH,
+    MAX_COST,
+    depthLimit,
+    costLimit
+};
@@ -0,0 +1,87 @@
+/**
+ * Per-request DataLoaders: every lookup made while resolving one level of a query is batched into a single
+ * SQL query (e.g. the cell lines of all experiments on a page), which avoids N+1 queries.
+ */
+
+const DataLoader = require('dataloader');
+const { stableStringify } = require('../utils/queryCache');
+
+// Keys per batched query; keeps IN lists well below SQLite's parameter limit
+const MAX_BATCH_SIZE = 500;
+
+/**
+ * Loader of single rows by a key column
+ * @param {Function} fetch - Returns a promise of the rows for a list of keys
+ * @param {string} column - Key column of the rows
+ * @returns {DataLoader} Resolves each key to its row or null
+ */
+function rowLoader(fetch, column) {
+    return new DataLoader(async keys => {
+        const rows = await fetch(keys);
+        const byKey = new Map(rows.map(row => [row[column], row]));
+        return keys.map(key => byKey.get(key) || null);
+    }, { maxBatchSize: MAX_BATCH_SIZE });
+}
+
+/**
+ * Loaders of child pages and counts per parent id; one loader per distinct page arguments, since
+ * a batch can only share a query when filter, first and after are the same
+ * @param {Function} fetchPage - (parentIds, args) => promise of rows with parent_id
+ * @param {Function} fetchCounts - (parentIds, args) => promise of [{parent_id, count}]
+ * @returns {Object} {page(args), count(args)} returning DataLoaders keyed by parent id
+ */
+function childLoaders(fetchPage, fetchCounts) {
+    const pages = new Map();
+    const counts = new Map();
+
+    const cached = (loaders, args, load) => {
+        const key = stableStringify(args);
+        if (!loaders.has(key)) loaders.set(key, new DataLoader(load, { maxBatchSize: MAX_BATCH_SIZE }));
+        return loaders.get(key);
+    };
+
+    return {
+        page: args => cached(pages, args, async ids => {
+            const byId = new Map(ids.map(id => [id, []]));
+            (await fetchPage(ids, args)).forEach(row => byId.get(row.parent_id).push(row));
+            return ids.map(id => byId.get(id));
+        }),
+        count: args => cached(counts, args, async ids => {
+            const rows = await fetchCounts(ids, args);
+            const byId = new Map(rows.map(row => [row.parent_id, row.count]));
+            return ids.map(id => byId.get(id) || 0);
+        })
+    };
+}
+
+/**
+ * Create the loaders of one GraphQL request
+ * @param {Object} repositories - See repository/index.js
+ * @returns {Object} Loaders used by the resolvers
+ */
+function createLoaders({ genes, experiments, sgRNAs, cellLines }) {
+    return {
+        gene: rowLoader(ids => genes.byIds(ids), 'gene_id'),
+        geneBySymbol: rowLoader(symbols => genes.bySymbols(symbols), 'symbol'),
+        geneSummary: rowLoader(ids => genes.summaries(ids), 'gene_id'),
+        experiment: rowLoader(ids => experiments.byIds(ids), 'experiment_id'),
+        score: rowLoader(ids => experiments.scores(ids), 'experiment_id'),
+        cellLine: rowLoader(ids => cellLines.byIds(ids), 'cellline_id'),
+        cellLineByName: rowLoader(names => cellLines.byNames(names), 'name'),
+        cellLineSummary: rowLoader(ids => cellLines.summaries(ids), 'cellline_id'),
+        sgRNA: rowLoader(ids => sgRNAs.byIds(ids), 'sgrna_id'),
+        geneExperiments: childLoaders(
+            (ids, { filters, first, after }) => experiments.forParents('gene', ids, filters, { first, after }),
+            (ids, { filters }) => experiments.countForParents('gene', ids, filters)),
+        cellLineExperiments: childLoaders(
+            (ids, { filters, first, after }) => experiments.forParents('cellLine', ids, filters, { first, after }),
+            (ids, { filters }) => experiments.countForParents('cellLine', ids, filters)),
+        experimentSgRNAs: childLoaders(
+            (ids, { filters, first, after }) => sgRNAs.forExperiments(ids, filters, { first, after }),
+            (ids, { filters }) => sgRNAs.countForExperiments(ids, filters))
+    };
+}
+
+module.exports = {
+    createLoaders
+};
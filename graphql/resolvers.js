@@ -0,0 +1,222 @@
+/**
+ * GraphQL resolvers. Root lists reuse the repository searches behind /api/records; fields of a type
+ * go through the request's DataLoaders (see loaders.js), so each level of a query costs one batched query.
+ * sgRNA nodes count against the client's export quota like /api/records pages.
+ */
+
+const Gene = require('../model/Gene');
+const SgRNA = require('../model/SgRNA');
+const { ValidationError } = require('../utils/errors');
+const { parseRegion } = require('../utils/genomicRegion');
+const { encodeCursor } = require('../utils/keysetCursor');
+const { parseCursor } = require('../utils/responseHelpers');
+
+// Largest page of any connection, as the limit cap of /api/records
+const MAX_FIRST = 1000;
+
+// Cursor scopes of the id-ordered connections
+const EXPERIMENT_CURSOR = { level: 'experiment', sortBy: 'id', sortOrder: 'ASC' };
+const SGRNA_CURSOR = { level: 'sgrna', sortBy: 'rowid', sortOrder: 'ASC' };
+
+/**
+ * Convert a filter input into the facet filters of the models (see Gene.buildFilterConditions)
+ * @param {Object} filter - SearchFilter, ExperimentFilter or SgRNAFilter input
+ * @returns {Object} Filters
+ */
+function toFilters(filter = {}) {
+    const filters = { minLog2fc: filter.minLog2fc ?? null, maxLog2fc: filter.maxLog2fc ?? null, region: null };
+    Gene.FILTER_FIELDS.forEach(field => { filters[field] = filter[field === 'cellline' ? 'cellLine' : field] || []; });
+
+    if (filter.region) {
+        filters.region = parseRegion(filter.region);
+        if (!filters.region) throw new ValidationError('Invalid region', { hint: 'Use a region such as chr17:7.5M-7.7M' });
+    }
+    return filters;
+}
+
+/**
+ * Validate first and decode after for a cursor scope
+ * @returns {Object} {first, after} with after null for the first page, else the cursor's key values
+ */
+function pageArgs({ first, after }, scope) {
+    if (!Number.isInteger(first) || first < 1 || first > MAX_FIRST) {
+        throw new ValidationError('Invalid first', { hint: `Use 1-${MAX_FIRST} items per page` });
+    }
+    const parsed = ValidationError.check(parseCursor({ cursor: after ?? undefined }, scope));
+    return { first, after: parsed.after || null };
+}
+
+/**
+ * Connection of a page fetched with one extra row
+ * @param {Array<Object>} rows - Up to first + 1 rows
+ * @param {number} first - Page size
+ * @param {Function} cursorOf - Cursor of a row, used for the last row when there is a next page
+ * @param {Function} totalCount - Resolves the total count (only when the field is requested)
+ */
+function connection(rows, first, cursorOf, totalCount) {
+    const nodes = rows.slice(0, first);
+    const hasNextPage = rows.length > first;
+    return {
+        nodes,
+        pageInfo: { hasNextPage, endCursor: hasNextPage ? cursorOf(nodes[nodes.length - 1]) : null },
+        totalCount
+    };
+}
+
+/**
+ * Resolver of a child connection batched per parent (a gene's or cell line's experiments, an experiment's sgRNAs)
+ * @param {Function} loadersOf - Picks the child loaders from the request's loaders
+ * @param {Function} parentId - Id of the parent row
+ * @param {Object} scope - Cursor scope of the children
+ * @param {Function} idOf - Id of a child row, stored in the cursor
+ * @param {Function} format - Maps child rows to nodes
+ * @param {boolean} exported - Whether the nodes count against the export quota (sgRNAs)
+ */
+function children(loadersOf, parentId, scope, idOf, format = row => row, exported = false) {
+    return async (parent, args, { loaders, exports }) => {
+        const { first, after } = pageArgs(args, scope);
+        const filters = toFilters(args.filter || {});
+        const childLoaders = loadersOf(loaders);
+        if (exported) await exports.allowance();
+        const rows = await childLoaders.page({ filters, first, after: after ? after[0] : null }).load(parentId(parent));
+        if (exported) exports.count(Math.min(rows.length, first));
+
+        return connection(rows.map(format), first, row => encodeCursor({ ...scope, after: [idOf(row)] }),
+            () => childLoaders.count({ filters }).load(parentId(parent)));
+    };
+}
+
+/**
+ * Parse an ID argument
+ * @returns {number}
+ */
+function parseId(id) {
+    const parsed = Number(id);
+    if (!Number.isInteger(parsed)) throw new ValidationError('Invalid id');
+    return parsed;
+}
+
+// Gene rows as nodes: genes table rows, or /api/records results
+const geneNode = gene => ({ gene_id: gene.gene_id ?? gene.id, symbol: gene.symbol, ensg: gene.ensg, chr: gene.chr });
+
+// sgRNA rows as nodes, in the shape of /api/records?level=sgrna
+const sgRNANode = row => SgRNA.formatRow(row);
+
+module.exports = {
+    Query: {
+        gene: (root, { symbol }, { loaders }) => loaders.geneBySymbol.load(symbol),
+
+        genes: async (root, args, { repositories }) => {
+            const sortBy = args.sortBy.toLowerCase();
+            const sortOrder = args.sortOrder;
+            const { first, after } = pageArgs(args, { level: 'gene', sortBy, sortOrder });
+            const options = { sortBy, sortOrder, filters: toFilters(args.filter || {}) };
+            const query = args.query || '';
+
+            const result = await repositories.genes.search(query, { ...options, limit: first, after });
+            const nextCursor = result.nextKey && encodeCursor({ level: 'gene', sortBy, sortOrder, after: result.nextKey });
+            return {
+                nodes: result.results.map(geneNode),
+                pageInfo: { hasNextPage: Boolean(nextCursor), endCursor: nextCursor || null },
+                totalCount: () => repositories.genes.search(query, { ...options, page: 1, limit: 1 }).then(page => page.totalRows)
+            };
+        },
+
+        experiment: (root, { id }, { loaders }) => loaders.experiment.load(parseId(id)),
+
+        experiments: async (root, args, { repositories }) => {
+            const { first, after } = pageArgs(args, EXPERIMENT_CURSOR);
+            const filters = toFilters(args.filter || {});
+            const rows = await repositories.experiments.list(filters, { first, after: after ? after[0] : null });
+            return connection(rows, first, row => encodeCursor({ ...EXPERIMENT_CURSOR, after: [row.experiment_id] }),
+                () => repositories.experiments.count(filters));
+        },
+
+        cellLine: (root, { name }, { loaders }) => loaders.cellLineByName.load(name),
+
+        cellLines: (root, args, { repositories }) => repositories.cellLines.all(),
+
+        sgRNA: async (root, { id }, { loaders }) => {
+            const row = await loaders.sgRNA.load(parseId(id));
+            return row && sgRNANode(row);
+        },
+
+        sgRNAs: async (root, args, { repositories, exports }) => {
+            const sortBy = args.sortBy === 'ID' ? 'rowid' : args.sortBy.toLowerCase();
+            const sortOrder = args.sortOrder;
+            const { first, after } = pageArgs(args, { level: 'sgrna', sortBy, sortOrder });
+            const options = { sortBy, sortOrder, filters: toFilters(args.filter || {}) };
+            const query = args.query || '';
+
+            await exports.allowance();
+            const result = await repositories.sgRNAs.search(query, { ...options, limit: first, after });
+            exports.count(result.results.length);
+            const nextCursor = result.nextKey && encodeCursor({ level: 'sgrna', sortBy, sortOrder, after: result.nextKey });
+            return {
+                nodes: result.results,
+                pageInfo: { hasNextPage: Boolean(nextCursor), endCursor: nextCursor || null },
+                totalCount: () => repositories.sgRNAs.search(query, { ...options, page: 1, limit: 1 }).then(page => page.totalRows)
+            };
+        }
+    },
+
+    Gene: {
+        id: gene => gene.gene_id,
+        summary: (gene, args, { loaders }) => loaders.geneSummary.load(gene.gene_id),
+        experiments: children(loaders => loaders.geneExperiments, gene => gene.gene_id, EXPERIMENT_CURSOR, row => row.experiment_id)
+    },
+
+    GeneSummary: {
+        experimentCount: summary => summary.experiment_count,
+        cellLineCount: summary => summary.cell_line_count,
+        totalSgRNAs: summary => summary.total_sgrnas,
+        averageLog2fc: summary => summary.avg_log2fc,
+        start: summary => summary.min_start,
+        end: summary => summary.max_end,
+        robustZ: summary => summary.robust_z,
+        fdrDepleted: summary => summary.fdr_depleted,
+        fdrEnriched: summary => summary.fdr_enriched
+    },
+
+    Experiment: {
+        id: experiment => experiment.experiment_id,
+        gene: (experiment, args, { loaders }) => loaders.gene.load(experiment.gene_id),
+        cellLine: (experiment, args, { loaders }) => loaders.cellLine.load(experiment.cellline_id),
+        score: (experiment, args, { loaders }) => loaders.score.load(experiment.experiment_id),
+        sgRNAs: children(loaders => loaders.experimentSgRNAs, experiment => experiment.experiment_id, SGRNA_CURSOR,
+            sgRNA => sgRNA.id, sgRNANode, true)
+    },
+
+    GeneScore: {
+        sgRNACount: score => score.sgrna_count,
+        medianLog2fc: score => score.median_log2fc,
+        robustZ: score => score.robust_z,
+        rraScoreDepleted: score => score.rra_score_depleted,
+        rraPDepleted: score => score.rra_p_depleted,
+        fdrDepleted: score => score.fdr_depleted,
+        rraScoreEnriched: score => score.rra_score_enriched,
+        rraPEnriched: score => score.rra_p_enriched,
+        fdrEnriched: score => score.fdr_enriched
+    },
+
+    CellLine: {
+        id: cellLine => cellLine.cellline_id,
+        summary: (cellLine, args, { loaders }) => loaders.cellLineSummary.load(cellLine.cellline_id),
+        experiments: children(loaders => loaders.cellLineExperiments, cellLine => cellLine.cellline_id, EXPERIMENT_CURSOR,
+            row => row.experiment_id)
+    },
+
+    CellLineSummary: {
+        experimentCount: summary => summary.experiment_count,
+        geneCount: summary => summary.gene_count,
+        sgRNACount: summary => summary.sgrna_count,
+        averageLog2fc: summary => summary.avg_log2fc
+    },
+
+    SgRNA: {
+        log2fc: sgRNA => (Number.isNaN(sgRNA.log2fc) ? null : sgRNA.log2fc),
+        rcInitial: sgRNA => sgRNA.rc_initial,
+        rcFinal: sgRNA => sgRNA.rc_final,
+        experiment: (sgRNA, args, { loaders }) => loaders.experiment.load(sgRNA.experimentId)
+    }
+};
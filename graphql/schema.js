@@ -0,0 +1,184 @@
+/**
+ * GraphQL schema mirroring the normalized tables: a gene has experiments, each experiment has a cell line
+ * and sgRNAs. Lists are connections with keyset cursors ({nodes, pageInfo, totalCount}).
+ */
+
+const { buildSchema } = require('graphql');
+const resolvers = require('./resolvers');
+
+const typeDefs = `
+    enum SortOrder { ASC DESC }
+
+    enum GeneSort { SYMBOL CHR TOTAL_SGRNAS AVG_LOG2FC ROBUST_Z FDR_DEPLETED FDR_ENRICHED }
+
+    enum SgRNASort { ID CHR START END STRAND SYMBOL ENSG LOG2FC EFFECT CELLLINE }
+
+    "Facet filters of gene and sgRNA searches; list filters match any of their values"
+    input SearchFilter {
+        symbol: [String!]
+        chr: [String!]
+        cellLine: [String!]
+        condition: [String!]
+        cas: [String!]
+        screentype: [String!]
+        pubmed: [String!]
+        strand: [String!]
+        effect: [String!]
+        minLog2fc: Float
+        maxLog2fc: Float
+        "Genomic region, e.g. chr17:7.5M-7.7M"
+        region: String
+    }
+
+    input ExperimentFilter {
+        symbol: [String!]
+        chr: [String!]
+        cellLine: [String!]
+        condition: [String!]
+        cas: [String!]
+        screentype: [String!]
+        pubmed: [String!]
+    }
+
+    input SgRNAFilter {
+        strand: [String!]
+        effect: [String!]
+        minLog2fc: Float
+        maxLog2fc: Float
+    }
+
+    type PageInfo {
+        hasNextPage: Boolean!
+        "Pass as after to get the next page; null on the last page"
+        endCursor: String
+    }
+
+    type Gene {
+        id: ID!
+        symbol: String!
+        ensg: String
+        chr: String!
+        "Aggregates over all screens of the gene; null for unscreened genes"
+        summary: GeneSummary
+        experiments(filter: ExperimentFilter, first: Int = 100, after: String): ExperimentConnection!
+    }
+
+    type GeneSummary {
+        experimentCount: Int!
+        cellLineCount: Int!
+        totalSgRNAs: Int!
+        averageLog2fc: Float
+        start: Int
+        end: Int
+        "Strongest scores over the gene's screens"
+        robustZ: Float
+        fdrDepleted: Float
+        fdrEnriched: Float
+    }
+
+    type Experiment {
+        id: ID!
+        condition: String
+        cas: String
+        screentype: String
+        pubmed: String
+        gene: Gene!
+        cellLine: CellLine!
+        "Precomputed gene essentiality score of this screen; null until scores are computed"
+        score: GeneScore
+        sgRNAs(filter: SgRNAFilter, first: Int = 100, after: String): SgRNAConnection!
+    }
+
+    type GeneScore {
+        sgRNACount: Int!
+        medianLog2fc: Float
+        robustZ: Float
+        rraScoreDepleted: Float
+        rraPDepleted: Float
+        fdrDepleted: Float
+        rraScoreEnriched: Float
+        rraPEnriched: Float
+        fdrEnriched: Float
+    }
+
+    type CellLine {
+        id: ID!
+        name: String!
+        "Screen, gene and sgRNA counts; null for unscreened cell lines"
+        summary: CellLineSummary
+        experiments(filter: ExperimentFilter, first: Int = 100, after: String): ExperimentConnection!
+    }
+
+    type CellLineSummary {
+        experimentCount: Int!
+        geneCount: Int!
+        sgRNACount: Int!
+        averageLog2fc: Float
+    }
+
+    type SgRNA {
+        id: ID!
+        sequence: String!
+        start: Int!
+        end: Int!
+        strand: String
+        log2fc: Float
+        effect: String
+        rcInitial: Int
+        rcFinal: Int
+        experiment: Experiment!
+    }
+
+    type GeneConnection {
+        nodes: [Gene!]!
+        pageInfo: PageInfo!
+        totalCount: Int!
+    }
+
+    type ExperimentConnection {
+        nodes: [Experiment!]!
+        pageInfo: PageInfo!
+        totalCount: Int!
+    }
+
+    type SgRNAConnection {
+        nodes: [SgRNA!]!
+        pageInfo: PageInfo!
+        totalCount: Int!
+    }
+
+    type Query {
+        gene(symbol: String!): Gene
+        "Genes matching a symbol/ENSG search and filters, as in /api/records"
+        genes(query: String, filter: SearchFilter, sortBy: GeneSort = SYMBOL, sortOrder: SortOrder = ASC,
+            first: Int = 25, after: String): GeneConnection!
+        experiment(id: ID!): Experiment
+        experiments(filter: ExperimentFilter, first: Int = 25, after: String): ExperimentConnection!
+        cellLine(name: String!): CellLine
+        cellLines: [CellLine!]!
+        sgRNA(id: ID!): SgRNA
+        "sgRNAs matching a gene search and filters, as in /api/records?level=sgrna"
+        sgRNAs(query: String, filter: SearchFilter, sortBy: SgRNASort = ID, sortOrder: SortOrder = ASC,
+            first: Int = 25, after: String): SgRNAConnection!
+    }
+`;
+
+/**
+ * Build the executable schema: SDL types with the resolvers attached to their fields
+ * @returns {GraphQLSchema}
+ */
+function createSchema() {
+    const schema = buildSchema(typeDefs);
+    Object.entries(resolvers).forEach(([typeName, fields]) => {
+        const typeFields = schema.getType(typeName).getFields();
+        Object.entries(fields).forEach(([fieldName, resolve]) => {
+            typeFields[fieldName].resolve = resolve;
+        });
+    });
+    return schema;
+}
+
+module.exports = {
+    typeDefs,
+    createSchema
+};
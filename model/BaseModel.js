@@ -24,6 +24,16 @@ class BaseModel {
     static fromDbRow(row) {
         return new this(row);
     }
+
+    /**
+     * Sorted distinct non-empty values of one field
+     * @param {Array<Object>} rows - Rows or plain objects
+     * @param {string} field - Field name
+     * @returns {Array} Distinct values
+     */
+    static distinctValues(rows, field) {
+        return [...new Set(rows.map(row => row[field]).filter(value => value !== null && value !== ''))].sort();
+    }
 }
 
 module.exports = BaseModel;
@@ -0,0 +1,94 @@
+/**
+ * Cell line model: catalogue of screened cell lines and per-cell-line gene rankings
+ */
+
+const BaseModel = require('./BaseModel');
+const Gene = require('./Gene');
+
+class CellLine extends BaseModel {
+    /**
+     * List every cell line with its screens, studies and counts (from cellline_summary)
+     * @param {Object} db - Database connection
+     * @param {Function} callback - Callback receiving [{name, screenCount, studies, screentypes, cas, conditions, geneCount, sgRNACount}]
+     */
+    static list(db, callback) {
+        const countQuery = `
+            SELECT cl.cellline_id, cl.name, cs.gene_count, cs.sgrna_count
+            FROM cellline_summary cs
+            JOIN cell_lines cl ON cl.cellline_id = cs.cellline_id
+        `;
+        const screenQuery = 'SELECT DISTINCT cellline_id, condition, cas, screentype, pubmed FROM experiments';
+
+        db.all(countQuery, [], (err, counts) => {
+            if (err) return callback(err, null);
+
+            db.all(screenQuery, [], (err, screens) => {
+                if (err) return callback(err, null);
+
+                const screensByCellLine = new Map();
+                screens.forEach(screen => {
+                    if (!screensByCellLine.has(screen.cellline_id)) screensByCellLine.set(screen.cellline_id, []);
+                    screensByCellLine.get(screen.cellline_id).push(screen);
+                });
+
+                callback(null, counts
+                    .map(row => {
+                        const lineScreens = screensByCellLine.get(row.cellline_id) || [];
+                        return new CellLine({
+                            name: row.name,
+                            screenCount: lineScreens.length,
+                            studies: CellLine.distinctValues(lineScreens, 'pubmed'),
+                            screentypes: CellLine.distinctValues(lineScreens, 'screentype'),
+                            cas: CellLine.distinctValues(lineScreens, 'cas'),
+                            conditions: CellLine.distinctValues(lineScreens, 'condition'),
+                            geneCount: row.gene_count,
+                            sgRNACount: row.sgrna_count
+                        }).toJSON();
+                    })
+                    .sort((a, b) => a.name.localeCompare(b.name)));
+            });
+        });
+    }
+
+    /**
+     * Load one cell line: its screens, gene coverage and most essential/enriched genes
+     * @param {Object} db - Database connection
+     * @param {string} name - Cell line name
+     * @param {Object} options - {top (genes per direction), ranking (include every gene ranked by average log2fc)}
+     * @param {Function} callback - Callback receiving the cell line or null if it has no sgRNAs
+     */
+    static load(db, name, options = {}, callback) {
+        const { top = 10, ranking = false } = options;
+        const filters = { cellline: [name] };
+
+        Gene.screenSummaries(db, filters, (err, summary) => {
+            if (err) return callback(err, null);
+            if (summary.sgRNACount === 0) return callback(null, null);
+
+            Gene.topGenes(db, filters, top, (err, topGenes) => {
+                if (err) return callback(err, null);
+
+                const withRanking = done => (ranking ? Gene.rankByEffect(db, filters, done) : done(null, undefined));
+                withRanking((err, rankedGenes) => {
+                    if (err) return callback(err, null);
+
+                    callback(null, new CellLine({
+                        name,
+                        screenCount: summary.screens.length,
+                        studies: CellLine.distinctValues(summary.screens, 'pubmed'),
+                        screentypes: CellLine.distinctValues(summary.screens, 'screentype'),
+                        cas: CellLine.distinctValues(summary.screens, 'cas'),
+                        conditions: CellLine.distinctValues(summary.screens, 'condition'),
+                        geneCount: summary.geneCount,
+                        sgRNACount: summary.sgRNACount,
+                        screens: summary.screens,
+                        topGenes,
+                        ranking: rankedGenes
+                    }).toJSON());
+                });
+            });
+        });
+    }
+}
+
+module.exports = CellLine;
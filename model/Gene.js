@@ -4,6 +4,47 @@
  */
 
 const BaseModel = require('./BaseModel');
+const { clusterOrder } = require('../utils/clustering');
+const { mean, median, welchTTest, mannWhitneyU, benjaminiHochberg } = require('../utils/statistics');
+const { NORMALIZATION_DEFAULTS, normalizeGuide } = require('../utils/normalization');
+const { SCREEN_COLUMNS } = require('../utils/geneScores');
+const { orderByClause, keysetCondition, keyValues } = require('../utils/keysetCursor');
+
+// Facet filters and the columns they match in the genes/experiments/cell_lines/sgrnas join
+const FILTER_COLUMNS = {
+    symbol: 'g.symbol',
+    strand: 's.strand',
+    effect: 's.effect',
+    cellline: 'cl.name',
+    condition: 'e.condition',
+    cas: 'e.cas',
+    screentype: 'e.screentype',
+    pubmed: 'e.pubmed',
+    chr: 'g.chr'
+};
+
+// Sort keys accepted by differentialEffects
+const DIFFERENTIAL_SORT_FIELDS = {
+    symbol: result => result.symbol,
+    difference: result => result.difference,
+    abs_difference: result => Math.abs(result.difference),
+    welch_p: result => result.welch.pValue,
+    welch_fdr: result => result.welch.fdr,
+    mann_whitney_p: result => result.mannWhitney.pValue,
+    mann_whitney_fdr: result => result.mannWhitney.fdr
+};
+
+// Filters reported with per-value counts by getFacetCounts
+const FACET_FIELDS = ['chr', 'cellline', 'cas', 'screentype', 'condition', 'effect', 'strand'];
+
+// Sort fields of the gene search (result columns of buildSearchQuery)
+const GENE_SORT_FIELDS = ['symbol', 'chr', 'total_sgrnas', 'avg_log2fc', 'robust_z', 'fdr_depleted', 'fdr_enriched'];
+
+// Filters the gene search can answer from the summary tables; any other filter needs the sgRNA join
+const SUMMARY_FILTER_FIELDS = ['symbol', 'chr', 'cellline'];
+
+// Gene score FDR below which a gene counts as depleted/enriched in screen summaries
+const HIT_FDR = 0.1;
 
 class Gene extends BaseModel {
     constructor(data) {
@@ -95,6 +136,8 @@ class Gene extends BaseModel {
             experimentCount: this.experiments.length,
             cellLineCount: this.cellLineCount || 0,
             genomicRange: range,
+            scoreSummary: this.scoreSummary || null,
+            normalization: this.normalization || null,
             experiments: this.experiments.map(exp => ({
                 cellline: exp.name || exp.cellline,
                 condition: exp.condition,
@@ -103,51 +146,65 @@ class Gene extends BaseModel {
                 pubmed: exp.pubmed,
                 sgRNACount: exp.sgRNAs ? exp.sgRNAs.length : 0,
                 averageEffect: exp.averageEffect,
-                sgRNAs: exp.sgRNAs ? exp.sgRNAs.map(sg => ({
-                    id: sg.sgrna_id || sg.id,
-                    sequence: sg.sequence,
-                    start: sg.start_pos || sg.start,
-                    end: sg.end_pos || sg.end,
-                    strand: sg.strand,
-                    log2fc: parseFloat(sg.log2fc),
-                    effect: sg.effect,
-                    rc_initial: sg.rc_initial,
-                    rc_final: sg.rc_final,
-                    midpoint: this._calculateMidpoint(sg.start_pos || sg.start, sg.end_pos || sg.end),
-                    length: this._calculateLength(sg.start_pos || sg.start, sg.end_pos || sg.end),
-                    foldChange: sg.log2fc ? Math.pow(2, parseFloat(sg.log2fc)) : null
-                })) : []
+                sgRNAs: exp.sgRNAs ? exp.sgRNAs.map(sg => Gene.formatSgRNA(sg)) : []
             }))
         };
     }
 
+    /**
+     * Format an sgRNA row for API responses
+     * @param {Object} sg - sgRNA row (sgrnas columns or already formatted)
+     * @returns {Object} sgRNA representation used in toJSON
+     */
+    static formatSgRNA(sg) {
+        return {
+            id: sg.sgrna_id || sg.id,
+            sequence: sg.sequence,
+            start: sg.start_pos || sg.start,
+            end: sg.end_pos || sg.end,
+            strand: sg.strand,
+            log2fc: parseFloat(sg.log2fc),
+            effect: sg.effect,
+            rc_initial: sg.rc_initial,
+            rc_final: sg.rc_final,
+            recomputedLog2fc: sg.recomputed_log2fc ?? sg.recomputedLog2fc ?? null,
+            lowCount: sg.low_count ?? sg.lowCount ?? null,
+            midpoint: Gene._calculateMidpoint(sg.start_pos || sg.start, sg.end_pos || sg.end),
+            length: Gene._calculateLength(sg.start_pos || sg.start, sg.end_pos || sg.end),
+            foldChange: sg.log2fc ? Math.pow(2, parseFloat(sg.log2fc)) : null
+        };
+    }
+
     /**
      * Calculate midpoint and length for sgRNA
      * @private
      */
-    _calculateMidpoint(start, end) {
+    static _calculateMidpoint(start, end) {
         const s = parseInt(start);
         const e = parseInt(end);
         return (!isNaN(s) && !isNaN(e)) ? Math.floor((s + e) / 2) : null;
     }
 
-    _calculateLength(start, end) {
+    static _calculateLength(start, end) {
         const s = parseInt(start);
         const e = parseInt(end);
         return (!isNaN(s) && !isNaN(e)) ? Math.abs(e - s) + 1 : null;
     }
 
     /**
-     * Load gene with relational data from database
+     * Load gene with relational data from database.
+     * Each sgRNA also gets a log2fc recomputed from its read counts (normalized per screen).
      * @param {Object} db - Database connection
      * @param {string} symbol - Gene symbol
+     * @param {Object} options - {normalization} options, see utils/normalization
      * @param {Function} callback - Callback function
      */
-    static loadWithRelations(db, symbol, callback) {
+    static loadWithRelations(db, symbol, options = {}, callback) {
+        const { normalization = NORMALIZATION_DEFAULTS } = options;
         const query = `
             SELECT 
                 g.gene_id, g.symbol, g.ensg, g.chr,
-                e.experiment_id, cl.name as cellline, e.condition, e.cas, e.screentype, e.pubmed,
+                e.experiment_id, e.cellline_id, cl.name as cellline, e.condition, e.cas, e.screentype, e.pubmed,
                 s.sgrna_id, s.sequence, s.start_pos, s.end_pos, s.strand, s.log2fc, s.effect, s.rc_initial, s.rc_final
             FROM genes g
             JOIN experiments e ON g.gene_id = e.gene_id
@@ -163,6 +220,7 @@ class Gene extends BaseModel {
 
             const gene = new Gene(rows[0]);
             const experimentsMap = new Map();
+            const guidesByScreen = new Map();
 
             rows.forEach(row => {
                 const expKey = `${row.cellline}_${row.condition || 'default'}`;
@@ -177,7 +235,7 @@ class Gene extends BaseModel {
                     });
                 }
 
-                experimentsMap.get(expKey).sgRNAs.push({
+                const sgRNA = {
                     sgrna_id: row.sgrna_id,
                     sequence: row.sequence,
                     start_pos: row.start_pos,
@@ -187,7 +245,12 @@ class Gene extends BaseModel {
                     effect: row.effect,
                     rc_initial: row.rc_initial,
                     rc_final: row.rc_final
-                });
+                };
+                experimentsMap.get(expKey).sgRNAs.push(sgRNA);
+
+                const screen = Gene._screenKey(row);
+                if (!guidesByScreen.has(screen)) guidesByScreen.set(screen, []);
+                guidesByScreen.get(screen).push(sgRNA);
             });
 
             // Calculate averages for each experiment
@@ -201,89 +264,945 @@ class Gene extends BaseModel {
             });
 
             gene.experiments = Array.from(experimentsMap.values());
-            callback(null, gene);
+            gene.normalization = normalization;
+
+            Gene._screenSizeFactors(db, 'e.gene_id = ?', [rows[0].gene_id], normalization, (err, factorsByScreen) => {
+                if (err) return callback(err, null);
+
+                guidesByScreen.forEach((guides, screen) => {
+                    guides.forEach(sgRNA => {
+                        const normalized = normalizeGuide(sgRNA, factorsByScreen.get(screen), normalization);
+                        sgRNA.recomputed_log2fc = normalized.log2fc;
+                        sgRNA.low_count = normalized.lowCount;
+                    });
+                });
+                callback(null, gene);
+            });
         });
     }
 
     /**
-     * Search genes using optimized relational queries
+     * Identify the screen of an experiment row (see SCREEN_COLUMNS)
+     * @private
+     */
+    static _screenKey(row) {
+        return JSON.stringify(SCREEN_COLUMNS.map(column => row[column]));
+    }
+
+    /**
+     * Look up the precomputed read-count size factors of every screen containing one of the selected experiments.
+     * Screens without a screen_size_factors row (no usable guides, or method none) get factors of 1.
+     * @param {string} experimentCondition - Condition on the experiments alias e (e.g. 'e.gene_id = ?')
+     * @param {Function} callback - Callback receiving a Map of screen key (see _screenKey) to {initial, final}
+     * @private
+     */
+    static _screenSizeFactors(db, experimentCondition, params, normalization, callback) {
+        const query = `
+            SELECT DISTINCT ${SCREEN_COLUMNS.map(column => `e.${column}`).join(', ')}, f.initial, f.final
+            FROM experiments e
+            LEFT JOIN screen_size_factors f ON f.method = ?
+                AND ${SCREEN_COLUMNS.map(column => `f.${column} IS e.${column}`).join(' AND ')}
+            WHERE ${experimentCondition}
+        `;
+
+        db.all(query, [normalization.method, ...params], (err, rows) => {
+            if (err) return callback(err, null);
+
+            const factorsByScreen = new Map();
+            rows.forEach(row => factorsByScreen.set(Gene._screenKey(row), {
+                initial: row.initial ?? 1,
+                final: row.final ?? 1
+            }));
+            callback(null, factorsByScreen);
+        });
+    }
+
+    /**
+     * Recompute one sgRNA's log2fc from read counts with the size factors of its screen
      * @param {Object} db - Database connection
-     * @param {string} searchTerm - Search term
-     * @param {Object} options - Pagination options
-     * @param {Function} callback - Callback function
+     * @param {number} sgrnaId - sgRNA id
+     * @param {Object} normalization - Options, see utils/normalization
+     * @param {Function} callback - Callback receiving {recomputed_log2fc, low_count, normalization}, or null for an unknown id
      */
-    static searchGenes(db, searchTerm, options = {}, callback) {
-        const { page = 1, limit = 25, sortBy = 'symbol', sortOrder = 'ASC' } = options;
-        const offset = (page - 1) * limit;
-        const searchPattern = `%${searchTerm.trim()}%`;
+    static recomputeLog2fc(db, sgrnaId, normalization, callback) {
+        const query = `
+            SELECT s.experiment_id, s.rc_initial, s.rc_final, ${SCREEN_COLUMNS.map(column => `e.${column}`).join(', ')}
+            FROM sgrnas s
+            JOIN experiments e ON s.experiment_id = e.experiment_id
+            WHERE s.sgrna_id = ?
+        `;
 
-        const allowedSortFields = ['symbol', 'chr', 'total_sgrnas', 'avg_log2fc'];
-        const safeSortBy = allowedSortFields.includes(sortBy) ? sortBy : 'symbol';
+        db.get(query, [sgrnaId], (err, guide) => {
+            if (err) return callback(err, null);
+            if (!guide) return callback(null, null);
 
-        const geneQuery = `
-            SELECT 
-                g.gene_id,
-                g.symbol,
-                g.ensg,
-                g.chr,
-                COUNT(DISTINCT e.experiment_id) as experiment_count,
-                COUNT(DISTINCT cl.cellline_id) as cell_line_count,
-                COUNT(s.sgrna_id) as total_sgrnas,
-                AVG(s.log2fc) as avg_log2fc,
-                MIN(s.start_pos) as min_start,
-                MAX(s.end_pos) as max_end
+            Gene._screenSizeFactors(db, 'e.experiment_id = ?', [guide.experiment_id], normalization, (err, factorsByScreen) => {
+                if (err) return callback(err, null);
+
+                const factors = factorsByScreen.get(Gene._screenKey(guide));
+                const normalized = normalizeGuide(guide, factors, normalization);
+                callback(null, {
+                    recomputed_log2fc: normalized.log2fc,
+                    low_count: normalized.lowCount,
+                    normalization: { ...normalization, sizeFactors: factors }
+                });
+            });
+        });
+    }
+
+    /**
+     * Look up a gene's identifiers without loading its experiments
+     * @param {Object} db - Database connection
+     * @param {string} symbol - Gene symbol
+     * @param {Function} callback - Callback receiving {id, symbol, ensg, chr}, or null when the gene does not exist
+     */
+    static findBySymbol(db, symbol, callback) {
+        db.get('SELECT gene_id, symbol, ensg, chr FROM genes WHERE symbol = ?', [symbol], (err, row) => {
+            if (err) return callback(err, null);
+            callback(null, row ? { id: row.gene_id, symbol: row.symbol, ensg: row.ensg, chr: row.chr } : null);
+        });
+    }
+
+    /**
+     * Resolve gene symbols and/or ENSG IDs to genes in one query.
+     * Symbols match case-insensitively (an exact-case match wins), ENSG IDs ignore the version suffix;
+     * IDs matching several genes are reported as ambiguous; a gene matched by several IDs is returned once,
+     * under the first of them.
+     * @param {Object} db - Database connection
+     * @param {Array<string>} ids - Distinct gene symbols or ENSG IDs
+     * @param {Function} callback - Callback receiving {matches: [{input, gene: genes row}], notFound, ambiguous}
+     */
+    static resolveIds(db, ids, callback) {
+        const isEnsg = id => /^ENSG\d+/i.test(id);
+        const ensgKey = id => id.toUpperCase().replace(/\.\d+$/, '');
+        const symbols = ids.filter(id => !isEnsg(id));
+        const ensgs = ids.filter(isEnsg).map(ensgKey);
+
+        const conditions = [];
+        if (symbols.length > 0) conditions.push(`symbol COLLATE NOCASE IN (${symbols.map(() => '?').join(', ')})`);
+        if (ensgs.length > 0) conditions.push(`UPPER(ensg) IN (${ensgs.map(() => '?').join(', ')})`);
+        if (conditions.length === 0) return callback(null, { matches: [], notFound: [], ambiguous: [] });
+
+        db.all(`SELECT gene_id, symbol, ensg, chr FROM genes WHERE ${conditions.join(' OR ')}`, [...symbols, ...ensgs], (err, genes) => {
+            if (err) return callback(err, null);
+
+            const bySymbol = new Map();
+            const byEnsg = new Map();
+            const add = (map, key, gene) => map.set(key, [...(map.get(key) || []), gene]);
+            genes.forEach(gene => {
+                add(bySymbol, gene.symbol.toUpperCase(), gene);
+                if (gene.ensg) add(byEnsg, ensgKey(gene.ensg), gene);
+            });
+
+            const matches = [];
+            const matchedIds = new Set();
+            const notFound = [];
+            const ambiguous = [];
+            ids.forEach(id => {
+                let candidates = isEnsg(id) ? byEnsg.get(ensgKey(id)) || [] : bySymbol.get(id.toUpperCase()) || [];
+                const exact = candidates.filter(gene => gene.symbol === id);
+                if (exact.length === 1) candidates = exact;
+
+                if (candidates.length === 0) notFound.push(id);
+                else if (candidates.length > 1) ambiguous.push({ input: id, matches: candidates.map(gene => gene.symbol) });
+                else if (!matchedIds.has(candidates[0].gene_id)) {
+                    matchedIds.add(candidates[0].gene_id);
+                    matches.push({ input: id, gene: candidates[0] });
+                }
+            });
+
+            callback(null, { matches, notFound, ambiguous });
+        });
+    }
+
+    /**
+     * Summarize a list of gene symbols and/or ENSG IDs in two queries.
+     * IDs are resolved as in resolveIds; ambiguous IDs are reported instead of summarized.
+     * @param {Object} db - Database connection
+     * @param {Array<string>} ids - Distinct gene symbols or ENSG IDs
+     * @param {Function} callback - Callback receiving {data, notFound, ambiguous}
+     */
+    static batchLookup(db, ids, callback) {
+        Gene.resolveIds(db, ids, (err, resolved) => {
+            if (err) return callback(err, null);
+
+            const { matches, notFound, ambiguous } = resolved;
+            if (matches.length === 0) return callback(null, { data: [], notFound, ambiguous });
+
+            const geneIds = matches.map(match => match.gene.gene_id);
+            const query = `
+                SELECT 
+                    e.gene_id, e.experiment_id, cl.name as cellline, e.condition, e.cas, e.screentype, e.pubmed,
+                    COUNT(s.sgrna_id) as sgrna_count,
+                    COUNT(s.log2fc) as log2fc_count,
+                    SUM(s.log2fc) as log2fc_sum
+                FROM experiments e
+                JOIN cell_lines cl ON e.cellline_id = cl.cellline_id
+                JOIN sgrnas s ON e.experiment_id = s.experiment_id
+                WHERE e.gene_id IN (${geneIds.map(() => '?').join(', ')})
+                GROUP BY e.experiment_id
+                ORDER BY cl.name, e.condition
+            `;
+
+            db.all(query, geneIds, (err, rows) => {
+                if (err) return callback(err, null);
+
+                const experimentsByGene = new Map();
+                rows.forEach(row => experimentsByGene.set(row.gene_id, [...(experimentsByGene.get(row.gene_id) || []), row]));
+
+                const data = matches.map(({ input, gene }) => {
+                    const experiments = experimentsByGene.get(gene.gene_id) || [];
+                    const log2fcCount = experiments.reduce((sum, exp) => sum + exp.log2fc_count, 0);
+                    const log2fcSum = experiments.reduce((sum, exp) => sum + (exp.log2fc_sum || 0), 0);
+                    return {
+                        input,
+                        id: gene.gene_id,
+                        symbol: gene.symbol,
+                        ensg: gene.ensg,
+                        chr: gene.chr,
+                        totalSgRNAs: experiments.reduce((sum, exp) => sum + exp.sgrna_count, 0),
+                        averageEffect: log2fcCount > 0 ? log2fcSum / log2fcCount : null,
+                        cellLineCount: new Set(experiments.map(exp => exp.cellline)).size,
+                        experiments: experiments.map(exp => ({
+                            experimentId: exp.experiment_id,
+                            cellline: exp.cellline,
+                            condition: exp.condition,
+                            cas: exp.cas,
+                            screentype: exp.screentype,
+                            pubmed: exp.pubmed,
+                            sgRNACount: exp.sgrna_count,
+                            averageEffect: exp.log2fc_count > 0 ? exp.log2fc_sum / exp.log2fc_count : null
+                        }))
+                    };
+                });
+
+                callback(null, { data, notFound, ambiguous });
+            });
+        });
+    }
+
+    /**
+     * Load precomputed essentiality scores for each experiment of a gene
+     * @param {Object} db - Database connection
+     * @param {string} symbol - Gene symbol
+     * @param {Function} callback - Callback receiving {gene, scores}, or null when the gene does not exist
+     */
+    static loadScores(db, symbol, callback) {
+        Gene.findBySymbol(db, symbol, (err, gene) => {
+            if (err) return callback(err, null);
+            if (!gene) return callback(null, null);
+
+            const query = `
+                SELECT 
+                    e.experiment_id, cl.name as cellline, e.condition, e.cas, e.screentype, e.pubmed,
+                    gs.sgrna_count, gs.median_log2fc, gs.robust_z,
+                    gs.rra_score_depleted, gs.rra_p_depleted, gs.fdr_depleted,
+                    gs.rra_score_enriched, gs.rra_p_enriched, gs.fdr_enriched
+                FROM experiments e
+                JOIN cell_lines cl ON e.cellline_id = cl.cellline_id
+                JOIN gene_scores gs ON gs.experiment_id = e.experiment_id
+                WHERE e.gene_id = ?
+                ORDER BY gs.robust_z ASC, cl.name
+            `;
+
+            db.all(query, [gene.id], (err, rows) => {
+                if (err) return callback(err, null);
+
+                callback(null, {
+                    gene,
+                    scores: rows.map(row => ({
+                        experimentId: row.experiment_id,
+                        cellline: row.cellline,
+                        condition: row.condition,
+                        cas: row.cas,
+                        screentype: row.screentype,
+                        pubmed: row.pubmed,
+                        sgRNACount: row.sgrna_count,
+                        medianLog2fc: row.median_log2fc,
+                        robustZ: row.robust_z,
+                        rra: {
+                            depleted: { score: row.rra_score_depleted, pValue: row.rra_p_depleted, fdr: row.fdr_depleted },
+                            enriched: { score: row.rra_score_enriched, pValue: row.rra_p_enriched, fdr: row.fdr_enriched }
+                        }
+                    }))
+                });
+            });
+        });
+    }
+
+    /**
+     * Build SQL conditions for facet filters
+     * @param {Object} filters - Filter values keyed by facet (see FILTER_COLUMNS), plus minLog2fc/maxLog2fc and region
+     * @returns {Object} {conditions, params} with conditions to be joined with AND
+     */
+    static buildFilterConditions(filters = {}) {
+        const conditions = [];
+        const params = [];
+
+        Object.entries(FILTER_COLUMNS).forEach(([field, column]) => {
+            const values = [].concat(filters[field] ?? []);
+            if (values.length === 0) return;
+            conditions.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+            params.push(...values);
+        });
+
+        if (filters.minLog2fc !== null && filters.minLog2fc !== undefined) {
+            conditions.push('s.log2fc >= ?');
+            params.push(filters.minLog2fc);
+        }
+        if (filters.maxLog2fc !== null && filters.maxLog2fc !== undefined) {
+            conditions.push('s.log2fc <= ?');
+            params.push(filters.maxLog2fc);
+        }
+
+        // Region overlap goes through the sgrna_intervals R*Tree (chromosome key x position)
+        if (filters.region) {
+            conditions.push(`s.sgrna_id IN (
+                SELECT sgrna_id FROM sgrna_intervals
+                WHERE chr_min <= (SELECT chr_key FROM chromosomes WHERE name = ?)
+                  AND chr_max >= (SELECT chr_key FROM chromosomes WHERE name = ?)
+                  AND start_pos <= ? AND end_pos >= ?
+            )`);
+            params.push(filters.region.chr, filters.region.chr, filters.region.end, filters.region.start);
+        }
+
+        return { conditions, params };
+    }
+
+    /**
+     * Build the WHERE clause for a search term and facet filters
+     * @private
+     */
+    static _buildSearchWhereClause(searchTerm, filters) {
+        const term = (searchTerm || '').trim();
+        const { conditions, params } = Gene.buildFilterConditions(filters);
+        if (term) {
+            conditions.unshift('(g.symbol LIKE ? OR g.ensg LIKE ?)');
+            params.unshift(`%${term}%`, `%${term}%`);
+        }
+        return { whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '', params };
+    }
+
+    /**
+     * Build the FROM/WHERE clause shared by gene search and facet counts
+     * @param {boolean} [withScores] - Also LEFT JOIN gene_scores as gs (one row per experiment)
+     * @private
+     */
+    static _buildSearchFromClause(searchTerm, filters, withScores = false) {
+        const { whereClause, params } = Gene._buildSearchWhereClause(searchTerm, filters);
+
+        const fromClause = `
             FROM genes g
             JOIN experiments e ON g.gene_id = e.gene_id
             JOIN cell_lines cl ON e.cellline_id = cl.cellline_id
             JOIN sgrnas s ON e.experiment_id = s.experiment_id
-            WHERE g.symbol LIKE ? OR g.ensg LIKE ?
-            GROUP BY g.gene_id, g.symbol, g.ensg, g.chr
-            ORDER BY ${safeSortBy} ${sortOrder}
-            LIMIT ? OFFSET ?
+            ${withScores ? 'LEFT JOIN gene_scores gs ON gs.experiment_id = e.experiment_id' : ''}
+            ${whereClause}
+        `;
+
+        return { fromClause, params };
+    }
+
+    /**
+     * Columns and FROM/WHERE/GROUP BY of the gene search rows.
+     * Filters on gene and cell line only read the summary tables (gene_summary, or gene_cellline_summary
+     * summed over the selected cell lines); any sgRNA- or experiment-level filter aggregates the full join.
+     * @private
+     */
+    static _buildSearchSource(searchTerm, filters) {
+        const summarized = Object.entries(filters).every(([field, value]) =>
+            SUMMARY_FILTER_FIELDS.includes(field) || value === null || value === undefined ||
+            (Array.isArray(value) && value.length === 0));
+
+        if (!summarized) {
+            const { fromClause, params } = Gene._buildSearchFromClause(searchTerm, filters, true);
+            return {
+                columns: `
+                    COUNT(DISTINCT e.experiment_id) as experiment_count,
+                    COUNT(DISTINCT cl.cellline_id) as cell_line_count,
+                    COUNT(s.sgrna_id) as total_sgrnas,
+                    AVG(s.log2fc) as avg_log2fc,
+                    MIN(s.start_pos) as min_start,
+                    MAX(s.end_pos) as max_end,
+                    MIN(gs.robust_z) as robust_z,
+                    MIN(gs.fdr_depleted) as fdr_depleted,
+                    MIN(gs.fdr_enriched) as fdr_enriched
+                `,
+                fromClause,
+                groupBy: 'GROUP BY g.gene_id, g.symbol, g.ensg, g.chr',
+                params
+            };
+        }
+
+        const { whereClause, params } = Gene._buildSearchWhereClause(searchTerm, filters);
+        if ([].concat(filters.cellline ?? []).length === 0) {
+            return {
+                columns: `
+                    gsum.experiment_count, gsum.cell_line_count, gsum.total_sgrnas, gsum.avg_log2fc,
+                    gsum.min_start, gsum.max_end, gsum.robust_z, gsum.fdr_depleted, gsum.fdr_enriched
+                `,
+                fromClause: `
+                    FROM gene_summary gsum
+                    JOIN genes g ON g.gene_id = gsum.gene_id
+                    ${whereClause}
+                `,
+                groupBy: '',
+                params
+            };
+        }
+
+        return {
+            columns: `
+                SUM(gcs.experiment_count) as experiment_count,
+                COUNT(*) as cell_line_count,
+                SUM(gcs.total_sgrnas) as total_sgrnas,
+                SUM(gcs.log2fc_sum) / NULLIF(SUM(gcs.log2fc_count), 0) as avg_log2fc,
+                MIN(gcs.min_start) as min_start,
+                MAX(gcs.max_end) as max_end,
+                MIN(gcs.robust_z) as robust_z,
+                MIN(gcs.fdr_depleted) as fdr_depleted,
+                MIN(gcs.fdr_enriched) as fdr_enriched
+            `,
+            fromClause: `
+                FROM gene_cellline_summary gcs
+                JOIN genes g ON g.gene_id = gcs.gene_id
+                JOIN cell_lines cl ON cl.cellline_id = gcs.cellline_id
+                ${whereClause}
+            `,
+            groupBy: 'GROUP BY g.gene_id, g.symbol, g.ensg, g.chr',
+            params
+        };
+    }
+
+    /**
+     * Count matching genes and sgRNAs per facet value for a search.
+     * Each facet ignores its own filter so that alternative values stay selectable.
+     * @param {Object} db - Database connection
+     * @param {string} searchTerm - Search term (symbol or ENSG, may be empty)
+     * @param {Object} filters - Active facet filters
+     * @param {Function} callback - Callback function receiving {facet: [{value, genes, sgrnas}]}
+     */
+    static getFacetCounts(db, searchTerm, filters = {}, callback) {
+        const facets = {};
+        let pending = FACET_FIELDS.length;
+        let failed = false;
+
+        FACET_FIELDS.forEach(field => {
+            const column = FILTER_COLUMNS[field];
+            const { fromClause, params } = Gene._buildSearchFromClause(searchTerm, { ...filters, [field]: [] });
+            const query = `
+                SELECT ${column} as value, COUNT(DISTINCT g.gene_id) as genes, COUNT(s.sgrna_id) as sgrnas
+                ${fromClause}
+                GROUP BY ${column}
+                ORDER BY sgrnas DESC, value ASC
+            `;
+
+            db.all(query, params, (err, rows) => {
+                if (failed) return;
+                if (err) {
+                    failed = true;
+                    return callback(err, null);
+                }
+
+                facets[field] = rows.filter(row => row.value !== null && row.value !== '');
+                if (--pending === 0) callback(null, facets);
+            });
+        });
+    }
+
+    /**
+     * Sort keys of the gene search: the sort field, then symbol, then gene_id as the unique tiebreaker
+     * @private
+     */
+    static _searchSortKeys(sortBy, sortOrder) {
+        const field = GENE_SORT_FIELDS.includes(sortBy) ? sortBy : 'symbol';
+        const order = sortOrder === 'DESC' ? 'DESC' : 'ASC';
+        const keys = [{ column: field, order }];
+        if (field !== 'symbol') keys.push({ column: 'symbol', order: 'ASC' });
+        keys.push({ column: 'gene_id', order: 'ASC' });
+        return keys;
+    }
+
+    /**
+     * Build the ordered, unpaginated gene search query
+     * @param {string} searchTerm - Search term (symbol or ENSG, may be empty when filters are set)
+     * @param {Object} options - {sortBy, sortOrder, filters, after (key values to start after, see utils/keysetCursor)}
+     * @returns {Object} {sql, params, keys}
+     */
+    static buildSearchQuery(searchTerm, options = {}) {
+        const { sortBy = 'symbol', sortOrder = 'ASC', filters = {}, after = null } = options;
+        const keys = Gene._searchSortKeys(sortBy, sortOrder);
+        const { columns, fromClause, groupBy, params } = Gene._buildSearchSource(searchTerm, filters);
+        const keyset = after ? keysetCondition(keys, after) : { condition: '1', params: [] };
+
+        // Sort keys are result columns (aggregates on the grouped paths), so they are compared outside
+        const sql = `
+            SELECT * FROM (
+                SELECT 
+                    g.gene_id,
+                    g.symbol,
+                    g.ensg,
+                    g.chr,
+                    ${columns}
+                ${fromClause}
+                ${groupBy}
+            )
+            WHERE ${keyset.condition}
+            ${orderByClause(keys)}
         `;
 
-        const countQuery = `
-            SELECT COUNT(DISTINCT g.gene_id) as total
+        return { sql, params: [...params, ...keyset.params], keys };
+    }
+
+    /**
+     * Search genes using optimized relational queries
+     * Aggregates only cover sgRNAs matching the filters; genes without any matching sgRNA are excluded.
+     * Searches filtered by gene and cell line only are served from the summary tables (see sql/summary_tables.sql).
+     * Pages are selected by `page`, or by `after` (keyset pagination, which skips the total count).
+     * @param {Object} db - Database connection
+     * @param {string} searchTerm - Search term (symbol or ENSG, may be empty when filters are set)
+     * @param {Object} options - {page, limit, sortBy, sortOrder, filters, after}
+     * @param {Function} callback - Callback receiving {results, totalRows, totalPages, nextKey}
+     */
+    static searchGenes(db, searchTerm, options = {}, callback) {
+        const { page = 1, limit = 25, filters = {}, after } = options;
+        const keyset = after !== undefined;
+        const offset = keyset ? 0 : (page - 1) * limit;
+        const { sql, params, keys } = Gene.buildSearchQuery(searchTerm, { ...options, after: after || null });
+
+        const source = Gene._buildSearchSource(searchTerm, filters);
+        const countQuery = keyset ? 'SELECT NULL as total' : `SELECT COUNT(DISTINCT g.gene_id) as total ${source.fromClause}`;
+
+        db.get(countQuery, keyset ? [] : source.params, (err, countResult) => {
+            if (err) return callback(err, null);
+
+            // One extra row tells whether there is a next page
+            db.all(`${sql} LIMIT ? OFFSET ?`, [...params, limit + 1, offset], (err, geneRows) => {
+                if (err) return callback(err, null);
+
+                const rows = geneRows.slice(0, limit);
+                const total = countResult.total;
+                callback(null, {
+                    results: rows.map(row => Gene.fromSearchRow(row).toJSON()),
+                    totalRows: total,
+                    totalPages: total === null ? null : Math.ceil(total / limit),
+                    nextKey: geneRows.length > limit ? keyValues(keys, rows[rows.length - 1]) : null
+                });
+            });
+        });
+    }
+
+    /**
+     * Create a Gene with cached stats from a gene search row
+     * @param {Object} row - Row of the query built by buildSearchQuery
+     * @returns {Gene} Gene instance
+     */
+    static fromSearchRow(row) {
+        const gene = new Gene({
+            gene_id: row.gene_id,
+            symbol: row.symbol,
+            ensg: row.ensg,
+            chr: row.chr
+        });
+
+        // Set cached stats
+        gene._stats = {
+            totalSgRNAs: row.total_sgrnas,
+            averageEffect: row.avg_log2fc,
+            cellLineCount: row.cell_line_count,
+            genomicRange: {
+                start: row.min_start,
+                end: row.max_end
+            }
+        };
+
+        gene.experiments = []; // Will be populated if needed
+        gene.experimentCount = row.experiment_count;
+        gene.cellLineCount = row.cell_line_count;
+        // Strongest score over the matching experiments
+        gene.scoreSummary = {
+            robustZ: row.robust_z,
+            fdrDepleted: row.fdr_depleted,
+            fdrEnriched: row.fdr_enriched
+        };
+
+        return gene;
+    }
+
+    /**
+     * Summarize the screens matching the filters, with totals over all of them.
+     * Depleted/enriched gene counts come from the precomputed gene scores (null for unscored screens).
+     * @param {Object} db - Database connection
+     * @param {Object} filters - Facet filters selecting the screens (e.g. {pubmed: [...]} or {cellline: [...]})
+     * @param {Function} callback - Callback receiving {geneCount, sgRNACount, minLog2fc, maxLog2fc, screens}
+     */
+    static screenSummaries(db, filters, callback) {
+        const { fromClause, params } = Gene._buildSearchFromClause('', filters);
+        const { conditions, params: hitParams } = Gene.buildFilterConditions(filters);
+        const screenColumns = SCREEN_COLUMNS.map(column => `e.${column}`).join(', ');
+
+        const totalQuery = `
+            SELECT COUNT(DISTINCT g.gene_id) as gene_count, COUNT(s.sgrna_id) as sgrna_count,
+                MIN(s.log2fc) as min_log2fc, MAX(s.log2fc) as max_log2fc
+            ${fromClause}
+        `;
+        const screenQuery = `
+            SELECT
+                ${screenColumns}, cl.name as cellline,
+                COUNT(DISTINCT g.gene_id) as gene_count,
+                COUNT(s.sgrna_id) as sgrna_count,
+                AVG(s.log2fc) as avg_log2fc
+            ${fromClause}
+            GROUP BY ${screenColumns}
+            ORDER BY cl.name, e.pubmed, e.condition
+        `;
+        // One gene_scores row per experiment, so no sgRNA join here
+        const hitQuery = `
+            SELECT
+                ${screenColumns},
+                SUM(gs.fdr_depleted <= ?) as depleted,
+                SUM(gs.fdr_enriched <= ?) as enriched
             FROM genes g
-            WHERE g.symbol LIKE ? OR g.ensg LIKE ?
+            JOIN experiments e ON g.gene_id = e.gene_id
+            JOIN cell_lines cl ON e.cellline_id = cl.cellline_id
+            JOIN gene_scores gs ON gs.experiment_id = e.experiment_id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            GROUP BY ${screenColumns}
         `;
 
-        db.get(countQuery, [searchPattern, searchPattern], (err, countResult) => {
+        db.get(totalQuery, params, (err, totals) => {
             if (err) return callback(err, null);
 
-            db.all(geneQuery, [searchPattern, searchPattern, limit, offset], (err, geneRows) => {
+            db.all(screenQuery, params, (err, screenRows) => {
                 if (err) return callback(err, null);
 
-                const results = geneRows.map(row => {
-                    const gene = new Gene({
-                        gene_id: row.gene_id,
-                        symbol: row.symbol,
-                        ensg: row.ensg,
-                        chr: row.chr
+                db.all(hitQuery, [HIT_FDR, HIT_FDR, ...hitParams], (err, hitRows) => {
+                    if (err) return callback(err, null);
+
+                    const hitsByScreen = new Map(hitRows.map(row => [Gene._screenKey(row), row]));
+                    callback(null, {
+                        geneCount: totals.gene_count,
+                        sgRNACount: totals.sgrna_count,
+                        minLog2fc: totals.min_log2fc,
+                        maxLog2fc: totals.max_log2fc,
+                        screens: screenRows.map(row => {
+                            const hits = hitsByScreen.get(Gene._screenKey(row));
+                            return {
+                                cellline: row.cellline,
+                                condition: row.condition,
+                                cas: row.cas,
+                                screentype: row.screentype,
+                                pubmed: row.pubmed,
+                                geneCount: row.gene_count,
+                                sgRNACount: row.sgrna_count,
+                                averageLog2fc: row.avg_log2fc,
+                                depletedGenes: hits ? hits.depleted : null,
+                                enrichedGenes: hits ? hits.enriched : null
+                            };
+                        })
                     });
+                });
+            });
+        });
+    }
 
-                    // Set cached stats
-                    gene._stats = {
-                        totalSgRNAs: row.total_sgrnas,
-                        averageEffect: row.avg_log2fc,
-                        cellLineCount: row.cell_line_count,
-                        genomicRange: {
-                            start: row.min_start,
-                            end: row.max_end
-                        }
-                    };
+    /**
+     * Most depleted (negative) and most enriched (positive) genes by average log2fc over the matching sgRNAs
+     * (the searchGenes aggregate)
+     * @param {Object} db - Database connection
+     * @param {Object} filters - Facet filters
+     * @param {number} top - Genes per direction
+     * @param {Function} callback - Callback receiving {depleted, enriched, hitFdr}
+     */
+    static topGenes(db, filters, top, callback) {
+        const { fromClause, params } = Gene._buildSearchFromClause('', filters, true);
+        const query = (sign, order) => `
+            SELECT
+                g.symbol, g.ensg, g.chr,
+                COUNT(s.sgrna_id) as total_sgrnas,
+                COUNT(DISTINCT cl.cellline_id) as cell_line_count,
+                AVG(s.log2fc) as avg_log2fc,
+                MIN(gs.fdr_depleted) as fdr_depleted,
+                MIN(gs.fdr_enriched) as fdr_enriched
+            ${fromClause}
+            GROUP BY g.gene_id
+            HAVING avg_log2fc ${sign} 0
+            ORDER BY avg_log2fc ${order}, g.symbol
+            LIMIT ?
+        `;
+        const format = row => ({
+            symbol: row.symbol,
+            ensg: row.ensg,
+            chr: row.chr,
+            totalSgRNAs: row.total_sgrnas,
+            cellLineCount: row.cell_line_count,
+            averageLog2fc: row.avg_log2fc,
+            fdrDepleted: row.fdr_depleted,
+            fdrEnriched: row.fdr_enriched
+        });
 
-                    gene.experiments = []; // Will be populated if needed
-                    gene.experimentCount = row.experiment_count;
-                    gene.cellLineCount = row.cell_line_count;
+        db.all(query('<', 'ASC'), [...params, top], (err, depleted) => {
+            if (err) return callback(err, null);
 
-                    return gene;
+            db.all(query('>', 'DESC'), [...params, top], (err, enriched) => {
+                if (err) return callback(err, null);
+                callback(null, { depleted: depleted.map(format), enriched: enriched.map(format), hitFdr: HIT_FDR });
+            });
+        });
+    }
+
+    /**
+     * Every gene ranked by average log2fc over the matching sgRNAs, most depleted first
+     * @param {Object} db - Database connection
+     * @param {Object} filters - Facet filters
+     * @param {Function} callback - Callback receiving [{symbol, averageLog2fc}]
+     */
+    static rankByEffect(db, filters, callback) {
+        const { fromClause, params } = Gene._buildSearchFromClause('', filters);
+        const query = `
+            SELECT g.symbol, AVG(s.log2fc) as avg_log2fc
+            ${fromClause}
+            GROUP BY g.gene_id
+            HAVING avg_log2fc IS NOT NULL
+            ORDER BY avg_log2fc ASC, g.symbol
+        `;
+
+        db.all(query, params, (err, rows) => {
+            if (err) return callback(err, null);
+            callback(null, rows.map(row => ({ symbol: row.symbol, averageLog2fc: row.avg_log2fc })));
+        });
+    }
+
+    /**
+     * Build a gene x cell line matrix of average log2fc and guide counts
+     * @param {Object} db - Database connection
+     * @param {Array<string>} symbols - Gene symbols (rows, in request order)
+     * @param {Array<string>} celllines - Cell lines (columns); empty for every cell line screening one of the genes
+     * @param {Object} filters - Additional facet filters (symbol and cellline are replaced)
+     * @param {Function} callback - Callback receiving {genes, celllines, log2fc, sgRNACount, order, missing}
+     */
+    static compareMatrix(db, symbols, celllines, filters = {}, callback) {
+        const { fromClause, params } = Gene._buildSearchFromClause('', { ...filters, symbol: symbols, cellline: celllines });
+        const query = `
+            SELECT g.symbol, cl.name as cellline, AVG(s.log2fc) as avg_log2fc, COUNT(s.sgrna_id) as sgrna_count
+            ${fromClause}
+            GROUP BY g.symbol, cl.name
+        `;
+
+        db.all(query, params, (err, rows) => {
+            if (err) return callback(err, null);
+
+            const found = new Set(rows.map(row => row.symbol));
+            const genes = symbols.filter(symbol => found.has(symbol));
+            const columns = celllines.length > 0
+                ? celllines
+                : [...new Set(rows.map(row => row.cellline))].sort();
+
+            const log2fc = genes.map(() => columns.map(() => null));
+            const sgRNACount = genes.map(() => columns.map(() => 0));
+            rows.forEach(row => {
+                const i = genes.indexOf(row.symbol);
+                const j = columns.indexOf(row.cellline);
+                if (i === -1 || j === -1) return;
+                log2fc[i][j] = row.avg_log2fc;
+                sgRNACount[i][j] = row.sgrna_count;
+            });
+
+            callback(null, {
+                genes,
+                celllines: columns,
+                log2fc,
+                sgRNACount,
+                order: {
+                    genes: clusterOrder(log2fc),
+                    celllines: clusterOrder(columns.map((_, j) => log2fc.map(row => row[j])))
+                },
+                missing: symbols.filter(symbol => !found.has(symbol))
+            });
+        });
+    }
+
+    /**
+     * Compare each gene's sgRNA log2fc distribution between two experiment groups.
+     * Genes need guides in both groups; FDRs are Benjamini-Hochberg over all compared genes.
+     * @param {Object} db - Database connection
+     * @param {Object} groupA - Facet filters selecting the first group (e.g. {cellline: ['KBM7']})
+     * @param {Object} groupB - Facet filters selecting the second group
+     * @param {Object} options - {sortBy, sortOrder} (see DIFFERENTIAL_SORT_FIELDS)
+     * @param {Function} callback - Callback receiving an array of per-gene results
+     */
+    static differentialEffects(db, groupA, groupB, options = {}, callback) {
+        const { sortBy = 'welch_p', sortOrder = 'ASC' } = options;
+
+        const loadGroup = (filters, done) => {
+            const { fromClause, params } = Gene._buildSearchFromClause('', filters);
+            db.all(`SELECT g.symbol, s.log2fc ${fromClause}`, params, (err, rows) => {
+                if (err) return done(err);
+                const values = new Map();
+                rows.forEach(row => {
+                    if (row.log2fc === null) return;
+                    if (!values.has(row.symbol)) values.set(row.symbol, []);
+                    values.get(row.symbol).push(row.log2fc);
                 });
+                done(null, values);
+            });
+        };
+
+        loadGroup(groupA, (err, valuesA) => {
+            if (err) return callback(err, null);
+
+            loadGroup(groupB, (err, valuesB) => {
+                if (err) return callback(err, null);
+
+                const results = [];
+                valuesA.forEach((a, symbol) => {
+                    const b = valuesB.get(symbol);
+                    if (!b) return;
+                    const meanA = mean(a);
+                    const meanB = mean(b);
+                    results.push({
+                        symbol,
+                        countA: a.length,
+                        countB: b.length,
+                        meanA,
+                        meanB,
+                        difference: meanB - meanA,
+                        medianDifference: median(b) - median(a),
+                        welch: welchTTest(a, b),
+                        mannWhitney: mannWhitneyU(a, b)
+                    });
+                });
+
+                const welchFdr = benjaminiHochberg(results.map(result => result.welch.pValue));
+                const mannWhitneyFdr = benjaminiHochberg(results.map(result => result.mannWhitney.pValue));
+                results.forEach((result, i) => {
+                    result.welch.fdr = welchFdr[i];
+                    result.mannWhitney.fdr = mannWhitneyFdr[i];
+                });
+
+                const sortValue = DIFFERENTIAL_SORT_FIELDS[sortBy] || DIFFERENTIAL_SORT_FIELDS.welch_p;
+                const direction = sortOrder === 'DESC' ? -1 : 1;
+                results.sort((x, y) => {
+                    const a = sortValue(x);
+                    const b = sortValue(y);
+                    if (a === null || b === null) return (a === null) - (b === null); // missing values last
+                    if (a < b) return -direction;
+                    if (a > b) return direction;
+                    return x.symbol.localeCompare(y.symbol);
+                });
+
+                callback(null, results);
+            });
+        });
+    }
+
+    /**
+     * Build the unpaginated query behind streaming exports
+     * @param {string} searchTerm - Search term (symbol, ENSG or empty)
+     * @param {Object} filters - Facet filters
+     * @param {string} level - 'sgrna' for one row per sgRNA, 'gene' for gene summaries
+     * @returns {Object} {sql, params}
+     */
+    static buildExportQuery(searchTerm, filters, level) {
+        const { fromClause, params } = Gene._buildSearchFromClause(searchTerm, filters);
+
+        if (level === 'gene') {
+            return {
+                sql: `
+                    SELECT g.gene_id, g.symbol, g.ensg, g.chr,
+                        COUNT(DISTINCT e.experiment_id) as experiment_count,
+                        COUNT(DISTINCT cl.cellline_id) as cell_line_count,
+                        COUNT(s.sgrna_id) as total_sgrnas,
+                        AVG(s.log2fc) as avg_log2fc,
+                        MIN(s.start_pos) as min_start,
+                        MAX(s.end_pos) as max_end
+                    ${fromClause}
+                    GROUP BY g.gene_id, g.symbol, g.ensg, g.chr
+                    ORDER BY g.symbol
+                `,
+                params
+            };
+        }
+
+        return {
+            sql: `
+                SELECT s.sgrna_id, g.symbol, g.ensg, g.chr,
+                    s.start_pos as start, s.end_pos as end, s.strand, s.sequence, s.log2fc, s.effect,
+                    s.rc_initial, s.rc_final,
+                    cl.name as cellline, e.condition, e.cas, e.screentype, e.pubmed
+                ${fromClause}
+                ORDER BY g.chr, s.start_pos, s.sgrna_id
+            `,
+            params
+        };
+    }
+
+    /**
+     * Find genes and sgRNAs overlapping a genomic region
+     * Genes are summarized over their overlapping sgRNAs; sgRNAs are paginated.
+     * @param {Object} db - Database connection
+     * @param {Object} filters - Facet filters including region {chr, start, end}
+     * @param {Object} options - Pagination options
+     * @param {Function} callback - Callback function
+     */
+    static findInRegion(db, filters, options = {}, callback) {
+        const { page = 1, limit = 100 } = options;
+        const offset = (page - 1) * limit;
+        const { fromClause, params } = Gene._buildSearchFromClause('', filters);
+
+        const geneQuery = `
+            SELECT g.gene_id, g.symbol, g.ensg, g.chr,
+                COUNT(s.sgrna_id) as sgrna_count,
+                COUNT(DISTINCT cl.cellline_id) as cell_line_count,
+                AVG(s.log2fc) as avg_log2fc,
+                MIN(s.start_pos) as min_start,
+                MAX(s.end_pos) as max_end
+            ${fromClause}
+            GROUP BY g.gene_id, g.symbol, g.ensg, g.chr
+            ORDER BY min_start
+        `;
+
+        const sgRNAQuery = `
+            SELECT g.symbol, g.ensg, g.chr,
+                cl.name as cellline, e.condition, e.cas, e.screentype, e.pubmed,
+                s.sgrna_id, s.sequence, s.start_pos, s.end_pos, s.strand, s.log2fc, s.effect, s.rc_initial, s.rc_final
+            ${fromClause}
+            ORDER BY s.start_pos, s.sgrna_id
+            LIMIT ? OFFSET ?
+        `;
+
+        db.all(geneQuery, params, (err, geneRows) => {
+            if (err) return callback(err, null);
+
+            db.all(sgRNAQuery, [...params, limit, offset], (err, sgRNARows) => {
+                if (err) return callback(err, null);
+
+                const totalSgRNAs = geneRows.reduce((sum, row) => sum + row.sgrna_count, 0);
 
                 callback(null, {
-                    results: results.map(gene => gene.toJSON()),
-                    totalRows: countResult.total,
-                    totalPages: Math.ceil(countResult.total / limit)
+                    genes: geneRows.map(row => ({
+                        id: row.gene_id,
+                        symbol: row.symbol,
+                        ensg: row.ensg,
+                        chr: row.chr,
+                        sgRNACount: row.sgrna_count,
+                        cellLineCount: row.cell_line_count,
+                        averageEffect: row.avg_log2fc,
+                        genomicRange: { start: row.min_start, end: row.max_end }
+                    })),
+                    sgRNAs: sgRNARows.map(row => ({
+                        symbol: row.symbol,
+                        ensg: row.ensg,
+                        chr: row.chr,
+                        cellline: row.cellline,
+                        condition: row.condition,
+                        cas: row.cas,
+                        screentype: row.screentype,
+                        pubmed: row.pubmed,
+                        ...Gene.formatSgRNA(row)
+                    })),
+                    totalSgRNAs,
+                    totalPages: Math.ceil(totalSgRNAs / limit)
                 });
             });
         });
@@ -331,6 +1250,9 @@ class Gene extends BaseModel {
         gene.pubmed = row.pubmed;
         gene.rc_initial = row.rc_initial;
         gene.rc_final = row.rc_final;
+        gene.recomputedLog2fc = row.recomputed_log2fc ?? null;
+        gene.lowCount = row.low_count ?? null;
+        gene.normalization = row.normalization || null;
 
         // Calculated properties for details template  
         gene.length = row.sequence ? row.sequence.length : ((gene.start && gene.end) ? Math.abs(gene.end - gene.start) + 1 : null);
@@ -357,6 +1279,9 @@ class Gene extends BaseModel {
                 pubmed: this.pubmed,
                 rc_initial: this.rc_initial,
                 rc_final: this.rc_final,
+                recomputedLog2fc: this.recomputedLog2fc,
+                lowCount: this.lowCount,
+                normalization: this.normalization,
                 length: this.length,
                 midpoint: this.midpoint,
                 foldChange: this.foldChange,
@@ -369,4 +1294,9 @@ class Gene extends BaseModel {
     }
 }
 
+Gene.FILTER_FIELDS = Object.keys(FILTER_COLUMNS);
+Gene.FACET_FIELDS = FACET_FIELDS;
+Gene.SORT_FIELDS = GENE_SORT_FIELDS;
+Gene.DIFFERENTIAL_SORT_FIELDS = Object.keys(DIFFERENTIAL_SORT_FIELDS);
+
 module.exports = Gene;
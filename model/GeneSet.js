@@ -0,0 +1,176 @@
+/**
+ * Gene set model for imported GMT collections and enrichment of screen hits
+ */
+
+const BaseModel = require('./BaseModel');
+const Gene = require('./Gene');
+const { ENRICHMENT_DEFAULTS, gseaInWorker, overRepresentation } = require('../utils/enrichment');
+
+class GeneSet extends BaseModel {
+    /**
+     * List imported gene sets
+     * @param {Object} db - Database connection
+     * @param {string|null} collection - Only sets of this collection
+     * @param {Function} callback - Callback receiving [{id, collection, name, description, size}]
+     */
+    static list(db, collection, callback) {
+        const query = `
+            SELECT gs.set_id, gs.collection, gs.name, gs.description, COUNT(m.symbol) as size
+            FROM gene_sets gs
+            LEFT JOIN gene_set_members m ON m.set_id = gs.set_id
+            ${collection ? 'WHERE gs.collection = ?' : ''}
+            GROUP BY gs.set_id
+            ORDER BY gs.collection, gs.name
+        `;
+
+        db.all(query, collection ? [collection] : [], (err, rows) => {
+            if (err) return callback(err, null);
+            callback(null, rows.map(row => ({
+                id: row.set_id,
+                collection: row.collection,
+                name: row.name,
+                description: row.description,
+                size: row.size
+            })));
+        });
+    }
+
+    /**
+     * Filters selecting the screen an experiment belongs to
+     * @private
+     */
+    static _screenFilters(db, experimentId, callback) {
+        const query = `
+            SELECT cl.name as cellline, e.condition, e.cas, e.screentype, e.pubmed
+            FROM experiments e
+            JOIN cell_lines cl ON e.cellline_id = cl.cellline_id
+            WHERE e.experiment_id = ?
+        `;
+
+        db.get(query, [experimentId], (err, row) => {
+            if (err || !row) return callback(err, null);
+            const filters = {};
+            Object.entries(row).forEach(([field, value]) => {
+                if (value !== null) filters[field] = [value];
+            });
+            callback(null, filters);
+        });
+    }
+
+    /**
+     * Test gene sets for enrichment among the depleted or enriched genes of a selection.
+     * Genes are ranked by the average log2fc of their guides in the selection (the searchGenes aggregate);
+     * hits for the hypergeometric test are genes whose best gene score FDR in that direction is below `fdr`.
+     * @param {Object} db - Database connection
+     * @param {Object} options - {filters, experimentId, collection, method, direction, minSize, maxSize, fdr, permutations}
+     * @param {Function} callback - Callback receiving {selection: {genes, hits}, data} or null for an unknown experiment
+     */
+    static enrichment(db, options, callback) {
+        const settings = { ...ENRICHMENT_DEFAULTS, filters: {}, experimentId: null, collection: null, ...options };
+
+        const withSelection = done => (settings.experimentId
+            ? GeneSet._screenFilters(db, settings.experimentId, done)
+            : done(null, settings.filters));
+
+        withSelection((err, filters) => {
+            if (err || !filters) return callback(err, null);
+
+            const { fromClause, params } = Gene._buildSearchFromClause('', filters, true);
+            const geneQuery = `
+                SELECT g.symbol, AVG(s.log2fc) as avg_log2fc, MIN(gs.fdr_depleted) as fdr_depleted, MIN(gs.fdr_enriched) as fdr_enriched
+                ${fromClause}
+                GROUP BY g.gene_id
+                HAVING avg_log2fc IS NOT NULL
+            `;
+
+            db.all(geneQuery, params, (err, genes) => {
+                if (err) return callback(err, null);
+
+                const sign = settings.direction === 'enriched' ? -1 : 1;
+                const fdrField = settings.direction === 'enriched' ? 'fdr_enriched' : 'fdr_depleted';
+                const ranked = genes
+                    .map(gene => ({ symbol: gene.symbol, score: gene.avg_log2fc, fdr: gene[fdrField] }))
+                    .sort((a, b) => sign * (a.score - b.score) || a.symbol.localeCompare(b.symbol));
+                const rankBySymbol = new Map(ranked.map((gene, rank) => [gene.symbol.toUpperCase(), rank]));
+                const isHit = gene => gene.fdr !== null && gene.fdr <= settings.fdr;
+                const hitCount = ranked.filter(isHit).length;
+
+                GeneSet._loadMembers(db, settings.collection, (err, sets) => {
+                    if (err) return callback(err, null);
+
+                    // Sets are sized by their screened members; the whole list would leave no genes outside the set
+                    const tested = sets
+                        .map(set => {
+                            const positions = [...new Set(set.members
+                                .map(symbol => rankBySymbol.get(symbol.toUpperCase()))
+                                .filter(rank => rank !== undefined))].sort((a, b) => a - b);
+                            return { ...set, positions };
+                        })
+                        .filter(set => set.positions.length >= settings.minSize && set.positions.length <= settings.maxSize &&
+                            set.positions.length < ranked.length);
+
+                    let compute;
+                    if (settings.method === 'hypergeometric') {
+                        tested.forEach(set => {
+                            set.hits = set.positions.filter(rank => isHit(ranked[rank])).map(rank => ranked[rank].symbol);
+                        });
+                        compute = Promise.resolve(overRepresentation(ranked.length, hitCount, tested));
+                    } else {
+                        compute = gseaInWorker(ranked, tested.map(set => ({ positions: set.positions })),
+                            { permutations: settings.permutations });
+                    }
+
+                    compute.then(results => {
+                        const data = tested
+                            .map((set, i) => ({
+                                id: set.id,
+                                collection: set.collection,
+                                name: set.name,
+                                description: set.description,
+                                size: set.members.length,
+                                screenedSize: set.positions.length,
+                                ...results[i]
+                            }))
+                            .sort((a, b) => a.pValue - b.pValue || Math.abs(b.nes ?? b.foldEnrichment ?? 0) - Math.abs(a.nes ?? a.foldEnrichment ?? 0) ||
+                                a.name.localeCompare(b.name));
+
+                        const activeFilters = Object.fromEntries(Object.entries(filters)
+                            .filter(([, value]) => value !== null && !(Array.isArray(value) && value.length === 0)));
+                        callback(null, { selection: { filters: activeFilters, genes: ranked.length, hits: hitCount }, data });
+                    }, err => callback(err, null));
+                });
+            });
+        });
+    }
+
+    /**
+     * Load sets with their member symbols
+     * @private
+     */
+    static _loadMembers(db, collection, callback) {
+        const query = `
+            SELECT gs.set_id, gs.collection, gs.name, gs.description, m.symbol
+            FROM gene_sets gs
+            JOIN gene_set_members m ON m.set_id = gs.set_id
+            ${collection ? 'WHERE gs.collection = ?' : ''}
+            ORDER BY gs.set_id
+        `;
+
+        db.all(query, collection ? [collection] : [], (err, rows) => {
+            if (err) return callback(err, null);
+
+            const sets = new Map();
+            rows.forEach(row => {
+                if (!sets.has(row.set_id)) {
+                    sets.set(row.set_id, {
+                        id: row.set_id, collection: row.collection, name: row.name, description: row.description, members: []
+                    });
+                }
+                sets.get(row.set_id).members.push(row.symbol);
+            });
+            callback(null, Array.from(sets.values()));
+        });
+    }
+}
+
+module.exports = GeneSet;
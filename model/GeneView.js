@@ -8,6 +8,8 @@ class GeneView {
         this.symbol = data.symbol;
         this.ensg = data.ensg;
         this.chr = data.chr;
+        this.normalization = data.normalization || null;
+        this.genomicRange = data.genomicRange || { start: null, end: null };
         this.cellLines = []; // Array of CellLineView objects for frontend compatibility
     }
 
@@ -40,7 +42,9 @@ class GeneView {
             log2fc: cellLineData.log2fc,
             effect: cellLineData.effect,
             rc_initial: cellLineData.rc_initial,
-            rc_final: cellLineData.rc_final
+            rc_final: cellLineData.rc_final,
+            recomputedLog2fc: cellLineData.recomputedLog2fc,
+            lowCount: cellLineData.lowCount
         });
     }
 
@@ -83,6 +87,8 @@ class GeneView {
             chr: this.chr,
             totalSgRNAs: this.getTotalSgRNACount(),
             averageEffect: this.getAverageEffect(),
+            normalization: this.normalization,
+            genomicRange: this.genomicRange,
             cellLines: this.cellLines.map(cl => cl.toJSON())
         };
     }
@@ -96,7 +102,9 @@ class GeneView {
         const geneView = new GeneView({
             symbol: geneData.symbol,
             ensg: geneData.ensg,
-            chr: geneData.chr
+            chr: geneData.chr,
+            normalization: geneData.normalization,
+            genomicRange: geneData.genomicRange
         });
 
         if (geneData.experiments) {
@@ -187,6 +195,8 @@ class SgRNAView {
         this.effect = data.effect;
         this.rc_initial = data.rc_initial;
         this.rc_final = data.rc_final;
+        this.recomputedLog2fc = data.recomputedLog2fc ?? null;
+        this.lowCount = data.lowCount ?? null;
     }
 
     /**
@@ -224,6 +234,8 @@ class SgRNAView {
             effect: this.effect,
             rc_initial: this.rc_initial,
             rc_final: this.rc_final,
+            recomputedLog2fc: this.recomputedLog2fc,
+            lowCount: this.lowCount,
             midpoint: this.getMidpoint(),
             length: this.getLength(),
             foldChange: this.getFoldChange()
@@ -0,0 +1,224 @@
+/**
+ * sgRNA model for guide-level lookups across genes and screens
+ */
+
+const BaseModel = require('./BaseModel');
+const Gene = require('./Gene');
+const { SequenceIndex } = require('../utils/sequenceIndex');
+const { orderByClause, keysetCondition, keyValues } = require('../utils/keysetCursor');
+
+// Upper bound on matching sgRNA ids loaded per sequence search
+const MAX_SEQUENCE_HITS = 10000;
+
+// Sort fields of the sgRNA search and the result columns they order by (rowid is the sgRNA id)
+const SORT_COLUMNS = {
+    rowid: 'sgrna_id',
+    chr: 'chr',
+    start: 'start_pos',
+    end: 'end_pos',
+    strand: 'strand',
+    symbol: 'symbol',
+    ensg: 'ensg',
+    log2fc: 'log2fc',
+    effect: 'effect',
+    cellline: 'cellline'
+};
+
+// Sequence index per database connection, shared by its requests; rebuilt when the sgrnas table changes
+const sequenceIndexes = new WeakMap();
+
+class SgRNA extends BaseModel {
+    /**
+     * Get the sequence index, rebuilding it when sgRNAs were added or removed since it was built
+     * @param {Object} db - Database connection
+     * @param {Function} callback - Callback receiving the SequenceIndex
+     */
+    static getSequenceIndex(db, callback) {
+        db.get('SELECT COUNT(*) as count, MAX(sgrna_id) as maxId FROM sgrnas', (err, row) => {
+            if (err) return callback(err, null);
+
+            const version = `${row.count}:${row.maxId}`;
+            const cached = sequenceIndexes.get(db) || { index: null, version: null, pendingLoads: null };
+            sequenceIndexes.set(db, cached);
+            if (cached.index && cached.version === version) return callback(null, cached.index);
+            if (cached.pendingLoads) return cached.pendingLoads.push(callback);
+
+            cached.pendingLoads = [callback];
+            SequenceIndex.load(db, (err, index) => {
+                const callbacks = cached.pendingLoads;
+                cached.pendingLoads = null;
+                if (!err) {
+                    cached.index = index;
+                    cached.version = version;
+                }
+                callbacks.forEach(done => done(err, err ? null : index));
+            });
+        });
+    }
+
+    /**
+     * Find sgRNAs whose sequence contains the given sequence on either strand with up to `mismatches` substitutions
+     * @param {Object} db - Database connection
+     * @param {string} sequence - Uppercase ACGT sequence
+     * @param {Object} options - {mismatches, pam, filters, page, limit}
+     * @param {Function} callback - Callback receiving {data, totalResults, totalPages, sequences, truncated, pamUnchecked}
+     */
+    static searchBySequence(db, sequence, options = {}, callback) {
+        const { mismatches = 0, pam = '', filters = {}, page = 1, limit = 25 } = options;
+
+        SgRNA.getSequenceIndex(db, (err, index) => {
+            if (err) return callback(err, null);
+
+            const { hits, pamUnchecked } = index.search(sequence, { mismatches, pam });
+            const matchById = new Map();
+            hits.forEach(hit => hit.sgrnaIds.forEach(id => {
+                const current = matchById.get(id);
+                if (!current || hit.mismatches < current.mismatches) matchById.set(id, hit);
+            }));
+
+            const ids = Array.from(matchById.keys()).slice(0, MAX_SEQUENCE_HITS);
+            if (ids.length === 0) {
+                return callback(null, { data: [], totalResults: 0, totalPages: 0, sequences: 0, truncated: false, pamUnchecked });
+            }
+
+            const { conditions, params } = Gene.buildFilterConditions(filters);
+            conditions.push(`s.sgrna_id IN (${ids.map(() => '?').join(', ')})`);
+            const query = `
+                SELECT
+                    g.symbol, g.ensg, g.chr,
+                    e.experiment_id, cl.name as cellline, e.condition, e.cas, e.screentype, e.pubmed,
+                    s.sgrna_id, s.sequence, s.start_pos, s.end_pos, s.strand, s.log2fc, s.effect, s.rc_initial, s.rc_final
+                FROM genes g
+                JOIN experiments e ON g.gene_id = e.gene_id
+                JOIN cell_lines cl ON e.cellline_id = cl.cellline_id
+                JOIN sgrnas s ON e.experiment_id = s.experiment_id
+                WHERE ${conditions.join(' AND ')}
+            `;
+
+            db.all(query, [...params, ...ids], (err, rows) => {
+                if (err) return callback(err, null);
+
+                const results = rows
+                    .map(row => {
+                        const hit = matchById.get(row.sgrna_id);
+                        return {
+                            symbol: row.symbol,
+                            ensg: row.ensg,
+                            chr: row.chr,
+                            experimentId: row.experiment_id,
+                            cellline: row.cellline,
+                            condition: row.condition,
+                            cas: row.cas,
+                            screentype: row.screentype,
+                            pubmed: row.pubmed,
+                            ...Gene.formatSgRNA(row),
+                            match: { strand: hit.strand, offset: hit.offset, mismatches: hit.mismatches, pam: hit.pam }
+                        };
+                    })
+                    .sort((a, b) => a.match.mismatches - b.match.mismatches ||
+                        a.symbol.localeCompare(b.symbol) || a.id - b.id);
+
+                callback(null, {
+                    data: results.slice((page - 1) * limit, page * limit),
+                    totalResults: results.length,
+                    totalPages: Math.ceil(results.length / limit),
+                    sequences: new Set(results.map(result => result.sequence)).size,
+                    truncated: matchById.size > MAX_SEQUENCE_HITS,
+                    pamUnchecked
+                });
+            });
+        });
+    }
+
+    /**
+     * Build the ordered, unpaginated sgRNA search query; the sort field is followed by sgrna_id as the unique tiebreaker
+     * @param {string} searchTerm - Search term (symbol or ENSG, may be empty when filters are set)
+     * @param {Object} options - {sortBy (see SORT_COLUMNS), sortOrder, filters, after (key values to start after)}
+     * @returns {Object} {sql, params, keys}
+     */
+    static buildSearchQuery(searchTerm, options = {}) {
+        const { sortBy = 'rowid', sortOrder = 'ASC', filters = {}, after = null } = options;
+        const column = SORT_COLUMNS[sortBy] || SORT_COLUMNS.rowid;
+        const order = sortOrder === 'DESC' ? 'DESC' : 'ASC';
+        const keys = column === 'sgrna_id'
+            ? [{ column, order }]
+            : [{ column, order }, { column: 'sgrna_id', order: 'ASC' }];
+
+        const { fromClause, params } = Gene._buildSearchFromClause(searchTerm, filters);
+        const keyset = after ? keysetCondition(keys, after) : { condition: '1', params: [] };
+
+        const sql = `
+            SELECT * FROM (
+                SELECT
+                    g.symbol, g.ensg, g.chr,
+                    e.experiment_id, cl.name as cellline, e.condition, e.cas, e.screentype, e.pubmed,
+                    s.sgrna_id, s.sequence, s.start_pos, s.end_pos, s.strand, s.log2fc, s.effect, s.rc_initial, s.rc_final
+                ${fromClause}
+            )
+            WHERE ${keyset.condition}
+            ${orderByClause(keys)}
+        `;
+
+        return { sql, params: [...params, ...keyset.params], keys };
+    }
+
+    /**
+     * Search sgRNAs by gene symbol/ENSG and facet filters, one result per guide and screen.
+     * Pages are selected by `page`, or by `after` (keyset pagination, which skips the total count).
+     * @param {Object} db - Database connection
+     * @param {string} searchTerm - Search term (may be empty when filters are set)
+     * @param {Object} options - {page, limit, sortBy, sortOrder, filters, after}
+     * @param {Function} callback - Callback receiving {results, totalRows, totalPages, nextKey}
+     */
+    static search(db, searchTerm, options = {}, callback) {
+        const { page = 1, limit = 25, filters = {}, after } = options;
+        const keyset = after !== undefined;
+        const { sql, params, keys } = SgRNA.buildSearchQuery(searchTerm, { ...options, after: after || null });
+
+        const source = Gene._buildSearchFromClause(searchTerm, filters);
+        const countQuery = keyset ? 'SELECT NULL as total' : `SELECT COUNT(*) as total ${source.fromClause}`;
+
+        db.get(countQuery, keyset ? [] : source.params, (err, countResult) => {
+            if (err) return callback(err, null);
+
+            // One extra row tells whether there is a next page
+            db.all(`${sql} LIMIT ? OFFSET ?`, [...params, limit + 1, keyset ? 0 : (page - 1) * limit], (err, rows) => {
+                if (err) return callback(err, null);
+
+                const pageRows = rows.slice(0, limit);
+                const total = countResult.total;
+                callback(null, {
+                    results: pageRows.map(SgRNA.formatRow),
+                    totalRows: total,
+                    totalPages: total === null ? null : Math.ceil(total / limit),
+                    nextKey: rows.length > limit ? keyValues(keys, pageRows[pageRows.length - 1]) : null
+                });
+            });
+        });
+    }
+
+    /**
+     * Format an sgRNA search row with its gene and screen
+     * @param {Object} row - Row of the query built by buildSearchQuery
+     * @returns {Object} sgRNA record
+     */
+    static formatRow(row) {
+        return {
+            symbol: row.symbol,
+            ensg: row.ensg,
+            chr: row.chr,
+            experimentId: row.experiment_id,
+            cellline: row.cellline,
+            condition: row.condition,
+            cas: row.cas,
+            screentype: row.screentype,
+            pubmed: row.pubmed,
+            ...Gene.formatSgRNA(row)
+        };
+    }
+}
+
+SgRNA.MAX_SEQUENCE_HITS = MAX_SEQUENCE_HITS;
+SgRNA.SORT_FIELDS = Object.keys(SORT_COLUMNS);
+
+module.exports = SgRNA;
@@ -0,0 +1,125 @@
+/**
+ * Study model: screens grouped by their publication (pubmed ID)
+ */
+
+const BaseModel = require('./BaseModel');
+const Gene = require('./Gene');
+
+class Study extends BaseModel {
+    /**
+     * List every study with its cell lines, screen types, cas variants and counts
+     * @param {Object} db - Database connection
+     * @param {Function} callback - Callback receiving [{pubmed, screenCount, celllines, screentypes, cas, conditions, geneCount, sgRNACount}]
+     */
+    static list(db, callback) {
+        const countQuery = `
+            SELECT e.pubmed, COUNT(DISTINCT e.gene_id) as gene_count, COUNT(s.sgrna_id) as sgrna_count
+            FROM experiments e
+            JOIN sgrnas s ON e.experiment_id = s.experiment_id
+            GROUP BY e.pubmed
+        `;
+        const screenQuery = `
+            SELECT DISTINCT e.pubmed, cl.name as cellline, e.condition, e.cas, e.screentype
+            FROM experiments e
+            JOIN cell_lines cl ON e.cellline_id = cl.cellline_id
+        `;
+
+        db.all(countQuery, [], (err, counts) => {
+            if (err) return callback(err, null);
+
+            db.all(screenQuery, [], (err, screens) => {
+                if (err) return callback(err, null);
+
+                const screensByStudy = new Map();
+                screens.forEach(screen => {
+                    if (!screensByStudy.has(screen.pubmed)) screensByStudy.set(screen.pubmed, []);
+                    screensByStudy.get(screen.pubmed).push(screen);
+                });
+
+                callback(null, counts
+                    .map(row => {
+                        const studyScreens = screensByStudy.get(row.pubmed) || [];
+                        return new Study({
+                            pubmed: row.pubmed,
+                            screenCount: studyScreens.length,
+                            celllines: Study.distinctValues(studyScreens, 'cellline'),
+                            screentypes: Study.distinctValues(studyScreens, 'screentype'),
+                            cas: Study.distinctValues(studyScreens, 'cas'),
+                            conditions: Study.distinctValues(studyScreens, 'condition'),
+                            geneCount: row.gene_count,
+                            sgRNACount: row.sgrna_count
+                        }).toJSON();
+                    })
+                    .sort((a, b) => b.sgRNACount - a.sgRNACount || String(a.pubmed).localeCompare(String(b.pubmed))));
+            });
+        });
+    }
+
+    /**
+     * Load one study: per-screen summary, log2fc histogram and top depleted/enriched genes
+     * @param {Object} db - Database connection
+     * @param {string} pubmed - PubMed ID
+     * @param {Object} options - {bins (histogram bins), top (genes per direction)}
+     * @param {Function} callback - Callback receiving the study or null if no experiment cites it
+     */
+    static load(db, pubmed, options = {}, callback) {
+        const { bins = 40, top = 10 } = options;
+        const filters = { pubmed: [pubmed] };
+
+        Gene.screenSummaries(db, filters, (err, summary) => {
+            if (err) return callback(err, null);
+            if (summary.sgRNACount === 0) return callback(null, null);
+
+            Study._histogram(db, pubmed, summary.minLog2fc, summary.maxLog2fc, bins, (err, distribution) => {
+                if (err) return callback(err, null);
+
+                Gene.topGenes(db, filters, top, (err, topGenes) => {
+                    if (err) return callback(err, null);
+
+                    callback(null, new Study({
+                        pubmed,
+                        screenCount: summary.screens.length,
+                        celllines: Study.distinctValues(summary.screens, 'cellline'),
+                        screentypes: Study.distinctValues(summary.screens, 'screentype'),
+                        cas: Study.distinctValues(summary.screens, 'cas'),
+                        conditions: Study.distinctValues(summary.screens, 'condition'),
+                        geneCount: summary.geneCount,
+                        sgRNACount: summary.sgRNACount,
+                        screens: summary.screens,
+                        distribution,
+                        topGenes
+                    }).toJSON());
+                });
+            });
+        });
+    }
+
+    /**
+     * Histogram of the study's sgRNA log2fc values in equal-width bins between min and max
+     * @private
+     */
+    static _histogram(db, pubmed, min, max, bins, callback) {
+        if (min === null || max === null) {
+            return callback(null, { min: null, max: null, binWidth: null, counts: [] });
+        }
+
+        const binWidth = max > min ? (max - min) / bins : 1;
+        const query = `
+            SELECT MIN(CAST((s.log2fc - ?) / ? AS INTEGER), ?) as bin, COUNT(*) as count
+            FROM experiments e
+            JOIN sgrnas s ON e.experiment_id = s.experiment_id
+            WHERE e.pubmed = ? AND s.log2fc IS NOT NULL
+            GROUP BY bin
+        `;
+
+        db.all(query, [min, binWidth, bins - 1, pubmed], (err, rows) => {
+            if (err) return callback(err, null);
+
+            const counts = new Array(max > min ? bins : 1).fill(0);
+            rows.forEach(row => { counts[row.bin] += row.count; });
+            callback(null, { min, max, binWidth, counts });
+        });
+    }
+}
+
+module.exports = Study;
@@ -0,0 +1,507 @@
+/**
+ * OpenAPI 3.0 description of the REST API, served at /api/openapi.json and enforced by the request
+ * validator (openapi/validator.js). Enums and bounds are built from the constants the routes and models
+ * parse with, so the document lists exactly what the server accepts.
+ */
+
+const Gene = require('../model/Gene');
+const SgRNA = require('../model/SgRNA');
+const { EXPORT_FORMATS } = require('../utils/exportStream');
+const { ENRICHMENT_METHODS, ENRICHMENT_DEFAULTS } = require('../utils/enrichment');
+const { NORMALIZATION_METHODS, NORMALIZATION_DEFAULTS } = require('../utils/normalization');
+const { SequenceIndex } = require('../utils/sequenceIndex');
+const { version } = require('../package.json');
+
+// Page size caps: list endpoints (as parseQueryParams), search suggestions and JSON exports
+const MAX_LIMIT = 1000;
+const MAX_SUGGEST_LIMIT = 50;
+const MAX_EXPORT_LIMIT = 50000;
+
+// Enum values the routes lower- or upper-case before comparing (e.g. sortOrder=desc)
+const caseInsensitive = (values, extra = {}) => ({ type: 'string', enum: values, 'x-case-insensitive': true, ...extra });
+
+// Base-pair position with optional thousands separators and k/M suffix (see utils/genomicRegion)
+const coordinate = { type: 'string', pattern: '^[\\d,]+(\\.\\d+)?[kKmM]?$' };
+
+const ref = name => ({ $ref: `#/components/parameters/${name}` });
+
+const queryParam = (name, schema, description, extra = {}) => ({ name, in: 'query', description, schema, ...extra });
+
+const pathParam = (name, schema, description) => ({ name, in: 'path', required: true, description, schema });
+
+// Repeated parameter or comma-separated list (see parseList)
+const stringList = (extra = {}) => ({ type: 'array', items: { type: 'string' }, ...extra });
+
+const limitParam = (max, defaultValue) => queryParam('limit', { type: 'integer', minimum: 1, maximum: max, default: defaultValue },
+    `Results per page (1-${max})`);
+
+// Error responses of every operation
+const errorResponses = {
+    '400': { $ref: '#/components/responses/BadRequest' },
+    '401': { $ref: '#/components/responses/Unauthorized' },
+    '429': { $ref: '#/components/responses/TooManyRequests' },
+    '500': { $ref: '#/components/responses/ServerError' }
+};
+
+/**
+ * Operation object; every operation takes the dataset parameter
+ * @param {string} tag - Group in the docs page
+ * @param {string} summary - One-line description
+ * @param {Array<Object>} parameters - Parameter objects or references
+ * @param {Object} extra - Further fields, e.g. responses or requestBody
+ */
+function operation(tag, summary, parameters = [], extra = {}) {
+    const { responses = {}, ...rest } = extra;
+    return {
+        tags: [tag],
+        summary,
+        parameters: [...parameters, ref('dataset')],
+        ...rest,
+        responses: { '200': { description: 'OK' }, ...responses, ...errorResponses }
+    };
+}
+
+const notFound = { '404': { $ref: '#/components/responses/NotFound' } };
+const noContent = { '204': { description: 'Deleted' } };
+
+/**
+ * JSON request body of string fields with their length limits ({name: {required, max}}, see parseTextFields)
+ * @param {Object} fields - Text fields
+ * @param {Object} options - {partial: no field is required (PATCH)}, {extra: further properties}
+ */
+function textBody(fields, { partial = false, extra = {} } = {}) {
+    const properties = Object.fromEntries(Object.entries(fields).map(([name, { max }]) => [name, { type: 'string', maxLength: max }]));
+    const required = partial ? [] : Object.keys(fields).filter(name => fields[name].required);
+    return {
+        required: true,
+        content: {
+            'application/json': {
+                schema: { type: 'object', ...(required.length > 0 ? { required } : {}), properties: { ...properties, ...extra } }
+            }
+        }
+    };
+}
+
+/**
+ * Parameters of the facet filters (Gene.FILTER_FIELDS and the log2fc range)
+ */
+function filterParameters() {
+    return [...Gene.FILTER_FIELDS.map(field => ref(`filter.${field}`)), ref('minLog2fc'), ref('maxLog2fc')];
+}
+
+/**
+ * Build the OpenAPI document
+ * @param {Object} options - {datasets (names), recordLevels, maxCompareGenes, maxCompareCellLines, maxBatchGenes,
+ *   listFields, noteFields, listExportFormats} as configured in server.js
+ * @returns {Object} OpenAPI 3.0 document
+ */
+function createSpec(options) {
+    const {
+        datasets, recordLevels, maxCompareGenes, maxCompareCellLines, maxBatchGenes, listFields, noteFields, listExportFormats
+    } = options;
+    const recordSortFields = [...new Set([...Gene.SORT_FIELDS, ...SgRNA.SORT_FIELDS])];
+    const exportFormats = ['json', ...Object.keys(EXPORT_FORMATS)];
+    const exportLevels = [...new Set(Object.values(EXPORT_FORMATS).flatMap(format => format.levels))];
+
+    const filterParams = {};
+    Gene.FILTER_FIELDS.forEach(field => {
+        filterParams[`filter.${field}`] = queryParam(field, stringList(),
+            `Exact ${field} match; repeat the parameter or pass a comma-separated list to match any value`,
+            { style: 'form', explode: true });
+    });
+
+    // Facet filters of one differential comparison group, e.g. a[cellline]=KBM7
+    const groupSchema = {
+        type: 'object',
+        properties: {
+            ...Object.fromEntries(Gene.FILTER_FIELDS.map(field => [field, stringList()])),
+            minLog2fc: { type: 'number' },
+            maxLog2fc: { type: 'number' }
+        }
+    };
+
+    const listId = pathParam('id', { type: 'string', pattern: '^(\\d+|starred)$' }, 'List id, or starred for the Starred list');
+    const noteId = pathParam('id', { type: 'integer', minimum: 1 }, 'Note id');
+    const listItems = {
+        genes: stringList({ maxItems: maxBatchGenes, description: 'Gene symbols or ENSG IDs' }),
+        sgrnas: { type: 'array', maxItems: maxBatchGenes, items: { type: 'integer', minimum: 1 }, description: 'sgRNA ids' }
+    };
+    const conflict = { '409': { $ref: '#/components/responses/Conflict' } };
+
+    const summaryParams = [
+        queryParam('bins', { type: 'integer', minimum: 5, maximum: 200, default: 40 }, 'Histogram bins of the log2fc distribution'),
+        queryParam('top', { type: 'integer', minimum: 1, maximum: 100, default: 10 }, 'Top genes per direction')
+    ];
+
+    const differentialGroups = [
+        queryParam('a', groupSchema, 'Filters of group A, e.g. a[cellline]=KBM7', { style: 'deepObject', explode: true, required: true }),
+        queryParam('b', groupSchema, 'Filters of group B, e.g. b[cellline]=HAP1', { style: 'deepObject', explode: true, required: true })
+    ];
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'GenomeCRISPR Data Warehouse API',
+            version,
+            description: 'Genes, sgRNAs, screens and analyses of the GenomeCRISPR dataset. ' +
+                'Invalid parameters are answered with 400 and a list of errors. Every path also answers below /d/{dataset} ' +
+                '(e.g. /d/example/api/stats), like the dataset parameter. See also the GraphQL endpoint at /graphql. ' +
+                'Requests without an API key are rate limited per address; a key (X-API-Key header) has its own request ' +
+                'rate and daily export quota, reported in the X-RateLimit-* and X-Export-Quota-Remaining headers.'
+        },
+        // A key is optional unless the server runs with ANONYMOUS_RATE_LIMIT=0
+        security: [{}, { apiKey: [] }, { bearer: [] }],
+        tags: [
+            { name: 'Records', description: 'Gene and sgRNA searches' },
+            { name: 'Genes', description: 'Gene lookups, scores and comparisons' },
+            { name: 'Screens', description: 'Studies, cell lines, gene sets and enrichment' },
+            { name: 'Lists', description: 'Saved lists of genes and sgRNAs, and notes on them' },
+            { name: 'Export', description: 'Downloads in tabular and genomic formats' },
+            { name: 'Service', description: 'Statistics, diagnostics and this document' }
+        ],
+        paths: {
+            '/api/records': {
+                get: operation('Records', 'Genes or sgRNAs with page or cursor pagination and filtering', [
+                    ref('query'), ...filterParameters(), ref('page'), ref('limit'),
+                    queryParam('sortBy', { type: 'string', enum: recordSortFields },
+                        `Sort field of the level; gene: ${Gene.SORT_FIELDS.join(', ')} (default symbol); ` +
+                        `sgrna: ${SgRNA.SORT_FIELDS.join(', ')} (default rowid)`),
+                    ref('sortOrder'),
+                    queryParam('level', caseInsensitive(recordLevels),
+                        'gene summaries (default) or one record per sgRNA and screen (default of NDJSON streams)'),
+                    queryParam('cursor', { type: 'string' },
+                        'nextCursor of the previous page; an empty cursor starts keyset pagination at the first page')
+                ], {
+                    description: 'Records count against the daily export quota of the client (X-Export-Quota-Remaining); ' +
+                        'streams are capped at the rows left, and a used-up quota is answered with 429.',
+                    responses: {
+                        '200': {
+                            description: 'A page of records, or every record as NDJSON with Accept: application/x-ndjson',
+                            content: {
+                                'application/json': { schema: { $ref: '#/components/schemas/RecordPage' } },
+                                'application/x-ndjson': { schema: { type: 'string' } }
+                            }
+                        },
+                        '304': { description: 'Not modified since the dataset version in If-None-Match' }
+                    }
+                })
+            },
+            '/api/records/{id}': {
+                get: operation('Records', 'One sgRNA record with log2fc recomputed from read counts', [
+                    pathParam('id', { type: 'integer', minimum: 1 }, 'sgRNA id'),
+                    queryParam('normalization', caseInsensitive(NORMALIZATION_METHODS, { default: NORMALIZATION_DEFAULTS.method }),
+                        'Size factor method'),
+                    queryParam('pseudocount', { type: 'number', exclusiveMinimum: true, minimum: 0, default: NORMALIZATION_DEFAULTS.pseudocount },
+                        'Added to both normalized counts'),
+                    queryParam('minCount', { type: 'integer', minimum: 0, default: NORMALIZATION_DEFAULTS.minCount },
+                        'Minimum initial read count; lower guides are flagged as low count')
+                ], { responses: notFound })
+            },
+            '/api/sgrnas/search': {
+                get: operation('Records', 'sgRNAs matching a sequence on either strand, allowing mismatches', [
+                    queryParam('seq', { type: 'string', pattern: '^[ACGTUacgtu\\s]+$' }, 'DNA or RNA sequence',
+                        { required: true }),
+                    queryParam('mismatches', { type: 'integer', minimum: 0, maximum: SequenceIndex.MAX_MISMATCHES, default: 0 },
+                        'Mismatches allowed'),
+                    queryParam('pam', { type: 'string', pattern: '^[ACGTRYSWKMBDHVNacgtryswkmbdhvn]{1,8}$' },
+                        'PAM that must follow the match within the stored sequence, in IUPAC codes (e.g. NGG); 400 when the query leaves no room for it'),
+                    ...filterParameters(), ref('page'), ref('limit')
+                ])
+            },
+            '/api/region': {
+                get: operation('Records', 'Genes and sgRNAs overlapping a genomic region', [
+                    queryParam('region', { type: 'string' }, 'Region string, e.g. chr17:7.5M-7.7M'),
+                    queryParam('chr', { type: 'string' }, 'Chromosome (with start and end instead of region)'),
+                    queryParam('start', coordinate, 'Start position, e.g. 7500000, 7,500,000 or 7.5M'),
+                    queryParam('end', coordinate, 'End position'),
+                    ...filterParameters(), ref('page'), ref('limit')
+                ])
+            },
+            '/api/facets': {
+                get: operation('Records', 'Per-value counts of the filters, narrowed to the current search',
+                    [ref('query'), ...filterParameters()])
+            },
+            '/api/search/suggest': {
+                get: operation('Genes', 'Gene symbol suggestions', [
+                    queryParam('q', { type: 'string' }, 'Prefix of at least 2 characters'),
+                    limitParam(MAX_SUGGEST_LIMIT, 10)
+                ])
+            },
+            '/api/genes/batch': {
+                post: operation('Genes', 'Summaries of a list of gene symbols or ENSG IDs', [], {
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['genes'],
+                                    properties: { genes: stringList({ minItems: 1, maxItems: maxBatchGenes }) }
+                                }
+                            },
+                            'text/plain': { schema: { type: 'string', description: 'One symbol or ENSG ID per line' } }
+                        }
+                    }
+                })
+            },
+            '/api/genes/{symbol}/scores': {
+                get: operation('Genes', 'Precomputed essentiality scores per experiment',
+                    [pathParam('symbol', { type: 'string' }, 'Gene symbol')], { responses: notFound })
+            },
+            '/api/genes/{symbol}/differential': {
+                get: operation('Genes', "One gene's sgRNA log2fc distributions in two experiment groups",
+                    [pathParam('symbol', { type: 'string' }, 'Gene symbol'), ...differentialGroups, ...filterParameters()],
+                    { responses: notFound })
+            },
+            '/api/compare': {
+                get: operation('Genes', 'Gene x cell line matrix of average log2fc and guide counts', [
+                    queryParam('genes', stringList({ minItems: 1, maxItems: maxCompareGenes }), 'Gene symbols',
+                        { required: true, style: 'form', explode: true }),
+                    queryParam('celllines', stringList({ maxItems: maxCompareCellLines }), 'Cell lines (default: all)',
+                        { style: 'form', explode: true }),
+                    ...filterParameters()
+                ])
+            },
+            '/api/differential': {
+                get: operation('Genes', 'Per-gene differential effects between two experiment groups', [
+                    ...differentialGroups, ...filterParameters(), ref('page'), ref('limit'),
+                    queryParam('sortBy', { type: 'string', enum: Gene.DIFFERENTIAL_SORT_FIELDS, default: 'welch_p' }, 'Sort field'),
+                    ref('sortOrder'),
+                    queryParam('format', caseInsensitive(['json', 'csv', 'tsv'], { default: 'json' }), 'Response format')
+                ], {
+                    description: 'CSV and TSV downloads are capped at the rows left in the daily export quota of the client ' +
+                        '(X-Export-Quota-Remaining); a used-up quota is answered with 429.'
+                })
+            },
+            '/api/studies': {
+                get: operation('Screens', 'Studies with their cell lines, screen types, Cas variants and counts')
+            },
+            '/api/studies/{pubmed}': {
+                get: operation('Screens', 'Screens, log2fc distribution and top genes of a study',
+                    [pathParam('pubmed', { type: 'string' }, 'PubMed ID'), ...summaryParams], { responses: notFound })
+            },
+            '/api/celllines': {
+                get: operation('Screens', 'Cell lines with their screens, studies and counts')
+            },
+            '/api/celllines/{name}': {
+                get: operation('Screens', 'Screens, gene coverage and top genes of a cell line', [
+                    pathParam('name', { type: 'string' }, 'Cell line name'),
+                    ...summaryParams,
+                    queryParam('ranking', { type: 'boolean', default: false }, 'Include the ranking of every gene')
+                ], { responses: notFound })
+            },
+            '/api/gene-sets': {
+                get: operation('Screens', 'Imported gene sets',
+                    [queryParam('collection', { type: 'string' }, 'Only sets of this collection')])
+            },
+            '/api/enrichment': {
+                get: operation('Screens', 'Gene set enrichment among the depleted or enriched genes of a selection', [
+                    queryParam('experimentId', { type: 'integer', minimum: 1 }, 'Screen to test (instead of the filters)'),
+                    ...filterParameters(),
+                    queryParam('collection', { type: 'string' }, 'Only sets of this collection'),
+                    queryParam('method', caseInsensitive(ENRICHMENT_METHODS, { default: ENRICHMENT_DEFAULTS.method }), 'Test'),
+                    queryParam('direction', caseInsensitive(['depleted', 'enriched'], { default: ENRICHMENT_DEFAULTS.direction }),
+                        'Genes ranked by depletion or enrichment'),
+                    queryParam('minSize', { type: 'integer', minimum: 1, default: ENRICHMENT_DEFAULTS.minSize }, 'Smallest set size'),
+                    queryParam('maxSize', { type: 'integer', minimum: 1, default: ENRICHMENT_DEFAULTS.maxSize },
+                        'Largest set size (at least minSize)'),
+                    queryParam('fdr', { type: 'number', exclusiveMinimum: true, minimum: 0, maximum: 1, default: ENRICHMENT_DEFAULTS.fdr },
+                        'FDR threshold of hits'),
+                    queryParam('permutations', { type: 'integer', minimum: 100, maximum: 10000, default: ENRICHMENT_DEFAULTS.permutations },
+                        'GSEA permutations'),
+                    ref('page'), ref('limit')
+                ], { responses: notFound })
+            },
+            '/api/lists': {
+                get: operation('Lists', 'Saved lists with their item counts, Starred first', [
+                    queryParam('gene', { type: 'string' }, 'Only lists containing this gene symbol'),
+                    queryParam('sgrna', { type: 'integer', minimum: 1 }, 'Only lists containing this sgRNA id')
+                ]),
+                post: operation('Lists', 'Create a list, optionally with its first genes and sgRNAs', [], {
+                    requestBody: textBody(listFields, { extra: listItems }),
+                    responses: { '201': { description: 'The new list with its items, and the genes and sgRNAs not found' }, ...conflict }
+                })
+            },
+            '/api/lists/{id}': {
+                get: operation('Lists', 'A list with its genes and sgRNAs', [listId], { responses: notFound }),
+                patch: operation('Lists', 'Rename a list or change its description', [listId], {
+                    requestBody: textBody(listFields, { partial: true }),
+                    responses: { ...notFound, ...conflict }
+                }),
+                delete: operation('Lists', 'Delete a list', [listId], { responses: { ...noContent, ...notFound } })
+            },
+            '/api/lists/{id}/items': {
+                post: operation('Lists', 'Add genes (symbols or ENSG IDs) and sgRNAs (record ids) to a list', [listId], {
+                    requestBody: {
+                        required: true,
+                        content: { 'application/json': { schema: { type: 'object', properties: listItems } } }
+                    },
+                    description: 'Items already in the list are skipped; unknown and ambiguous ones are reported.',
+                    responses: notFound
+                })
+            },
+            '/api/lists/{id}/genes/{symbol}': {
+                delete: operation('Lists', 'Remove a gene from a list',
+                    [listId, pathParam('symbol', { type: 'string' }, 'Gene symbol')], { responses: { ...noContent, ...notFound } })
+            },
+            '/api/lists/{id}/sgrnas/{sgrnaId}': {
+                delete: operation('Lists', 'Remove an sgRNA from a list',
+                    [listId, pathParam('sgrnaId', { type: 'integer', minimum: 1 }, 'sgRNA id')],
+                    { responses: { ...noContent, ...notFound } })
+            },
+            '/api/lists/{id}/export': {
+                get: operation('Lists', "A list's genes and sgRNAs as CSV/TSV, or its gene symbols as text", [
+                    listId,
+                    queryParam('format', caseInsensitive(listExportFormats, { default: 'csv' }),
+                        'csv or tsv (one row per gene and sgRNA), or txt (one gene symbol per line)')
+                ], {
+                    description: 'Capped at the rows left in the daily export quota of the client (X-Export-Quota-Remaining); ' +
+                        'a used-up quota is answered with 429.',
+                    responses: notFound
+                })
+            },
+            '/api/notes': {
+                get: operation('Lists', 'Notes, newest first', [
+                    queryParam('gene', { type: 'string' }, 'Only notes on this gene symbol and its sgRNAs'),
+                    queryParam('sgrna', { type: 'integer', minimum: 1 }, 'Only notes on this sgRNA id'),
+                    ref('page'), ref('limit')
+                ]),
+                post: operation('Lists', 'Add a note to a gene or an sgRNA record', [], {
+                    requestBody: textBody(noteFields, {
+                        extra: {
+                            gene: { type: 'string', description: 'Gene symbol or ENSG ID (instead of sgrna)' },
+                            sgrna: { type: 'integer', minimum: 1, description: 'sgRNA id (instead of gene)' }
+                        }
+                    }),
+                    responses: { '201': { description: 'The new note' }, ...notFound }
+                })
+            },
+            '/api/notes/{id}': {
+                get: operation('Lists', 'A note', [noteId], { responses: notFound }),
+                patch: operation('Lists', 'Change the text or author of a note', [noteId], {
+                    requestBody: textBody(noteFields, { partial: true }),
+                    responses: notFound
+                }),
+                delete: operation('Lists', 'Delete a note', [noteId], { responses: { ...noContent, ...notFound } })
+            },
+            '/api/export': {
+                get: operation('Export', 'Search results as JSON, or streamed as CSV/TSV/BED/GFF3/FASTA', [
+                    ref('query'), ...filterParameters(),
+                    queryParam('format', caseInsensitive(exportFormats, { default: 'json' }), 'Export format'),
+                    queryParam('level', caseInsensitive(exportLevels, { default: 'sgrna' }),
+                        'Rows per sgRNA or per gene summary (streamed formats; FASTA is sgRNA only)'),
+                    limitParam(MAX_EXPORT_LIMIT, 10000)
+                ], {
+                    description: 'Exports are capped at the rows left in the daily export quota of the client ' +
+                        '(X-Export-Quota-Remaining); a used-up quota is answered with 429.'
+                })
+            },
+            '/api/stats': {
+                get: operation('Service', 'Database statistics from the summary tables', [], {
+                    responses: { '304': { description: 'Not modified since the dataset version in If-None-Match' } }
+                })
+            },
+            '/api/datasets': {
+                get: operation('Service', 'Configured datasets with their version and size')
+            },
+            '/api/diagnostics': {
+                get: operation('Service', 'Dataset version and query cache hit rates')
+            },
+            '/api/openapi.json': {
+                get: operation('Service', 'This document')
+            }
+        },
+        components: {
+            securitySchemes: {
+                apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Key created with npm run keys -- create' },
+                bearer: { type: 'http', scheme: 'bearer', description: 'The same key as Authorization: Bearer <key>' }
+            },
+            parameters: {
+                dataset: queryParam('dataset', { type: 'string', enum: datasets }, 'Dataset to query (default: the configured default)'),
+                query: queryParam('query', { type: 'string' },
+                    'Gene symbol or ENSG ID; a region such as chr17:7.5M-7.7M becomes a region filter'),
+                page: queryParam('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number'),
+                limit: limitParam(MAX_LIMIT, 25),
+                sortOrder: queryParam('sortOrder', caseInsensitive(['ASC', 'DESC'], { default: 'ASC' }), 'Sort direction'),
+                ...filterParams,
+                minLog2fc: queryParam('minLog2fc', { type: 'number' }, 'Lowest log2fc (inclusive)'),
+                maxLog2fc: queryParam('maxLog2fc', { type: 'number' }, 'Highest log2fc (inclusive)')
+            },
+            responses: {
+                BadRequest: {
+                    description: 'Invalid parameters or request body',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                Unauthorized: {
+                    description: 'Unknown or revoked API key, or no key when the server requires one',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                TooManyRequests: {
+                    description: 'Request rate limit (see Retry-After) or daily export quota used up',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                NotFound: {
+                    description: 'Unknown gene, record, study, cell line, experiment, list or note',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                Conflict: {
+                    description: 'A list with this name already exists, or the Starred list was renamed or deleted',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                },
+                ServerError: {
+                    description: 'Unexpected error',
+                    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+                }
+            },
+            schemas: {
+                Error: {
+                    type: 'object',
+                    required: ['error'],
+                    properties: {
+                        error: { type: 'string' },
+                        hint: { type: 'string' },
+                        errors: {
+                            type: 'array',
+                            description: 'One entry per invalid parameter',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    in: { type: 'string', enum: ['path', 'query'] },
+                                    name: { type: 'string' },
+                                    message: { type: 'string' }
+                                }
+                            }
+                        }
+                    },
+                    additionalProperties: true
+                },
+                RecordPage: {
+                    type: 'object',
+                    properties: {
+                        data: { type: 'array', items: { type: 'object' } },
+                        pagination: {
+                            type: 'object',
+                            properties: {
+                                currentPage: { type: 'integer' },
+                                totalPages: { type: 'integer' },
+                                totalResults: { type: 'integer' },
+                                limit: { type: 'integer' },
+                                hasNext: { type: 'boolean' },
+                                hasPrev: { type: 'boolean' },
+                                nextCursor: { type: 'string', nullable: true }
+                            }
+                        },
+                        filters: { type: 'object' }
+                    }
+                }
+            }
+        }
+    };
+}
+
+module.exports = {
+    MAX_LIMIT,
+    MAX_SUGGEST_LIMIT,
+    MAX_EXPORT_LIMIT,
+    createSpec
+};
@@ -0,0 +1,163 @@
+/**
+ * Request validation driven by the OpenAPI document (openapi/spec.js): the path and query parameters of the
+ * matched operation are checked against their schemas before the route runs, and every violation is reported
+ * in one 400 response. Values are checked the way the routes parse them: arrays accept repeated parameters and
+ * comma-separated lists, and an empty value counts as not given. Parameters the document does not describe
+ * are passed through.
+ */
+
+const { ValidationError } = require('../utils/errors');
+const { parseList } = require('../utils/responseHelpers');
+
+const INTEGER_PATTERN = /^[-+]?\d+$/;
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Resolve a local reference such as #/components/parameters/page
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} object - Object that may be a {$ref}
+ * @returns {Object} Referenced object, or the object itself
+ */
+function resolve(spec, object) {
+    if (!object.$ref) return object;
+    return object.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], spec);
+}
+
+/**
+ * Compile a path template into a pattern capturing its parameters
+ * @param {string} template - e.g. /api/records/{id}
+ * @returns {Object} {pattern, names}
+ */
+function compilePath(template) {
+    const names = [];
+    const source = template.split(/\{(\w+)\}/).map((part, i) => {
+        if (i % 2 === 0) return part.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+        names.push(part);
+        return '([^/]+)';
+    }).join('');
+    return { pattern: new RegExp(`^${source}/?$`), names };
+}
+
+/**
+ * Decode a path segment; malformed escapes are checked as they are
+ */
+function decodePathValue(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (err) {
+        return value;
+    }
+}
+
+/**
+ * Describe a schema's range for error messages
+ */
+function rangeMessage(schema) {
+    const low = schema.minimum !== undefined ? `${schema.exclusiveMinimum ? '>' : '>='} ${schema.minimum}` : null;
+    const high = schema.maximum !== undefined ? `<= ${schema.maximum}` : null;
+    return `must be ${[low, high].filter(Boolean).join(' and ')}`;
+}
+
+/**
+ * Check one parameter value against its schema
+ * @param {*} value - Parsed query value: a string, an array for repeated parameters or an object for nested ones
+ * @param {Object} schema - Parameter schema
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+function checkValue(value, schema) {
+    if (schema.type === 'array') {
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) return 'must be a list of values';
+        const items = parseList(value);
+        if (schema.minItems !== undefined && items.length < schema.minItems) return `must have at least ${schema.minItems} values`;
+        if (schema.maxItems !== undefined && items.length > schema.maxItems) return `must have at most ${schema.maxItems} values`;
+        return items.map(item => checkValue(item, schema.items)).find(Boolean) || null;
+    }
+
+    if (schema.type === 'object') {
+        if (value === null || typeof value !== 'object' || Array.isArray(value)) return 'must be given as nested parameters';
+        const errors = Object.entries(schema.properties || {})
+            .filter(([name]) => value[name] !== undefined && value[name] !== '')
+            .map(([name, property]) => {
+                const message = checkValue(value[name], property);
+                return message && `[${name}] ${message}`;
+            });
+        return errors.find(Boolean) || null;
+    }
+
+    if (typeof value !== 'string') return 'must be given once';
+
+    if (schema.type === 'integer' || schema.type === 'number') {
+        const pattern = schema.type === 'integer' ? INTEGER_PATTERN : NUMBER_PATTERN;
+        if (!pattern.test(value.trim())) return `must be ${schema.type === 'integer' ? 'an integer' : 'a number'}`;
+
+        const number = Number(value);
+        const tooLow = schema.minimum !== undefined &&
+            (schema.exclusiveMinimum ? number <= schema.minimum : number < schema.minimum);
+        const tooHigh = schema.maximum !== undefined && number > schema.maximum;
+        return tooLow || tooHigh ? rangeMessage(schema) : null;
+    }
+
+    if (schema.type === 'boolean') {
+        return value === 'true' || value === 'false' ? null : 'must be true or false';
+    }
+
+    if (schema.enum) {
+        const ignoreCase = schema['x-case-insensitive'];
+        const matches = schema.enum.some(option => (ignoreCase ? option.toLowerCase() === value.toLowerCase() : option === value));
+        if (!matches) return `must be one of: ${schema.enum.join(', ')}`;
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return `must match ${schema.pattern}`;
+    return null;
+}
+
+/**
+ * Create middleware that validates requests against the operations of an OpenAPI document.
+ * Requests to paths or methods the document does not list are passed on unchecked.
+ * @param {Object} spec - OpenAPI document (see openapi/spec.js)
+ * @returns {Function} Express middleware; throws a ValidationError listing {in, name, message} per invalid parameter
+ */
+function createRequestValidator(spec) {
+    const routes = Object.entries(spec.paths).map(([template, item]) => ({ ...compilePath(template), item }));
+
+    const operationFor = (path, method) => {
+        for (const route of routes) {
+            const match = route.pattern.exec(path);
+            const operation = match && route.item[method === 'head' ? 'get' : method];
+            if (!operation) continue;
+
+            const pathValues = {};
+            route.names.forEach((name, i) => { pathValues[name] = decodePathValue(match[i + 1]); });
+            return { operation, pathValues };
+        }
+        return null;
+    };
+
+    return (req, res, next) => {
+        const found = operationFor(req.baseUrl + req.path, req.method.toLowerCase());
+        if (!found) return next();
+
+        const errors = [];
+        found.operation.parameters.map(parameter => resolve(spec, parameter)).forEach(parameter => {
+            const value = parameter.in === 'path' ? found.pathValues[parameter.name] : req.query[parameter.name];
+
+            if (value === undefined || value === '') {
+                if (parameter.required) errors.push({ in: parameter.in, name: parameter.name, message: 'is required' });
+                return;
+            }
+            const message = checkValue(value, parameter.schema);
+            if (message) errors.push({ in: parameter.in, name: parameter.name, message });
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid parameters', {
+                hint: errors.map(error => `${error.name} ${error.message}`).join('; '),
+                errors
+            });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    createRequestValidator
+};
@@ -0,0 +1,105 @@
+/**
+ * Base repository: async access to one database connection for the route handlers
+ */
+
+const { NotFoundError } = require('../utils/errors');
+const { all } = require('../utils/dbAsync');
+
+class BaseRepository {
+    /**
+     * @param {Object} db - Database connection
+     * @param {QueryCache} cache - Optional result cache (utils/queryCache); null disables caching
+     */
+    constructor(db, cache = null) {
+        this.db = db;
+        this.cache = cache;
+    }
+
+    /**
+     * Serve a query from the result cache, keyed by the repository, query name and parameters.
+     * Cached results are shared between requests and must not be mutated.
+     * @param {string} name - Query name, e.g. 'search'
+     * @param {*} params - Query parameters
+     * @param {Function} compute - Runs the query; returns a promise
+     * @returns {Promise<*>} The query result
+     */
+    cached(name, params, compute) {
+        if (!this.cache) return compute();
+        return this.cache.get(`${this.constructor.name}.${name}`, params, compute);
+    }
+
+    /**
+     * Call a callback-style model method with this repository's database as the first argument
+     * @param {Function} model - Model class (e.g. Gene)
+     * @param {string} method - Static method name
+     * @param {...*} args - Arguments between the database and the callback
+     * @returns {Promise<*>} The callback's result
+     */
+    call(model, method, ...args) {
+        return new Promise((resolve, reject) => {
+            model[method](this.db, ...args, (err, result) => (err ? reject(err) : resolve(result)));
+        });
+    }
+
+    /**
+     * Rows of several parents at once (e.g. the experiments of a batch of genes), at most `first + 1` per parent,
+     * ordered by a unique column; `after` skips each parent's rows up to that value (keyset pagination)
+     * @param {Object} query - {columns, from, parent (parent id column), order (unique column), conditions, params}
+     * @param {Array<number>} parentIds - Parent ids
+     * @param {Object} page - {first, after (order value to start after, or null)}
+     * @returns {Promise<Array<Object>>} Rows with parent_id, ordered by parent and order column
+     */
+    pagePerParent(query, parentIds, { first, after = null }) {
+        const { columns, from, parent, order, conditions = [], params = [] } = query;
+        const where = [`${parent} IN (${BaseRepository.placeholders(parentIds)})`, ...conditions];
+        if (after !== null) where.push(`${order} > ?`);
+
+        return all(this.db, `
+            SELECT * FROM (
+                SELECT ${columns}, ${parent} as parent_id,
+                    ROW_NUMBER() OVER (PARTITION BY ${parent} ORDER BY ${order}) as row_number
+                ${from}
+                WHERE ${where.join(' AND ')}
+            )
+            WHERE row_number <= ?
+            ORDER BY parent_id, row_number
+        `, [...parentIds, ...params, ...(after !== null ? [after] : []), first + 1]);
+    }
+
+    /**
+     * Row counts of several parents at once, for the same query as pagePerParent
+     * @returns {Promise<Array<Object>>} [{parent_id, count}] for parents with at least one row
+     */
+    countPerParent(query, parentIds) {
+        const { from, parent, conditions = [], params = [] } = query;
+        const where = [`${parent} IN (${BaseRepository.placeholders(parentIds)})`, ...conditions];
+        return all(this.db, `
+            SELECT ${parent} as parent_id, COUNT(*) as count
+            ${from}
+            WHERE ${where.join(' AND ')}
+            GROUP BY ${parent}
+        `, [...parentIds, ...params]);
+    }
+
+    /**
+     * SQL placeholders for an IN list, e.g. '?, ?, ?'
+     * @param {Array} values - List values
+     * @returns {string}
+     */
+    static placeholders(values) {
+        return values.map(() => '?').join(', ');
+    }
+
+    /**
+     * Return a lookup result, or throw NotFoundError when there is none
+     * @param {*} value - Result that is null or undefined when nothing was found
+     * @param {string} message - Error message, e.g. 'Gene not found'
+     * @returns {*} The value
+     */
+    static found(value, message) {
+        if (value === null || value === undefined) throw new NotFoundError(message);
+        return value;
+    }
+}
+
+module.exports = BaseRepository;
@@ -0,0 +1,61 @@
+/**
+ * Cell line repository: catalogue and per-cell-line gene rankings
+ */
+
+const BaseRepository = require('./BaseRepository');
+const CellLine = require('../model/CellLine');
+const { all } = require('../utils/dbAsync');
+
+class CellLineRepository extends BaseRepository {
+    /**
+     * List every screened cell line
+     * @returns {Promise<Array<Object>>}
+     */
+    list() {
+        return this.call(CellLine, 'list');
+    }
+
+    /**
+     * Load one cell line's screens and top genes
+     * @param {string} name - Cell line name
+     * @param {Object} options - {top, ranking}
+     * @returns {Promise<Object>} Cell line; NotFoundError for an unknown or unscreened cell line
+     */
+    async get(name, options) {
+        return CellLineRepository.found(await this.call(CellLine, 'load', name, options), 'Cell line not found');
+    }
+
+    /**
+     * Every cell line by name, screened or not
+     * @returns {Promise<Array<Object>>} [{cellline_id, name}]
+     */
+    all() {
+        return all(this.db, 'SELECT cellline_id, name FROM cell_lines ORDER BY name');
+    }
+
+    /**
+     * Cell lines by id, for batched lookups
+     * @returns {Promise<Array<Object>>} [{cellline_id, name}] for the ids that exist
+     */
+    byIds(ids) {
+        return all(this.db, `SELECT cellline_id, name FROM cell_lines WHERE cellline_id IN (${CellLineRepository.placeholders(ids)})`, ids);
+    }
+
+    /**
+     * Cell lines by exact name, for batched lookups
+     * @returns {Promise<Array<Object>>} [{cellline_id, name}] for the names that exist
+     */
+    byNames(names) {
+        return all(this.db, `SELECT cellline_id, name FROM cell_lines WHERE name IN (${CellLineRepository.placeholders(names)})`, names);
+    }
+
+    /**
+     * Screen, gene and sgRNA counts of cell lines (cellline_summary rows)
+     * @returns {Promise<Array<Object>>} One row per screened cell line
+     */
+    summaries(ids) {
+        return all(this.db, `SELECT * FROM cellline_summary WHERE cellline_id IN (${CellLineRepository.placeholders(ids)})`, ids);
+    }
+}
+
+module.exports = CellLineRepository;
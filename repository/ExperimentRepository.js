@@ -0,0 +1,138 @@
+/**
+ * Experiment repository: experiments, studies (screens grouped by pubmed ID) and gene set enrichment of screens
+ */
+
+const BaseRepository = require('./BaseRepository');
+const Gene = require('../model/Gene');
+const Study = require('../model/Study');
+const GeneSet = require('../model/GeneSet');
+const { all, get } = require('../utils/dbAsync');
+
+// Parent id columns of batched experiment lookups
+const PARENT_COLUMNS = {
+    gene: 'e.gene_id',
+    cellLine: 'e.cellline_id'
+};
+
+class ExperimentRepository extends BaseRepository {
+    /**
+     * List every study with its cell lines, screen types and counts
+     * @returns {Promise<Array<Object>>}
+     */
+    studies() {
+        return this.call(Study, 'list');
+    }
+
+    /**
+     * Load one study's screens, log2fc distribution and top genes
+     * @param {string} pubmed - PubMed ID
+     * @param {Object} options - {bins, top}
+     * @returns {Promise<Object>} Study; NotFoundError when no experiment cites it
+     */
+    async study(pubmed, options) {
+        return ExperimentRepository.found(await this.call(Study, 'load', pubmed, options), 'Study not found');
+    }
+
+    /**
+     * List imported gene sets, optionally of one collection
+     * @returns {Promise<Array<Object>>} [{id, collection, name, description, size}]
+     */
+    geneSets(collection) {
+        return this.call(GeneSet, 'list', collection);
+    }
+
+    /**
+     * Gene set enrichment of an experiment's screen or a filtered selection.
+     * Results are cached; npm run genesets does not change the dataset version, so the state of the
+     * gene sets (highest set id and set count) is part of the cache key.
+     * @param {Object} options - See GeneSet.enrichment
+     * @returns {Promise<Object>} {selection, data}; NotFoundError for an unknown experimentId
+     */
+    async enrichment(options) {
+        const geneSets = await get(this.db, 'SELECT MAX(set_id) as maxSetId, COUNT(*) as sets FROM gene_sets');
+        const result = await this.cached('enrichment', [geneSets, options], () => this.call(GeneSet, 'enrichment', options));
+        return ExperimentRepository.found(result, 'Experiment not found');
+    }
+
+    /**
+     * Experiments by id, for batched lookups
+     * @returns {Promise<Array<Object>>} experiments rows for the ids that exist
+     */
+    byIds(ids) {
+        return all(this.db, `SELECT * FROM experiments WHERE experiment_id IN (${ExperimentRepository.placeholders(ids)})`, ids);
+    }
+
+    /**
+     * Precomputed gene scores of experiments (gene_scores rows)
+     * @returns {Promise<Array<Object>>} One row per scored experiment
+     */
+    scores(ids) {
+        return all(this.db, `SELECT * FROM gene_scores WHERE experiment_id IN (${ExperimentRepository.placeholders(ids)})`, ids);
+    }
+
+    /**
+     * Experiments matching gene and screen filters, ordered by id
+     * @param {Object} filters - Facet filters on genes, cell lines and experiments (symbol, chr, cellline, condition, ...)
+     * @param {Object} page - {first, after (experiment id to start after, or null)}
+     * @returns {Promise<Array<Object>>} Up to first + 1 experiments rows
+     */
+    list(filters, { first, after = null }) {
+        const { from, conditions, params } = ExperimentRepository._query(filters);
+        if (after !== null) conditions.push('e.experiment_id > ?');
+        return all(this.db, `
+            SELECT e.* ${from}
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            ORDER BY e.experiment_id
+            LIMIT ?
+        `, [...params, ...(after !== null ? [after] : []), first + 1]);
+    }
+
+    /**
+     * Number of experiments matching filters
+     * @returns {Promise<number>}
+     */
+    async count(filters) {
+        const { from, conditions, params } = ExperimentRepository._query(filters);
+        const row = await get(this.db, `SELECT COUNT(*) as count ${from} ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`, params);
+        return row.count;
+    }
+
+    /**
+     * Experiments of a batch of genes or cell lines, see BaseRepository.pagePerParent
+     * @param {string} parent - 'gene' or 'cellLine'
+     * @returns {Promise<Array<Object>>} experiments rows with parent_id
+     */
+    forParents(parent, ids, filters, page) {
+        return this.pagePerParent(ExperimentRepository._query(filters, parent), ids, page);
+    }
+
+    /**
+     * Experiment counts of a batch of genes or cell lines
+     * @returns {Promise<Array<Object>>} [{parent_id, count}]
+     */
+    countForParents(parent, ids, filters) {
+        return this.countPerParent(ExperimentRepository._query(filters, parent), ids);
+    }
+
+    /**
+     * FROM clause and filter conditions of experiment lookups
+     * @private
+     */
+    static _query(filters, parent = null) {
+        const { conditions, params } = Gene.buildFilterConditions(filters);
+        return {
+            columns: 'e.*',
+            from: `
+                FROM experiments e
+                JOIN genes g ON g.gene_id = e.gene_id
+                JOIN cell_lines cl ON cl.cellline_id = e.cellline_id
+            `,
+            parent: PARENT_COLUMNS[parent],
+            order: 'e.experiment_id',
+            conditions,
+            params
+        };
+    }
+}
+
+module.exports = ExperimentRepository;
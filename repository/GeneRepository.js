@@ -0,0 +1,153 @@
+/**
+ * Gene repository: search, gene pages, scores and the gene-level comparisons
+ */
+
+const BaseRepository = require('./BaseRepository');
+const Gene = require('../model/Gene');
+const { all } = require('../utils/dbAsync');
+const { createRowStream } = require('../utils/exportStream');
+
+class GeneRepository extends BaseRepository {
+    /**
+     * Search genes by symbol/ENSG and facet filters
+     * @param {string} searchTerm - Search term (may be empty when filters are set)
+     * @param {Object} options - {page, limit, sortBy, sortOrder, filters, after (keyset position)}
+     * @returns {Promise<Object>} {results, totalRows, totalPages, nextKey}
+     */
+    search(searchTerm, options) {
+        return this.cached('search', [searchTerm, options], () => this.call(Gene, 'searchGenes', searchTerm, options));
+    }
+
+    /**
+     * Readable object stream of every gene of a search, in search order
+     * @param {Object} options - {sortBy, sortOrder, filters, after}
+     * @returns {Readable}
+     */
+    searchStream(searchTerm, options) {
+        const { sql, params } = Gene.buildSearchQuery(searchTerm, options);
+        return createRowStream(this.db, sql, params, row => Gene.fromSearchRow(row).toJSON());
+    }
+
+    /**
+     * Load a gene with its experiments and sgRNAs
+     * @param {string} symbol - Gene symbol
+     * @param {Object} options - {normalization}
+     * @returns {Promise<Gene>} Gene model; NotFoundError for an unknown symbol
+     */
+    async get(symbol, options = {}) {
+        const gene = await this.cached('get', [symbol, options], () => this.call(Gene, 'loadWithRelations', symbol, options));
+        return GeneRepository.found(gene, 'Gene not found');
+    }
+
+    /**
+     * Find a gene's identifiers by exact symbol
+     * @returns {Promise<Object>} {id, symbol, ensg, chr}; NotFoundError for an unknown symbol
+     */
+    async findBySymbol(symbol) {
+        return GeneRepository.found(await this.call(Gene, 'findBySymbol', symbol), 'Gene not found');
+    }
+
+    /**
+     * Precomputed essentiality scores per experiment
+     * @returns {Promise<Object>} {gene, scores}; NotFoundError for an unknown symbol
+     */
+    async scores(symbol) {
+        return GeneRepository.found(await this.call(Gene, 'loadScores', symbol), 'Gene not found');
+    }
+
+    /**
+     * Summarize a list of symbols or ENSG IDs
+     * @returns {Promise<Object>} {data, notFound, ambiguous}
+     */
+    batchLookup(ids) {
+        return this.call(Gene, 'batchLookup', ids);
+    }
+
+    /**
+     * Resolve symbols or ENSG IDs to genes without summarizing them
+     * @returns {Promise<Object>} {matches: [{input, gene}], notFound, ambiguous}
+     */
+    resolveIds(ids) {
+        return this.call(Gene, 'resolveIds', ids);
+    }
+
+    /**
+     * Per-value gene and sgRNA counts of every facet
+     * @returns {Promise<Object>} {facet: [{value, genes, sgrnas}]}
+     */
+    facets(searchTerm, filters) {
+        return this.call(Gene, 'getFacetCounts', searchTerm, filters);
+    }
+
+    /**
+     * Compare every gene's sgRNA log2fc distributions between two experiment groups
+     * @returns {Promise<Array<Object>>} One result per gene screened in both groups
+     */
+    differential(groupA, groupB, options = {}) {
+        return this.call(Gene, 'differentialEffects', groupA, groupB, options);
+    }
+
+    /**
+     * Compare one gene between two experiment groups
+     * @returns {Promise<Object>} {gene, data} with data null when the gene is missing from a group
+     */
+    async differentialForGene(symbol, groups) {
+        const gene = await this.findBySymbol(symbol);
+        const restrict = filters => ({ ...filters, symbol: [gene.symbol] });
+        const results = await this.differential(restrict(groups.a), restrict(groups.b));
+        return { gene, data: results[0] || null };
+    }
+
+    /**
+     * Gene x cell line matrix of average log2fc and guide counts
+     */
+    compare(symbols, celllines, filters) {
+        return this.call(Gene, 'compareMatrix', symbols, celllines, filters);
+    }
+
+    /**
+     * Genes and sgRNAs overlapping filters.region
+     * @returns {Promise<Object>} {genes, sgRNAs, totalSgRNAs, totalPages}
+     */
+    inRegion(filters, options) {
+        return this.call(Gene, 'findInRegion', filters, options);
+    }
+
+    /**
+     * Genes by id, for batched lookups
+     * @returns {Promise<Array<Object>>} [{gene_id, symbol, ensg, chr}] for the ids that exist
+     */
+    byIds(ids) {
+        return all(this.db, `SELECT gene_id, symbol, ensg, chr FROM genes WHERE gene_id IN (${GeneRepository.placeholders(ids)})`, ids);
+    }
+
+    /**
+     * Genes by exact symbol, for batched lookups
+     * @returns {Promise<Array<Object>>} [{gene_id, symbol, ensg, chr}] for the symbols that exist
+     */
+    bySymbols(symbols) {
+        return all(this.db, `SELECT gene_id, symbol, ensg, chr FROM genes WHERE symbol IN (${GeneRepository.placeholders(symbols)})`, symbols);
+    }
+
+    /**
+     * Summaries over all screens of each gene (gene_summary rows)
+     * @returns {Promise<Array<Object>>} One row per screened gene
+     */
+    summaries(ids) {
+        return all(this.db, `SELECT * FROM gene_summary WHERE gene_id IN (${GeneRepository.placeholders(ids)})`, ids);
+    }
+
+    /**
+     * Symbols and ENSG IDs starting with a prefix
+     * @returns {Promise<Array<Object>>} [{value, type}] with type gene_symbol or ensg_id
+     */
+    suggest(prefix, limit) {
+        return all(this.db, `
+            SELECT DISTINCT symbol as value, 'gene_symbol' as type FROM genes WHERE symbol LIKE ? AND symbol IS NOT NULL
+            UNION SELECT DISTINCT ensg as value, 'ensg_id' as type FROM genes WHERE ensg LIKE ? AND ensg IS NOT NULL
+            ORDER BY value LIMIT ?
+        `, [`${prefix}%`, `${prefix}%`, limit]);
+    }
+}
+
+module.exports = GeneRepository;
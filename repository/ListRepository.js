@@ -0,0 +1,299 @@
+/**
+ * List repository: saved lists of genes and sgRNAs, including the Starred list of the web interface.
+ * Lists are stored in the dataset and change without a new dataset version, so they are never served from the cache.
+ */
+
+const BaseRepository = require('./BaseRepository');
+const Gene = require('../model/Gene');
+const { ConflictError } = require('../utils/errors');
+const { run, get, all, exec } = require('../utils/dbAsync');
+
+// Name of the list the star buttons add to; created when the first item is starred, and cannot be renamed or deleted
+const STARRED_LIST = 'Starred';
+const STARRED_DESCRIPTION = 'Genes and sgRNAs starred in the web interface';
+
+function toSummary(row) {
+    return {
+        id: row.list_id,
+        name: row.name,
+        description: row.description,
+        genes: row.gene_count,
+        sgrnas: row.sgrna_count,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+class ListRepository extends BaseRepository {
+    /**
+     * Every list with its item counts, Starred first, optionally only those containing a gene or sgRNA
+     * @param {Object} options - {gene: symbol, sgrna: sgRNA id}
+     * @returns {Promise<Array<Object>>} [{id, name, description, genes, sgrnas, createdAt, updatedAt}]
+     */
+    async list(options = {}) {
+        const { gene = null, sgrna = null } = options;
+        const conditions = [];
+        const params = [];
+        if (gene !== null) {
+            conditions.push('EXISTS (SELECT 1 FROM gene_list_items m WHERE m.list_id = l.list_id AND m.symbol = ?)');
+            params.push(gene);
+        }
+        if (sgrna !== null) {
+            conditions.push('EXISTS (SELECT 1 FROM gene_list_items m WHERE m.list_id = l.list_id AND m.sgrna_id = ?)');
+            params.push(sgrna);
+        }
+
+        const rows = await all(this.db, `
+            SELECT l.*,
+                COUNT(i.symbol) as gene_count,
+                COUNT(i.sgrna_id) as sgrna_count
+            FROM gene_lists l
+            LEFT JOIN gene_list_items i ON i.list_id = l.list_id
+            ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+            GROUP BY l.list_id
+            ORDER BY l.name = ? DESC, l.name COLLATE NOCASE
+        `, [...params, STARRED_LIST]);
+        return rows.map(toSummary);
+    }
+
+    /**
+     * Load a list with its genes and sgRNAs in the order they were added.
+     * Genes that are not in the current data have screened: false; sgRNAs no longer in it have symbol null.
+     * @param {number|string} id - List id, or 'starred' (empty, with id null, until something is starred)
+     * @returns {Promise<Object>} Summary with items {genes: [...], sgrnas: [...]}; NotFoundError for an unknown id
+     */
+    async get(id) {
+        const listId = await this.resolveId(id);
+        if (listId === null) {
+            return {
+                ...toSummary({ list_id: null, name: STARRED_LIST, description: STARRED_DESCRIPTION, gene_count: 0, sgrna_count: 0 }),
+                items: { genes: [], sgrnas: [] }
+            };
+        }
+        const [summary] = await all(this.db, `
+            SELECT l.*,
+                (SELECT COUNT(symbol) FROM gene_list_items WHERE list_id = l.list_id) as gene_count,
+                (SELECT COUNT(sgrna_id) FROM gene_list_items WHERE list_id = l.list_id) as sgrna_count
+            FROM gene_lists l WHERE l.list_id = ?
+        `, [listId]);
+
+        const genes = await all(this.db, `
+            SELECT i.symbol, i.added_at, g.ensg, g.chr, g.gene_id IS NOT NULL as screened
+            FROM gene_list_items i
+            LEFT JOIN genes g ON g.symbol = i.symbol
+            WHERE i.list_id = ? AND i.symbol IS NOT NULL
+            ORDER BY i.item_id
+        `, [listId]);
+        const sgRNAs = await all(this.db, `
+            SELECT i.sgrna_id, i.added_at, v.symbol, v.ensg, v.cellline, v.chr, v.start, v.end, v.strand, v.sequence, v.log2fc
+            FROM gene_list_items i
+            LEFT JOIN genome_crispr v ON v.rowid = i.sgrna_id
+            WHERE i.list_id = ? AND i.sgrna_id IS NOT NULL
+            ORDER BY i.item_id
+        `, [listId]);
+
+        return {
+            ...toSummary(summary),
+            items: {
+                genes: genes.map(row => ({
+                    symbol: row.symbol,
+                    ensg: row.ensg,
+                    chr: row.chr,
+                    screened: Boolean(row.screened),
+                    addedAt: row.added_at
+                })),
+                sgrnas: sgRNAs.map(row => ({
+                    id: row.sgrna_id,
+                    symbol: row.symbol,
+                    ensg: row.ensg,
+                    cellline: row.cellline,
+                    chr: row.chr,
+                    start: row.start,
+                    end: row.end,
+                    strand: row.strand,
+                    sequence: row.sequence,
+                    log2fc: row.log2fc,
+                    addedAt: row.added_at
+                }))
+            }
+        };
+    }
+
+    /**
+     * Distinct gene symbols of a list: its genes, then the genes of its sgRNAs
+     * @param {Object} list - Result of get()
+     * @returns {Array<string>}
+     */
+    static symbols(list) {
+        return [...new Set([
+            ...list.items.genes.map(gene => gene.symbol),
+            ...list.items.sgrnas.map(sgRNA => sgRNA.symbol).filter(Boolean)
+        ])];
+    }
+
+    /**
+     * Create an empty list
+     * @param {Object} fields - {name, description}
+     * @returns {Promise<number>} The new list id; ConflictError when the name is taken
+     */
+    async create({ name, description = null }) {
+        await this.checkNameFree(name);
+        const { lastID } = await run(this.db, `
+            INSERT INTO gene_lists (name, description, created_at, updated_at)
+            VALUES (?, ?, datetime('now'), datetime('now'))
+        `, [name, description]);
+        return lastID;
+    }
+
+    /**
+     * Rename a list or change its description
+     * @param {number|string} id - List id, or 'starred'
+     * @param {Object} fields - {name, description}; fields that are not given stay as they are
+     * @returns {Promise<number>} The list id; NotFoundError for an unknown id, ConflictError when the name is taken
+     *   or the Starred list is renamed
+     */
+    async update(id, fields) {
+        const listId = await this.resolveId(id, { create: true });
+        if (fields.name !== undefined && fields.name !== STARRED_LIST) await this.checkStarred(listId, 'renamed');
+        if (fields.name !== undefined) await this.checkNameFree(fields.name, listId);
+
+        const columns = ['name', 'description'].filter(column => fields[column] !== undefined);
+        await run(this.db, `
+            UPDATE gene_lists SET ${columns.map(column => `${column} = ?, `).join('')}updated_at = datetime('now')
+            WHERE list_id = ?
+        `, [...columns.map(column => fields[column]), listId]);
+        return listId;
+    }
+
+    /**
+     * Delete a list and its items in one transaction
+     * @param {number|string} id - List id
+     * @returns {Promise<void>} NotFoundError for an unknown id, ConflictError for the Starred list
+     */
+    async remove(id) {
+        if (String(id).toLowerCase() === 'starred') throw ListRepository.starredConflict('deleted');
+        const listId = await this.resolveId(id);
+        await this.checkStarred(listId, 'deleted');
+
+        try {
+            await exec(this.db, 'BEGIN');
+            await run(this.db, 'DELETE FROM gene_list_items WHERE list_id = ?', [listId]);
+            await run(this.db, 'DELETE FROM gene_lists WHERE list_id = ?', [listId]);
+            await exec(this.db, 'COMMIT');
+        } catch (err) {
+            await exec(this.db, 'ROLLBACK').catch(() => {});
+            throw err;
+        }
+    }
+
+    /**
+     * Add genes (symbols or ENSG IDs, resolved like Gene.resolveIds) and sgRNAs by record id; items already
+     * in the list are skipped
+     * @param {number|string} id - List id, or 'starred'
+     * @param {Object} items - {genes, sgrnas}
+     * @returns {Promise<Object>} {id, added: {genes, sgrnas}, notFound: {genes, sgrnas}, ambiguous};
+     *   NotFoundError for an unknown list id
+     */
+    async addItems(id, { genes = [], sgrnas = [] }) {
+        const listId = await this.resolveId(id, { create: true });
+        const resolved = await this.call(Gene, 'resolveIds', genes);
+        const symbols = resolved.matches.map(match => match.gene.symbol);
+        const existing = sgrnas.length > 0
+            ? (await all(this.db, `SELECT sgrna_id FROM sgrnas WHERE sgrna_id IN (${ListRepository.placeholders(sgrnas)})`, sgrnas))
+                .map(row => row.sgrna_id)
+            : [];
+
+        // One statement per item type, so a failed request adds nothing of that type
+        const addedGenes = symbols.length === 0 ? 0 : (await run(this.db, `
+            INSERT OR IGNORE INTO gene_list_items (list_id, symbol, added_at)
+            SELECT ?, value, datetime('now') FROM json_each(?)
+        `, [listId, JSON.stringify(symbols)])).changes;
+        const addedSgRNAs = existing.length === 0 ? 0 : (await run(this.db, `
+            INSERT OR IGNORE INTO gene_list_items (list_id, sgrna_id, added_at)
+            SELECT ?, value, datetime('now') FROM json_each(?)
+        `, [listId, JSON.stringify(existing)])).changes;
+        if (addedGenes + addedSgRNAs > 0) await this.touch(listId);
+
+        const found = new Set(existing);
+        return {
+            id: listId,
+            added: { genes: addedGenes, sgrnas: addedSgRNAs },
+            notFound: { genes: resolved.notFound, sgrnas: sgrnas.filter(sgrnaId => !found.has(sgrnaId)) },
+            ambiguous: resolved.ambiguous
+        };
+    }
+
+    /**
+     * Remove a gene or an sgRNA from a list
+     * @param {number|string} id - List id, or 'starred'
+     * @param {Object} item - {symbol} or {sgrna: sgRNA id}
+     * @returns {Promise<void>} NotFoundError for an unknown list or an item that is not in it
+     */
+    async removeItem(id, { symbol = null, sgrna = null }) {
+        const listId = await this.resolveId(id);
+        if (listId === null) ListRepository.found(null, symbol !== null ? 'Gene not in list' : 'sgRNA not in list');
+        const { changes } = symbol !== null
+            ? await run(this.db, 'DELETE FROM gene_list_items WHERE list_id = ? AND symbol = ?', [listId, symbol])
+            : await run(this.db, 'DELETE FROM gene_list_items WHERE list_id = ? AND sgrna_id = ?', [listId, sgrna]);
+        ListRepository.found(changes > 0 ? changes : null, symbol !== null ? 'Gene not in list' : 'sgRNA not in list');
+        await this.touch(listId);
+    }
+
+    /**
+     * List id of an id parameter; 'starred' is the Starred list, null when it does not exist yet
+     * @param {Object} options - {create: create the Starred list when it does not exist (writes only)}
+     * @private
+     */
+    async resolveId(id, { create = false } = {}) {
+        if (String(id).toLowerCase() === 'starred') {
+            if (create) {
+                await run(this.db, `
+                    INSERT OR IGNORE INTO gene_lists (name, description, created_at, updated_at)
+                    VALUES (?, ?, datetime('now'), datetime('now'))
+                `, [STARRED_LIST, STARRED_DESCRIPTION]);
+            }
+            const row = await get(this.db, 'SELECT list_id FROM gene_lists WHERE name = ?', [STARRED_LIST]);
+            return row ? row.list_id : null;
+        }
+        const row = await get(this.db, 'SELECT list_id FROM gene_lists WHERE list_id = ?', [Number(id)]);
+        return ListRepository.found(row, 'List not found').list_id;
+    }
+
+    /**
+     * Reject renaming or deleting the Starred list, which the star buttons find by its name
+     * @param {string} action - 'renamed' or 'deleted'
+     * @private
+     */
+    async checkStarred(listId, action) {
+        const row = await get(this.db, 'SELECT name FROM gene_lists WHERE list_id = ?', [listId]);
+        if (row && row.name === STARRED_LIST) throw ListRepository.starredConflict(action);
+    }
+
+    /**
+     * @private
+     */
+    static starredConflict(action) {
+        return new ConflictError(`The ${STARRED_LIST} list cannot be ${action}`, {
+            hint: action === 'deleted' ? 'Remove its items instead' : 'Create a new list with its items instead'
+        });
+    }
+
+    /**
+     * @private
+     */
+    async checkNameFree(name, listId = null) {
+        const row = await get(this.db, 'SELECT list_id FROM gene_lists WHERE name = ? AND list_id IS NOT ?', [name, listId]);
+        if (row) throw new ConflictError('List name taken', { hint: `There is already a list named ${name}` });
+    }
+
+    /**
+     * @private
+     */
+    touch(listId) {
+        return run(this.db, "UPDATE gene_lists SET updated_at = datetime('now') WHERE list_id = ?", [listId]);
+    }
+}
+
+ListRepository.STARRED_LIST = STARRED_LIST;
+
+module.exports = ListRepository;
@@ -0,0 +1,105 @@
+/**
+ * Note repository: free-text notes on genes and on single sgRNA records.
+ * Notes are stored in the dataset and change without a new dataset version, so they are never served from the cache.
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { run, get, all } = require('../utils/dbAsync');
+
+// Notes with the gene of sgRNA notes; symbol is null for sgRNAs that are no longer in the data
+const NOTE_QUERY = `
+    SELECT n.note_id, COALESCE(n.symbol, v.symbol) as symbol, n.sgrna_id, v.cellline, n.body, n.author,
+        n.created_at, n.updated_at
+    FROM notes n
+    LEFT JOIN genome_crispr v ON v.rowid = n.sgrna_id
+`;
+
+function toNote(row) {
+    return {
+        id: row.note_id,
+        symbol: row.symbol,
+        sgrnaId: row.sgrna_id,
+        cellline: row.cellline,
+        body: row.body,
+        author: row.author,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+class NoteRepository extends BaseRepository {
+    /**
+     * Notes, newest first: on a gene and its sgRNAs, on one sgRNA, or all of them
+     * @param {Object} options - {gene: symbol, sgrna: sgRNA id, page, limit}
+     * @returns {Promise<Object>} {data, totalResults}
+     */
+    async list(options = {}) {
+        const { gene = null, sgrna = null, page = 1, limit = 25 } = options;
+        const conditions = [];
+        const params = [];
+        if (gene !== null) {
+            conditions.push('(n.symbol = ? OR n.sgrna_id IN (SELECT rowid FROM genome_crispr WHERE symbol = ?))');
+            params.push(gene, gene);
+        }
+        if (sgrna !== null) {
+            conditions.push('n.sgrna_id = ?');
+            params.push(sgrna);
+        }
+        const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const { total } = await get(this.db, `SELECT COUNT(*) as total FROM notes n ${where}`, params);
+        const rows = await all(this.db, `${NOTE_QUERY} ${where} ORDER BY n.note_id DESC LIMIT ? OFFSET ?`,
+            [...params, limit, (page - 1) * limit]);
+        return { data: rows.map(toNote), totalResults: total };
+    }
+
+    /**
+     * Load one note
+     * @param {number} id - Note id
+     * @returns {Promise<Object>} Note; NotFoundError for an unknown id
+     */
+    async get(id) {
+        const row = await get(this.db, `${NOTE_QUERY} WHERE n.note_id = ?`, [id]);
+        return toNote(NoteRepository.found(row, 'Note not found'));
+    }
+
+    /**
+     * Add a note to a gene or an sgRNA record; the caller checks that it exists
+     * @param {Object} fields - {symbol} or {sgrnaId}, with {body, author}
+     * @returns {Promise<number>} The new note id
+     */
+    async create({ symbol = null, sgrnaId = null, body, author = null }) {
+        const { lastID } = await run(this.db, `
+            INSERT INTO notes (symbol, sgrna_id, body, author, created_at, updated_at)
+            VALUES (?, ?, ?, ?, datetime('now'), datetime('now'))
+        `, [symbol, sgrnaId, body, author]);
+        return lastID;
+    }
+
+    /**
+     * Change the text or author of a note
+     * @param {number} id - Note id
+     * @param {Object} fields - {body, author}; fields that are not given stay as they are
+     * @returns {Promise<void>} NotFoundError for an unknown id
+     */
+    async update(id, fields) {
+        const columns = ['body', 'author'].filter(column => fields[column] !== undefined);
+        const { changes } = await run(this.db, `
+            UPDATE notes SET ${columns.map(column => `${column} = ?, `).join('')}updated_at = datetime('now')
+            WHERE note_id = ?
+        `, [...columns.map(column => fields[column]), id]);
+        NoteRepository.found(changes > 0 ? changes : null, 'Note not found');
+    }
+
+    /**
+     * Delete a note
+     * @param {number} id - Note id
+     * @returns {Promise<void>} NotFoundError for an unknown id
+     */
+    async remove(id) {
+        const { changes } = await run(this.db, 'DELETE FROM notes WHERE note_id = ?', [id]);
+        NoteRepository.found(changes > 0 ? changes : null, 'Note not found');
+    }
+}
+
+module.exports = NoteRepository;
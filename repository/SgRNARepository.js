@@ -0,0 +1,115 @@
+/**
+ * sgRNA repository: single records, sequence search and streamed exports
+ */
+
+const BaseRepository = require('./BaseRepository');
+const Gene = require('../model/Gene');
+const SgRNA = require('../model/SgRNA');
+const { ValidationError } = require('../utils/errors');
+const { get, all } = require('../utils/dbAsync');
+const { createRowStream } = require('../utils/exportStream');
+
+class SgRNARepository extends BaseRepository {
+    /**
+     * Load a flat sgRNA record with its log2fc recomputed from read counts
+     * @param {number} id - sgRNA id (rowid of the genome_crispr view)
+     * @param {Object} normalization - See utils/normalization
+     * @returns {Promise<Object>} Formatted record; NotFoundError for an unknown id
+     */
+    async record(id, normalization) {
+        const row = SgRNARepository.found(
+            await get(this.db, 'SELECT rowid, * FROM genome_crispr WHERE rowid = ?', [id]), 'Record not found');
+        const normalized = await this.call(Gene, 'recomputeLog2fc', row.rowid, normalization);
+        return Gene.fromDbRow({ ...row, ...normalized, id: row.rowid }).toJSON();
+    }
+
+    /**
+     * Find sgRNAs containing a sequence on either strand
+     * @param {string} sequence - Uppercase ACGT sequence
+     * @param {Object} options - {mismatches, pam, filters, page, limit}
+     * @returns {Promise<Object>} {data, totalResults, totalPages, sequences, truncated, pamUnchecked};
+     *   ValidationError for a PAM that no stored sequence can hold next to the query
+     */
+    async searchBySequence(sequence, options) {
+        // The PAM is read from the stored guide sequences, not the genome, so it has to fit into them
+        if (options.pam) {
+            const index = await this.call(SgRNA, 'getSequenceIndex');
+            const longest = index.maxLength - options.pam.length;
+            if (sequence.length > longest) {
+                throw new ValidationError('PAM cannot be checked', {
+                    hint: `The PAM is read from the stored sgRNA sequences, which are at most ${index.maxLength} nt long here; ` +
+                        (longest > 0
+                            ? `with pam=${options.pam} use a query of at most ${longest} nt, or leave out pam`
+                            : 'leave out pam')
+                });
+            }
+        }
+        return this.call(SgRNA, 'searchBySequence', sequence, options);
+    }
+
+    /**
+     * Search sgRNAs by gene and facet filters, one record per guide and screen
+     * @param {string} searchTerm - Search term (may be empty when filters are set)
+     * @param {Object} options - {page, limit, sortBy, sortOrder, filters, after (keyset position)}
+     * @returns {Promise<Object>} {results, totalRows, totalPages, nextKey}
+     */
+    search(searchTerm, options) {
+        return this.cached('search', [searchTerm, options], () => this.call(SgRNA, 'search', searchTerm, options));
+    }
+
+    /**
+     * Readable object stream of every sgRNA record of a search, in search order
+     * @param {Object} options - {sortBy, sortOrder, filters, after}
+     * @returns {Readable}
+     */
+    searchStream(searchTerm, options) {
+        const { sql, params } = SgRNA.buildSearchQuery(searchTerm, options);
+        return createRowStream(this.db, sql, params, SgRNA.formatRow);
+    }
+
+    /**
+     * sgRNAs by id, for batched lookups
+     * @returns {Promise<Array<Object>>} sgrnas rows for the ids that exist
+     */
+    byIds(ids) {
+        return all(this.db, `SELECT * FROM sgrnas WHERE sgrna_id IN (${SgRNARepository.placeholders(ids)})`, ids);
+    }
+
+    /**
+     * sgRNAs of a batch of experiments, see BaseRepository.pagePerParent
+     * @param {Object} filters - sgRNA filters (strand, effect, minLog2fc, maxLog2fc)
+     * @returns {Promise<Array<Object>>} sgrnas rows with parent_id
+     */
+    forExperiments(ids, filters, page) {
+        return this.pagePerParent(SgRNARepository._query(filters), ids, page);
+    }
+
+    /**
+     * sgRNA counts of a batch of experiments
+     * @returns {Promise<Array<Object>>} [{parent_id, count}]
+     */
+    countForExperiments(ids, filters) {
+        return this.countPerParent(SgRNARepository._query(filters), ids);
+    }
+
+    /**
+     * FROM clause and filter conditions of batched sgRNA lookups
+     * @private
+     */
+    static _query(filters) {
+        const { conditions, params } = Gene.buildFilterConditions(filters);
+        return { columns: 's.*', from: 'FROM sgrnas s', parent: 's.experiment_id', order: 's.sgrna_id', conditions, params };
+    }
+
+    /**
+     * Readable object stream of export rows for a search
+     * @param {string} level - Export level (sgrna, gene, ...), see Gene.buildExportQuery
+     * @returns {Readable}
+     */
+    exportStream(searchTerm, filters, level) {
+        const { sql, params } = Gene.buildExportQuery(searchTerm, filters, level);
+        return createRowStream(this.db, sql, params);
+    }
+}
+
+module.exports = SgRNARepository;
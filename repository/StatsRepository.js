@@ -0,0 +1,35 @@
+/**
+ * Stats repository: database overview from the summary tables
+ */
+
+const BaseRepository = require('./BaseRepository');
+const { get, all } = require('../utils/dbAsync');
+
+class StatsRepository extends BaseRepository {
+    /**
+     * sgRNA counts in total, per chromosome, per effect and for the ten largest cell lines
+     * @returns {Promise<Object>} {totalRecords, chromosomes, effects, topCellLines}
+     */
+    overview() {
+        return this.cached('overview', [], () => this._overview());
+    }
+
+    async _overview() {
+        const [total, chromosomes, effects, topCellLines] = await Promise.all([
+            get(this.db, 'SELECT COALESCE(SUM(sgrna_count), 0) as count FROM chromosome_summary'),
+            all(this.db, 'SELECT chr, sgrna_count as count FROM chromosome_summary ORDER BY chr'),
+            all(this.db, 'SELECT effect, sgrna_count as count FROM effect_summary ORDER BY count DESC'),
+            all(this.db, `
+                SELECT cl.name as cellline, cs.sgrna_count as count
+                FROM cellline_summary cs
+                JOIN cell_lines cl ON cl.cellline_id = cs.cellline_id
+                ORDER BY count DESC
+                LIMIT 10
+            `)
+        ]);
+
+        return { totalRecords: total.count, chromosomes, effects, topCellLines };
+    }
+}
+
+module.exports = StatsRepository;
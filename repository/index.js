@@ -0,0 +1,35 @@
+/**
+ * Repositories used by the route handlers: promise-based access to one database connection.
+ * Lookups of a single gene, record, study, cell line, experiment, list or note throw NotFoundError when it does not exist.
+ */
+
+const GeneRepository = require('./GeneRepository');
+const ExperimentRepository = require('./ExperimentRepository');
+const SgRNARepository = require('./SgRNARepository');
+const CellLineRepository = require('./CellLineRepository');
+const StatsRepository = require('./StatsRepository');
+const ListRepository = require('./ListRepository');
+const NoteRepository = require('./NoteRepository');
+
+/**
+ * Create every repository for a database connection
+ * @param {Object} db - Database connection
+ * @param {Object} options - {cache: QueryCache shared by the repositories, or null}
+ * @returns {Object} {genes, experiments, sgRNAs, cellLines, stats, lists, notes}
+ */
+function createRepositories(db, options = {}) {
+    const { cache = null } = options;
+    return {
+        genes: new GeneRepository(db, cache),
+        experiments: new ExperimentRepository(db, cache),
+        sgRNAs: new SgRNARepository(db, cache),
+        cellLines: new CellLineRepository(db, cache),
+        stats: new StatsRepository(db, cache),
+        lists: new ListRepository(db),
+        notes: new NoteRepository(db)
+    };
+}
+
+module.exports = {
+    createRepositories
+};
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+/**
+ * Manage API keys and show their usage
+ * Usage: node scripts/apiKeys.js <command> [--db access.db]
+ *   create <name> [--rate-limit 600] [--export-quota 1000000|none]   Create a key (printed once)
+ *   list                                                             List keys with their limits and last use
+ *   revoke <id|prefix>                                               Revoke a key
+ *   usage [--days 7] [--key id]                                      Requests and exported rows per day and endpoint
+ *
+ * The database defaults to ACCESS_DB or ./access.db and is created when missing. The server picks up new and
+ * revoked keys immediately.
+ */
+
+const { openKeyStore, DEFAULT_RATE_LIMIT, DEFAULT_EXPORT_QUOTA } = require('../utils/apiKeys');
+
+const USAGE = `Usage: node scripts/apiKeys.js <command> [--db access.db]
+  create <name> [--rate-limit ${DEFAULT_RATE_LIMIT}] [--export-quota ${DEFAULT_EXPORT_QUOTA}|none]
+  list
+  revoke <id|prefix>
+  usage [--days 7] [--key id]`;
+
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        args: [],
+        db: process.env.ACCESS_DB || './access.db',
+        rateLimit: DEFAULT_RATE_LIMIT,
+        exportQuota: DEFAULT_EXPORT_QUOTA,
+        days: 7,
+        key: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--db') options.db = argv[++i];
+        else if (arg === '--rate-limit') options.rateLimit = parseInt(argv[++i]);
+        else if (arg === '--export-quota') {
+            const value = argv[++i];
+            options.exportQuota = value === 'none' ? null : parseInt(value);
+        } else if (arg === '--days') options.days = parseInt(argv[++i]);
+        else if (arg === '--key') options.key = parseInt(argv[++i]);
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else if (!options.command) options.command = arg;
+        else options.args.push(arg);
+    }
+    return options;
+}
+
+// Check the numeric options of a command; returns an error message or null
+function invalidOption(options) {
+    if (!(options.rateLimit > 0)) return '--rate-limit must be a positive number of requests per minute';
+    if (options.exportQuota !== null && !(options.exportQuota >= 0)) return '--export-quota must be a number of rows per day or none';
+    if (!(options.days > 0)) return '--days must be a positive number';
+    if (options.key !== null && isNaN(options.key)) return '--key must be a key id';
+    return null;
+}
+
+function printTable(rows, columns) {
+    const widths = columns.map(([title, value]) => Math.max(title.length, ...rows.map(row => String(value(row)).length)));
+    const line = values => values.map((value, i) => String(value).padEnd(widths[i])).join('  ').trimEnd();
+    console.log(line(columns.map(([title]) => title)));
+    rows.forEach(row => console.log(line(columns.map(([, value]) => value(row)))));
+}
+
+async function run(store, options) {
+    const [argument] = options.args;
+
+    if (options.command === 'create') {
+        if (!argument) throw new Error('create needs a name, e.g. create "analysis pipeline"');
+        const created = await store.create({ name: argument, rateLimit: options.rateLimit, exportQuota: options.exportQuota });
+        console.log(`Created key ${created.id} (${created.name}):`);
+        console.log(`  ${created.key}`);
+        console.log(`Rate limit ${created.rateLimit} requests/minute, export quota ${created.exportQuota === null ? 'none' : `${created.exportQuota} rows/day`}`);
+        console.log('The key is not stored and cannot be shown again.');
+    } else if (options.command === 'list') {
+        const keys = await store.list();
+        if (keys.length === 0) return console.log('No API keys');
+        printTable(keys, [
+            ['ID', key => key.id],
+            ['PREFIX', key => `gck_${key.prefix}`],
+            ['NAME', key => key.name],
+            ['REQ/MIN', key => key.rateLimit],
+            ['ROWS/DAY', key => (key.exportQuota === null ? 'none' : key.exportQuota)],
+            ['CREATED', key => key.createdAt],
+            ['LAST USED', key => key.lastUsedAt || '-'],
+            ['STATUS', key => (key.revokedAt ? `revoked ${key.revokedAt}` : 'active')]
+        ]);
+    } else if (options.command === 'revoke') {
+        if (!argument) throw new Error('revoke needs a key id or prefix');
+        const revoked = await store.revoke(argument.replace(/^gck_/, ''));
+        if (!revoked) throw new Error(`No active key ${argument}`);
+        console.log(`Revoked key ${revoked.id} (${revoked.name})`);
+    } else if (options.command === 'usage') {
+        const usage = await store.usage({ days: options.days, keyId: options.key });
+        if (usage.length === 0) return console.log(`No API usage in the last ${options.days} days`);
+        printTable(usage, [
+            ['DAY', row => row.day],
+            ['KEY', row => (row.keyId === 0 ? '-' : row.keyId)],
+            ['NAME', row => row.name],
+            ['ENDPOINT', row => row.endpoint],
+            ['REQUESTS', row => row.requests],
+            ['EXPORTED ROWS', row => row.exportRows]
+        ]);
+    } else {
+        throw new Error(`Unknown command ${options.command}\n${USAGE}`);
+    }
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        if (!options.help) process.exitCode = 1;
+        return;
+    }
+    const invalid = invalidOption(options);
+    if (invalid) {
+        console.error(invalid);
+        process.exitCode = 1;
+        return;
+    }
+
+    const store = openKeyStore(options.db);
+
+    try {
+        await store.migrate();
+        await run(store, options);
+    } catch (err) {
+        console.error(err.message);
+        process.exitCode = 1;
+    } finally {
+        store.db.close();
+    }
+}
+
+main();
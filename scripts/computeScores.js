@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Recompute gene-level essentiality scores (median log2fc, robust z, RRA p-values with FDR)
+ * Usage: node scripts/computeScores.js [--db genome_crispr.db]
+ *
+ * Run after loading data with the SQL scripts; the importer runs it automatically.
+ * The summary tables are rebuilt afterwards, since they carry the best score per gene.
+ * Finally one scored gene is read back as GET /api/genes/:symbol/scores does, which must list its experiments.
+ */
+
+const sqlite3 = require('sqlite3');
+const Gene = require('../model/Gene');
+const { get } = require('../utils/dbAsync');
+const { migrate } = require('../utils/migrations');
+const { computeGeneScores } = require('../utils/geneScores');
+const { refreshSummaryTables } = require('../utils/summaryTables');
+
+/**
+ * Read the scores of the gene with the most scored experiments through Gene.loadScores
+ * @throws {Error} When the route would not return every scored experiment of the gene
+ */
+async function checkScores(db) {
+    const scored = await get(db, `
+        SELECT g.symbol, COUNT(*) as experiments
+        FROM gene_scores gs
+        JOIN genes g ON g.gene_id = gs.gene_id
+        GROUP BY gs.gene_id
+        ORDER BY experiments DESC
+        LIMIT 1
+    `);
+    if (!scored) return;
+
+    const result = await new Promise((resolve, reject) => Gene.loadScores(db, scored.symbol, (err, loaded) => (
+        err ? reject(err) : resolve(loaded)
+    )));
+    const returned = result ? result.scores.length : 0;
+    if (returned !== scored.experiments) {
+        throw new Error(`Scores of ${scored.symbol} list ${returned} of its ${scored.experiments} scored experiments`);
+    }
+    console.log(`Checked: ${scored.symbol} lists its ${returned} scored experiments`);
+}
+
+async function main() {
+    const dbIndex = process.argv.indexOf('--db');
+    const dbPath = dbIndex !== -1 ? process.argv[dbIndex + 1] : 'genome_crispr.db';
+    const db = new sqlite3.Database(dbPath);
+    const started = Date.now();
+
+    try {
+        await migrate(db);
+        const result = await computeGeneScores(db, {
+            onProgress: (done, total) => process.stdout.write(`\r  Scored ${done}/${total} screens`)
+        });
+        console.log(`\nScored ${result.experiments} experiments in ${result.screens} screens in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+        const summaries = await refreshSummaryTables(db);
+        console.log(`Summary tables rebuilt for ${summaries.genes} genes in ${summaries.cellLines} cell lines`);
+        await checkScores(db);
+    } catch (err) {
+        console.error(`\nScoring failed: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+main();
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Import a GenomeCRISPR CSV file into the SQLite database
+ * Usage: node scripts/importDataset.js [file.csv] [--db genome_crispr.db] [--report rejections.tsv] [--batch 5000]
+ *
+ * Existing data is kept: new genes, cell lines and screens are appended and
+ * guides that are already stored for an experiment are skipped. Gene scores
+ * and the summary tables are recomputed afterwards. Rejected rows are only written to a file with --report.
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { importDataset } = require('../utils/datasetImport');
+const { computeGeneScores } = require('../utils/geneScores');
+const { refreshSummaryTables } = require('../utils/summaryTables');
+
+function parseArgs(argv) {
+    const options = {
+        input: 'GenomeCRISPR_full.csv',
+        db: 'genome_crispr.db',
+        report: null,
+        batch: 5000
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--db') options.db = argv[++i];
+        else if (arg === '--report') options.report = argv[++i];
+        else if (arg === '--batch') options.batch = parseInt(argv[++i]) || options.batch;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else options.input = arg;
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help) {
+        console.log('Usage: node scripts/importDataset.js [file.csv] [--db genome_crispr.db] [--report rejections.tsv] [--batch 5000]');
+        return;
+    }
+
+    const db = new sqlite3.Database(options.db);
+    const started = Date.now();
+    console.log(`Importing ${options.input} into ${options.db}`);
+
+    try {
+        const stats = await importDataset(db, path.resolve(options.input), {
+            reportPath: options.report,
+            batchSize: options.batch,
+            onProgress: progress => process.stdout.write(`\r  ${progress.imported} sgRNAs imported, ${progress.rejected} rejected`)
+        });
+
+        console.log(`\nDone in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+        console.log(`  Rows read:          ${stats.lines}`);
+        console.log(`  sgRNAs imported:    ${stats.imported}`);
+        console.log(`  Duplicates skipped: ${stats.duplicates}`);
+        const rejections = options.report ? `see ${options.report}` : 'list them with --report rejections.tsv';
+        console.log(`  Rows rejected:      ${stats.rejected}${stats.rejected > 0 ? ` (${rejections})` : ''}`);
+        console.log(`  New genes: ${stats.newGenes}, cell lines: ${stats.newCellLines}, experiments: ${stats.newExperiments}`);
+
+        if (stats.imported > 0) {
+            const scores = await computeGeneScores(db);
+            console.log(`  Gene scores recomputed for ${scores.experiments} experiments in ${scores.screens} screens`);
+            const summaries = await refreshSummaryTables(db);
+            console.log(`  Summary tables rebuilt for ${summaries.genes} genes in ${summaries.cellLines} cell lines`);
+        }
+    } catch (err) {
+        console.error(`\nImport failed: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+main();
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+/**
+ * Import gene sets from GMT files for enrichment analysis
+ * Usage: node scripts/importGeneSets.js file.gmt [more.gmt ...] [--collection name] [--replace] [--db genome_crispr.db]
+ *
+ * Each file becomes a collection named after the file unless --collection is given. Sets with the same
+ * name in a collection are replaced; --replace also removes the collection's sets missing from the file.
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { migrate } = require('../utils/migrations');
+const { importGmtFile } = require('../utils/geneSets');
+
+const USAGE = 'Usage: node scripts/importGeneSets.js file.gmt [more.gmt ...] [--collection name] [--replace] [--db genome_crispr.db]';
+
+function parseArgs(argv) {
+    const options = {
+        inputs: [],
+        db: 'genome_crispr.db',
+        collection: null,
+        replace: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--db') options.db = argv[++i];
+        else if (arg === '--collection') options.collection = argv[++i];
+        else if (arg === '--replace') options.replace = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else options.inputs.push(arg);
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || options.inputs.length === 0) {
+        console.log(USAGE);
+        if (!options.help) process.exitCode = 1;
+        return;
+    }
+
+    const db = new sqlite3.Database(options.db);
+
+    try {
+        await migrate(db);
+        for (const input of options.inputs) {
+            const result = await importGmtFile(db, path.resolve(input), {
+                collection: options.collection,
+                replace: options.replace
+            });
+
+            console.log(`${input}: ${result.sets} sets (${result.members} members) imported into collection "${result.collection}"`);
+            if (result.removed > 0) console.log(`  Removed ${result.removed} sets no longer in the file`);
+            result.rejected.forEach(({ line, reason }) => console.log(`  Skipped line ${line}: ${reason}`));
+        }
+    } catch (err) {
+        console.error(`Gene set import failed: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+main();
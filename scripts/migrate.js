@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Create or upgrade a database schema in place by applying the pending migrations in sql/migrations
+ * Usage: node scripts/migrate.js [--db genome_crispr.db] [--status]
+ *
+ * Data is kept. A new file gets the full schema; --status only lists the applied and pending migrations.
+ */
+
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { migrate, schemaStatus } = require('../utils/migrations');
+
+const USAGE = 'Usage: node scripts/migrate.js [--db genome_crispr.db] [--status]';
+
+function parseArgs(argv) {
+    const options = {
+        db: 'genome_crispr.db',
+        status: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--db') options.db = argv[++i];
+        else if (arg === '--status') options.status = true;
+        else if (arg === '--help' || arg === '-h') options.help = true;
+        else options.unknown = arg;
+    }
+    return options;
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+    if (options.help || options.unknown) {
+        console.log(USAGE);
+        if (options.unknown) process.exitCode = 1;
+        return;
+    }
+
+    const db = new sqlite3.Database(options.db);
+
+    try {
+        if (options.status) {
+            const status = await schemaStatus(db);
+            console.log(`${options.db}: schema version ${status.current}, latest ${status.latest}`);
+            status.pending.forEach(migration => console.log(`  Pending: ${path.basename(migration.file)}`));
+            if (status.unknown.length > 0) console.log(`  Applied by a newer version: ${status.unknown.join(', ')}`);
+            return;
+        }
+
+        const result = await migrate(db, {
+            onApply: migration => console.log(`  Applying ${path.basename(migration.file)}`)
+        });
+        console.log(result.applied.length > 0
+            ? `${options.db}: schema upgraded from version ${result.from} to ${result.to}`
+            : `${options.db}: schema is up to date (version ${result.to})`);
+    } catch (err) {
+        console.error(`Migration failed: ${err.message}`);
+        process.exitCode = 1;
+    } finally {
+        db.close();
+    }
+}
+
+main();
@@ -1,20 +1,57 @@
 const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
 const path = require('path');
+const { pipeline, Readable } = require('stream');
 const { 
-    renderIndexError, renderIndexSuccess, formatGeneFromRow,
-    handleApiError, parseQueryParams, validateSortBy 
+    renderIndexError, renderIndexSuccess, renderPageError, asyncRoute, conditionalGet,
+    handleApiError, parseList, parseGeneList, parseQueryParams, parseCursor, hasActiveFilters,
+    parseDifferentialGroups, parseSequenceSearch, parseEnrichmentOptions, parseListItems, parseTextFields,
+    formatDifferentialRow, formatListRows
 } = require('./utils/responseHelpers');
+const { ValidationError, NotFoundError, statusOf } = require('./utils/errors');
+
+const { parseRegion, buildRegion, formatRegion } = require('./utils/genomicRegion');
+const { EXPORT_FORMATS, createFormatStream, createNdjsonStream, limitRows } = require('./utils/exportStream');
+const { encodeCursor } = require('./utils/keysetCursor');
+const { parseNormalizationOptions } = require('./utils/normalization');
+const { ensureSummaryTables } = require('./utils/summaryTables');
+const { checkSchemaVersion, SchemaVersionError } = require('./utils/migrations');
+const { readDatasetConfig, DatasetRegistry } = require('./utils/datasets');
+const { openKeyStore } = require('./utils/apiKeys');
+const { readAccessConfig, corsOptions, ApiAccess } = require('./utils/apiAccess');
 
 const Gene = require('./model/Gene');
+const SgRNA = require('./model/SgRNA');
 const GeneView = require('./model/GeneView');
+const ListRepository = require('./repository/ListRepository');
+const { createGraphQLHandler } = require('./graphql');
+const { createSpec, MAX_SUGGEST_LIMIT, MAX_EXPORT_LIMIT } = require('./openapi/spec');
+const { createRequestValidator } = require('./openapi/validator');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const MAX_COMPARE_GENES = 200;
+const MAX_COMPARE_CELLLINES = 100;
+const MAX_BATCH_GENES = 5000;
+// Text fields of saved lists and notes with their length limits (see parseTextFields)
+const LIST_FIELDS = { name: { required: true, max: 100 }, description: { max: 1000 } };
+const NOTE_FIELDS = { body: { required: true, max: 10000 }, author: { max: 100 } };
+const LIST_EXPORT_FORMATS = ['csv', 'tsv', 'txt'];
+// Sort fields of each /api/records level; the first is the default
+const RECORD_SORT_FIELDS = { gene: Gene.SORT_FIELDS, sgrna: SgRNA.SORT_FIELDS };
+const RECORD_LEVELS = Object.keys(RECORD_SORT_FIELDS);
+const NDJSON_TYPE = 'application/x-ndjson';
+const QUERY_CACHE_SIZE = parseInt(process.env.QUERY_CACHE_SIZE) || 500;
+const DIFFERENTIAL_GROUPS_HINT =
+    'Select both groups with nested filters, e.g. a[cellline]=KBM7&b[cellline]=HAP1 or a[condition]=viability&b[condition]=drug';
+
+// API access: keys, per-client rate limits and export quotas for /api and /graphql (see utils/apiAccess.js).
+// Browsers may call the API from other sites only when CORS_ORIGINS lists them
+const accessConfig = readAccessConfig();
+const access = new ApiAccess(openKeyStore(accessConfig.file), accessConfig);
 
 // Middleware
-app.use(cors(), express.urlencoded({ extended: true }), express.json());
+app.use(cors(corsOptions(accessConfig.corsOrigins)), express.urlencoded({ extended: true }), express.json());
 app.use((req, res, next) => { console.log(`${new Date().toISOString()} - ${req.method} ${req.url}`); next(); });
 
 // Configure EJS and static files
@@ -23,24 +60,78 @@ app.engine('html', require('ejs').renderFile);
 app.set('views', path.join(__dirname, 'frontend'));
 app.use('/css', express.static(path.join(__dirname, 'frontend/css')));
 
-// Database connection
-const db = new sqlite3.Database('./genome_crispr.db', (err) => {
-    if (err) console.error('Error opening database:', err.message);
-    else console.log('Connected to the SQLite database.');
+// Datasets (one SQLite database each); /d/<name>/... or ?dataset=<name> selects one for any page or API route.
+// Query results are cached per dataset until its version (summary_state, rewritten on every load) changes
+const datasets = new DatasetRegistry(readDatasetConfig(), { cacheSize: QUERY_CACHE_SIZE });
+app.use(datasets.selector());
+const datasetCached = conditionalGet(req => req.dataset.cache);
+
+// API contract; every /api request is checked against it before its route runs
+const apiSpec = createSpec({
+    datasets: datasets.names,
+    recordLevels: RECORD_LEVELS,
+    maxCompareGenes: MAX_COMPARE_GENES,
+    maxCompareCellLines: MAX_COMPARE_CELLLINES,
+    maxBatchGenes: MAX_BATCH_GENES,
+    listFields: LIST_FIELDS,
+    noteFields: NOTE_FIELDS,
+    listExportFormats: LIST_EXPORT_FORMATS
 });
+app.use(['/api', '/graphql'], access.middleware());
+app.use('/api', createRequestValidator(apiSpec));
+
+// Helper function to render sgRNA sequence hits on the index page
+async function renderSequenceSearch(req, res, params) {
+    const { sgRNAs } = req.dataset.repositories;
+    const search = parseSequenceSearch(req.query);
+    const view = { itemsPerPage: params.limit, sortBy: params.sortBy, sortOrder: params.sortOrder, hasSearch: false };
+
+    if (search.error) return renderIndexError(res.status(400), req, `${search.error}: ${search.hint}`, view);
+
+    try {
+        const options = { ...search, filters: params.filters, page: params.page, limit: params.limit };
+        const result = await sgRNAs.searchBySequence(search.sequence, options);
 
-// Helper function to get gene search results using optimized relational queries
-function searchGenesWithPagination(searchQuery, page, limit, sortBy, sortOrder, callback) {
-    Gene.searchGenes(db, searchQuery, { page, limit, sortBy, sortOrder }, callback);
+        renderIndexSuccess(res, req, {
+            ...view, results: [], totalRows: result.totalResults, currentPage: params.page, totalPages: result.totalPages,
+            sequenceSearch: { ...search, ...result }
+        });
+    } catch (err) {
+        const status = statusOf(err);
+        if (status >= 500) console.error('Error:', err);
+        const message = status < 500 ? `${err.message}: ${err.details.hint}` : 'Database error occurred';
+        renderIndexError(res.status(status), req, message, view);
+    }
 }
 
+// Helper function to read histogram bins and top genes per direction for study and cell line summaries
+function parseSummaryOptions(query) {
+    return {
+        bins: Math.min(Math.max(parseInt(query.bins) || 40, 5), 200),
+        top: Math.min(Math.max(parseInt(query.top) || 10, 1), 100)
+    };
+}
 
+// Helper function to build a pagination block for list responses
+function paginate(page, limit, totalResults, totalPages = Math.ceil(totalResults / limit)) {
+    return {
+        currentPage: page,
+        totalPages,
+        totalResults,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+    };
+}
 
 // Main route - handles both search and initial page load
-app.get('/', (req, res) => {
+app.get('/', asyncRoute(async (req, res) => {
+    const { genes } = req.dataset.repositories;
     const params = parseQueryParams(req.query);
 
-    if (!params.searchQuery) {
+    if (req.query.mode === 'sequence' && req.query.query) return renderSequenceSearch(req, res, params);
+
+    if (!params.searchQuery && !hasActiveFilters(params.filters)) {
         return renderIndexSuccess(res, req, {
             results: [], totalRows: 0, currentPage: 1, totalPages: 0,
             itemsPerPage: 10, sortBy: 'rowid', sortOrder: 'ASC',
@@ -49,218 +140,728 @@ app.get('/', (req, res) => {
     }
 
     // Use optimized Gene model for all searches
-    searchGenesWithPagination(params.searchQuery, params.page, params.limit, params.sortBy, params.sortOrder, (err, result) => {
-        if (err) {
-            return renderIndexError(res, req, 'Database error occurred', {
-                itemsPerPage: params.limit, sortBy: params.sortBy, sortOrder: params.sortOrder, hasSearch: true
-            });
-        }
+    try {
+        const { page, limit, sortBy, sortOrder, filters } = params;
+        const result = await genes.search(params.searchQuery, { page, limit, sortBy, sortOrder, filters });
 
         renderIndexSuccess(res, req, {
             results: result.results, totalRows: result.totalRows, currentPage: params.page,
             totalPages: result.totalPages, itemsPerPage: params.limit, sortBy: params.sortBy,
             sortOrder: params.sortOrder, hasSearch: true
         });
-    });
-});
+    } catch (err) {
+        console.error('Error:', err);
+        renderIndexError(res.status(statusOf(err)), req, 'Database error occurred', {
+            itemsPerPage: params.limit, sortBy: params.sortBy, sortOrder: params.sortOrder, hasSearch: true
+        });
+    }
+}));
 
 // Details page route
-app.get('/details/:id', (req, res) => {
-    db.get('SELECT rowid, * FROM genome_crispr WHERE rowid = ?', [req.params.id], (err, row) => {
-        if (err) return res.render('details', { error: 'Database error occurred', data: null });
-        if (!row) return res.render('details', { error: 'Record not found', data: null });
-
-        const data = formatGeneFromRow({ ...row, id: row.rowid });
+app.get('/details/:id', asyncRoute(async (req, res) => {
+    const { sgRNAs } = req.dataset.repositories;
+    try {
+        const data = await sgRNAs.record(req.params.id, parseNormalizationOptions(req.query));
         res.render('details', { data, error: null });
-    });
-});
+    } catch (err) {
+        renderPageError(res, 'details', err, { data: null });
+    }
+}));
 
 // Gene overview route using optimized relational queries with frontend compatibility
-app.get('/gene/:symbol', (req, res) => {
-    const symbol = req.params.symbol;
-    
-    Gene.loadWithRelations(db, symbol, (err, gene) => {
-        if (err) return res.render('gene-overview', { error: 'Database error occurred', gene: null });
-        if (!gene) return res.render('gene-overview', { error: 'Gene not found', gene: null });
+app.get('/gene/:symbol', datasetCached, asyncRoute(async (req, res) => {
+    const { genes } = req.dataset.repositories;
+    try {
+        const gene = await genes.get(req.params.symbol, { normalization: parseNormalizationOptions(req.query) });
 
         // Convert to GeneView for frontend template compatibility
         const geneView = GeneView.fromGeneModel(gene.toJSON());
         res.render('gene-overview', { gene: geneView.toJSON(), error: null });
-    });
+    } catch (err) {
+        renderPageError(res, 'gene-overview', err, { gene: null });
+    }
+}));
+
+// Cross-cell-line comparison page (matrix is loaded from /api/compare); ?list=<id> compares the genes of a saved list
+app.get('/compare', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    const view = { genes: parseList(req.query.genes), celllines: parseList(req.query.celllines), list: null, error: null };
+
+    if (req.query.list) {
+        try {
+            const list = await lists.get(req.query.list);
+            const symbols = ListRepository.symbols(list);
+            view.genes = symbols.slice(0, MAX_COMPARE_GENES);
+            view.list = { id: list.id, name: list.name, totalGenes: symbols.length };
+        } catch (err) {
+            return renderPageError(res, 'compare', err, view);
+        }
+    }
+    res.render('compare', view);
+}));
+
+// Study browser pages
+app.get('/studies', asyncRoute(async (req, res) => {
+    const { experiments } = req.dataset.repositories;
+    try {
+        res.render('studies', { studies: await experiments.studies(), error: null });
+    } catch (err) {
+        renderPageError(res, 'studies', err, { studies: [] });
+    }
+}));
+
+app.get('/studies/:pubmed', asyncRoute(async (req, res) => {
+    const { experiments } = req.dataset.repositories;
+    try {
+        res.render('study', { study: await experiments.study(req.params.pubmed, parseSummaryOptions(req.query)), error: null });
+    } catch (err) {
+        renderPageError(res, 'study', err, { study: null });
+    }
+}));
+
+// Cell line catalogue pages
+app.get('/celllines', asyncRoute(async (req, res) => {
+    const { cellLines } = req.dataset.repositories;
+    try {
+        res.render('celllines', { celllines: await cellLines.list(), error: null });
+    } catch (err) {
+        renderPageError(res, 'celllines', err, { celllines: [] });
+    }
+}));
+
+app.get('/celllines/:name', asyncRoute(async (req, res) => {
+    const { cellLines } = req.dataset.repositories;
+    try {
+        const cellline = await cellLines.get(req.params.name, { ...parseSummaryOptions(req.query), ranking: true });
+        res.render('cellline', { cellline, error: null });
+    } catch (err) {
+        renderPageError(res, 'cellline', err, { cellline: null });
+    }
+}));
+
+// Saved gene lists pages
+app.get('/lists', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    try {
+        res.render('lists', { lists: await lists.list(), list: null, error: null });
+    } catch (err) {
+        renderPageError(res, 'lists', err, { lists: [], list: null });
+    }
+}));
+
+app.get('/lists/:id', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    try {
+        const list = await lists.get(req.params.id);
+        if (list.id === null) throw new NotFoundError('List not found', { hint: 'Nothing has been starred yet' });
+        res.render('lists', {
+            lists: await lists.list(),
+            list,
+            // The Starred list cannot be renamed or deleted
+            starred: list.name === ListRepository.STARRED_LIST,
+            // Genes of the list and of its sgRNAs, as compared by /compare?list=
+            compareGenes: ListRepository.symbols(list).length,
+            maxCompareGenes: MAX_COMPARE_GENES,
+            error: null
+        });
+    } catch (err) {
+        renderPageError(res, 'lists', err, { lists: [], list: null });
+    }
+}));
+
+app.get('/enrichment', (req, res) => {
+    res.render('enrichment', { query: req.query });
+});
+
+// Interactive API documentation (Swagger UI over /api/openapi.json)
+app.get('/docs', (req, res) => {
+    res.render('api-docs');
 });
 
 // RESTful API Routes
 // ===================
 
-// GET /api/records - Get all records with pagination and filtering
-app.get('/api/records', (req, res) => {
-    try {
-        const params = parseQueryParams(req.query);
-        
-        if (!validateSortBy(params.sortBy)) {
-            return res.status(400).json({ 
-                error: 'Invalid sort field',
-                allowedFields: ['rowid', 'chr', 'start', 'end', 'strand', 'symbol', 'ensg', 'log2fc', 'effect', 'cellline']
-            });
-        }
+// POST /api/genes/batch - Summarize a list of gene symbols or ENSG IDs (JSON {genes} or plain text)
+app.post('/api/genes/batch', express.text({ type: 'text/plain', limit: '1mb' }), asyncRoute(async (req, res) => {
+    const { genes } = req.dataset.repositories;
+    const ids = parseGeneList(req.body);
+
+    if (ids.length === 0 || ids.length > MAX_BATCH_GENES) {
+        throw new ValidationError('Invalid gene list', {
+            hint: `Send 1-${MAX_BATCH_GENES} symbols or ENSG IDs as {"genes": [...]} or as plain text, one per line`
+        });
+    }
 
-        // Use gene view logic for gene searches (consistent with main route)
-        if (params.searchQuery) {
-            searchGenesWithPagination(params.searchQuery, params.page, params.limit, params.sortBy, params.sortOrder, (err, result) => {
-                if (err) return handleApiError(res, err);
-
-                res.json({
-                    data: result.results,
-                    pagination: {
-                        currentPage: params.page,
-                        totalPages: result.totalPages,
-                        totalResults: result.totalRows,
-                        limit: params.limit,
-                        hasNext: params.page < result.totalPages,
-                        hasPrev: params.page > 1
-                    },
-                    filters: {
-                        query: params.searchQuery,
-                        strand: params.strand,
-                        effect: params.effect,
-                        sortBy: params.sortBy,
-                        sortOrder: params.sortOrder
-                    }
-                });
-            });
-        } else {
-            // No search query, return empty results
-            res.json({
-                data: [],
-                pagination: {
-                    currentPage: 1,
-                    totalPages: 0,
-                    totalResults: 0,
-                    limit: params.limit,
-                    hasNext: false,
-                    hasPrev: false
-                },
-                filters: {
-                    query: '',
-                    strand: params.strand,
-                    effect: params.effect,
-                    sortBy: params.sortBy,
-                    sortOrder: params.sortOrder
-                }
-            });
+    const result = await genes.batchLookup(ids);
+    res.json({
+        ...result,
+        summary: {
+            requested: ids.length,
+            found: result.data.length,
+            notFound: result.notFound.length,
+            ambiguous: result.ambiguous.length
         }
-    } catch (error) {
-        handleApiError(res, error);
+    });
+}));
+
+// GET /api/genes/:symbol/scores - Get precomputed essentiality scores per experiment for a gene
+app.get('/api/genes/:symbol/scores', asyncRoute(async (req, res) => {
+    const { genes } = req.dataset.repositories;
+    const result = await genes.scores(req.params.symbol);
+    res.json({ gene: result.gene, data: result.scores });
+}));
+
+// GET /api/records - Get genes or sgRNAs with page or cursor pagination and filtering
+app.get('/api/records', datasetCached, asyncRoute(async (req, res) => {
+    const { genes, sgRNAs } = req.dataset.repositories;
+    const params = parseQueryParams(req.query);
+    const ndjson = req.accepts(['application/json', NDJSON_TYPE]) === NDJSON_TYPE;
+    const level = String(req.query.level || (ndjson ? 'sgrna' : 'gene')).toLowerCase();
+    res.vary('Accept');
+
+    if (!RECORD_LEVELS.includes(level)) throw new ValidationError('Invalid level', { allowedLevels: RECORD_LEVELS });
+
+    const sortFields = RECORD_SORT_FIELDS[level];
+    const sortBy = req.query.sortBy || sortFields[0];
+    if (!sortFields.includes(sortBy)) {
+        throw new ValidationError(`Invalid sort field for level ${level}`, { allowedFields: sortFields });
     }
-});
+
+    const { page, limit, sortOrder } = params;
+    const { after } = ValidationError.check(parseCursor(req.query, { level, sortBy, sortOrder }));
+    const filters = { ...params.filters, sortBy, sortOrder, level };
+
+    // No search query, return empty results
+    if (!params.searchQuery && !hasActiveFilters(params.filters)) {
+        if (ndjson) return res.type(NDJSON_TYPE).end();
+        return res.json({
+            data: [],
+            pagination: { ...paginate(1, limit, 0), nextCursor: null },
+            filters: { query: '', ...filters }
+        });
+    }
+
+    // Gene summaries (consistent with main route) or one record per sgRNA and screen
+    const repository = level === 'gene' ? genes : sgRNAs;
+    const options = { sortBy, sortOrder, filters: params.filters, after };
+    if (ndjson) return streamRecords(req, res, repository.searchStream(params.searchQuery, options));
+
+    // Pages count against the export quota like streams; a used-up quota answers 429
+    await access.exportAllowance(req, res);
+    const result = await repository.search(params.searchQuery, { ...options, page, limit });
+    access.countExport(req, result.results.length);
+    const nextCursor = result.nextKey ? encodeCursor({ level, sortBy, sortOrder, after: result.nextKey }) : null;
+    res.json({
+        data: result.results,
+        pagination: after === undefined
+            ? { ...paginate(page, limit, result.totalRows, result.totalPages), nextCursor }
+            : { limit, hasNext: nextCursor !== null, nextCursor },
+        filters: { query: params.searchQuery, ...filters }
+    });
+}));
+
+// Stream every record of a search as NDJSON; rows are pulled from SQLite only as fast as the client reads,
+// up to the client's export quota
+async function streamRecords(req, res, records) {
+    const allowance = await access.exportAllowance(req, res);
+    res.type(NDJSON_TYPE);
+    pipeline(limitRows(records, allowance, rows => access.countExport(req, rows)), createNdjsonStream(), res, (err) => {
+        if (!err) return;
+        if (!res.headersSent) return handleApiError(res, err);
+        console.error('Record stream error:', err.message);
+    });
+}
 
 // GET /api/records/:id - Get a specific record by ID
-app.get('/api/records/:id', (req, res) => {
+app.get('/api/records/:id', asyncRoute(async (req, res) => {
+    const { sgRNAs } = req.dataset.repositories;
     const id = parseInt(req.params.id);
-    
-    if (isNaN(id)) {
-        return res.status(400).json({ error: 'Invalid record ID' });
+    if (isNaN(id)) throw new ValidationError('Invalid record ID');
+
+    res.json({ data: await sgRNAs.record(id, parseNormalizationOptions(req.query)) });
+}));
+
+// GET /api/stats - Get database statistics from the summary tables
+app.get('/api/stats', datasetCached, asyncRoute(async (req, res) => {
+    const { stats } = req.dataset.repositories;
+    res.json(await stats.overview());
+}));
+
+// GET /api/datasets - List the configured datasets with their version and size
+app.get('/api/datasets', asyncRoute(async (req, res) => {
+    res.json({ data: await datasets.describe(), default: datasets.defaultName });
+}));
+
+// GET /api/diagnostics - Get the dataset version and query cache hit rates of the selected dataset
+app.get('/api/diagnostics', asyncRoute(async (req, res) => {
+    const { cache, name } = req.dataset;
+    await cache.version();
+    const stats = cache.stats();
+    res.json({ ...stats, dataset: { name, ...stats.dataset }, uptime: process.uptime() });
+}));
+
+// GET /api/openapi.json - Get the OpenAPI document that requests are validated against
+app.get('/api/openapi.json', (req, res) => {
+    res.json(apiSpec);
+});
+
+// GET /api/facets - Get per-value counts for the filter sidebar, narrowed to the current search
+app.get('/api/facets', asyncRoute(async (req, res) => {
+    const { genes } = req.dataset.repositories;
+    const params = parseQueryParams(req.query);
+
+    res.json({
+        facets: await genes.facets(params.searchQuery, params.filters),
+        filters: { query: params.searchQuery, ...params.filters }
+    });
+}));
+
+// GET /api/differential - Compare sgRNA log2fc distributions of every gene between two experiment groups
+app.get('/api/differential', asyncRoute(async (req, res) => {
+    const { genes } = req.dataset.repositories;
+    const params = parseQueryParams(req.query);
+    const groups = parseDifferentialGroups(req.query);
+    const sortBy = req.query.sortBy || 'welch_p';
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (!groups) throw new ValidationError('Invalid comparison groups', { hint: DIFFERENTIAL_GROUPS_HINT });
+    if (!Gene.DIFFERENTIAL_SORT_FIELDS.includes(sortBy)) {
+        throw new ValidationError('Invalid sort field', { allowedFields: Gene.DIFFERENTIAL_SORT_FIELDS });
     }
-    
-    db.get('SELECT rowid, * FROM genome_crispr WHERE rowid = ?', [id], (err, row) => {
-        if (err) return handleApiError(res, err);
-        if (!row) return res.status(404).json({ error: 'Record not found' });
-        
-        const formattedRecord = require('./utils/responseHelpers').formatGeneFromRow({
-            ...row,
-            id: row.rowid
+    if (format !== 'json' && format !== 'csv' && format !== 'tsv') {
+        throw new ValidationError('Invalid export format', { allowedFormats: ['json', 'csv', 'tsv'] });
+    }
+
+    // Downloads are capped at the rows left in the client's export quota
+    const allowance = format === 'json' ? Infinity : await access.exportAllowance(req, res);
+    const results = await genes.differential(groups.a, groups.b, { sortBy, sortOrder: params.sortOrder });
+
+    if (format !== 'json') {
+        const spec = EXPORT_FORMATS[format];
+        res.set({
+            'Content-Type': `${spec.contentType}; charset=utf-8`,
+            'Content-Disposition': `attachment; filename="genome_crispr_differential_${new Date().toISOString().slice(0, 10)}.${spec.extension}"`
+        });
+        const rows = limitRows(Readable.from(results.map(formatDifferentialRow)), allowance, count => access.countExport(req, count));
+        return pipeline(rows, createFormatStream(format, 'differential'), res, (err) => {
+            if (err) console.error('Export stream error:', err.message);
         });
-        
-        res.json({ data: formattedRecord });
+    }
+
+    res.json({
+        groups,
+        data: results.slice((params.page - 1) * params.limit, params.page * params.limit),
+        pagination: paginate(params.page, params.limit, results.length),
+        sort: { sortBy, sortOrder: params.sortOrder }
     });
-});
+}));
 
-// GET /api/stats - Get database statistics using optimized relational queries
-app.get('/api/stats', (req, res) => {
-    const queries = {
-        total: 'SELECT COUNT(*) as count FROM sgrnas',
-        genes: 'SELECT COUNT(*) as count FROM genes',
-        chromosomes: 'SELECT g.chr, COUNT(s.sgrna_id) as count FROM genes g JOIN experiments e ON g.gene_id = e.gene_id JOIN sgrnas s ON e.experiment_id = s.experiment_id GROUP BY g.chr ORDER BY g.chr',
-        effects: 'SELECT s.effect, COUNT(*) as count FROM sgrnas s WHERE s.effect IS NOT NULL AND s.effect != "" GROUP BY s.effect ORDER BY count DESC',
-        cellLines: 'SELECT cl.name as cellline, COUNT(s.sgrna_id) as count FROM cell_lines cl JOIN experiments e ON cl.cellline_id = e.cellline_id JOIN sgrnas s ON e.experiment_id = s.experiment_id GROUP BY cl.name ORDER BY count DESC LIMIT 10'
-    };
+// GET /api/gene-sets - List imported gene sets, optionally of one collection
+app.get('/api/gene-sets', asyncRoute(async (req, res) => {
+    const { experiments } = req.dataset.repositories;
+    const sets = await experiments.geneSets(req.query.collection || null);
+    res.json({
+        collections: [...new Set(sets.map(set => set.collection))],
+        data: sets
+    });
+}));
 
-    const results = {};
-    let completed = 0;
-    const total = Object.keys(queries).length;
-
-    Object.entries(queries).forEach(([key, query]) => {
-        db.all(query, (err, rows) => {
-            if (err) return handleApiError(res, err);
-            
-            results[key] = key === 'total' ? rows[0].count : rows;
-            completed++;
-            
-            if (completed === total) {
-                res.json({
-                    totalRecords: results.total,
-                    chromosomes: results.chromosomes,
-                    strands: results.strands,
-                    effects: results.effects,
-                    topCellLines: results.cellLines
-                });
-            }
+// GET /api/enrichment - Gene set enrichment among the depleted or enriched genes of an experiment or cell line
+app.get('/api/enrichment', asyncRoute(async (req, res) => {
+    const { experiments } = req.dataset.repositories;
+    const params = parseQueryParams(req.query);
+    const options = ValidationError.check(parseEnrichmentOptions(req.query));
+    const result = await experiments.enrichment(options);
+
+    res.json({
+        method: options.method,
+        direction: options.direction,
+        selection: result.selection,
+        data: result.data.slice((params.page - 1) * params.limit, params.page * params.limit),
+        pagination: paginate(params.page, params.limit, result.data.length)
+    });
+}));
+
+// GET /api/studies - List studies (pubmed IDs) with their cell lines, screen types, cas variants and counts
+app.get('/api/studies', asyncRoute(async (req, res) => {
+    const { experiments } = req.dataset.repositories;
+    const studies = await experiments.studies();
+    res.json({ data: studies, total: studies.length });
+}));
+
+// GET /api/studies/:pubmed - Per-screen summary, log2fc distribution and top genes of one study
+app.get('/api/studies/:pubmed', asyncRoute(async (req, res) => {
+    const { experiments } = req.dataset.repositories;
+    res.json({ data: await experiments.study(req.params.pubmed, parseSummaryOptions(req.query)) });
+}));
+
+// GET /api/celllines - List cell lines with their screens, studies and counts
+app.get('/api/celllines', asyncRoute(async (req, res) => {
+    const { cellLines } = req.dataset.repositories;
+    const celllines = await cellLines.list();
+    res.json({ data: celllines, total: celllines.length });
+}));
+
+// GET /api/celllines/:name - Screens, gene coverage and top genes of one cell line (ranking=true adds every gene)
+app.get('/api/celllines/:name', asyncRoute(async (req, res) => {
+    const { cellLines } = req.dataset.repositories;
+    const options = { ...parseSummaryOptions(req.query), ranking: req.query.ranking === 'true' };
+    res.json({ data: await cellLines.get(req.params.name, options) });
+}));
+
+// GET /api/genes/:symbol/differential - Compare one gene's sgRNA log2fc distributions between two experiment groups
+app.get('/api/genes/:symbol/differential', asyncRoute(async (req, res) => {
+    const { genes } = req.dataset.repositories;
+    const groups = parseDifferentialGroups(req.query);
+    if (!groups) throw new ValidationError('Invalid comparison groups', { hint: DIFFERENTIAL_GROUPS_HINT });
+
+    const { gene, data } = await genes.differentialForGene(req.params.symbol, groups);
+    res.json({ gene, groups, data });
+}));
+
+// GET /api/sgrnas/search - Find sgRNAs matching a sequence on either strand, allowing mismatches
+app.get('/api/sgrnas/search', asyncRoute(async (req, res) => {
+    const { sgRNAs } = req.dataset.repositories;
+    const params = parseQueryParams(req.query);
+    const search = ValidationError.check(parseSequenceSearch({ ...req.query, query: undefined }));
+
+    const options = { ...search, filters: params.filters, page: params.page, limit: params.limit };
+    const result = await sgRNAs.searchBySequence(search.sequence, options);
+
+    res.json({
+        query: search,
+        data: result.data,
+        sequences: result.sequences,
+        truncated: result.truncated,
+        pamUnchecked: result.pamUnchecked,
+        pagination: paginate(params.page, params.limit, result.totalResults, result.totalPages)
+    });
+}));
+
+// GET /api/compare - Get a gene x cell line matrix of average log2fc and guide counts
+app.get('/api/compare', asyncRoute(async (req, res) => {
+    const { genes } = req.dataset.repositories;
+    const params = parseQueryParams(req.query);
+    const symbols = [...new Set(parseList(req.query.genes))];
+    const celllines = [...new Set(parseList(req.query.celllines))];
+
+    if (symbols.length === 0 || symbols.length > MAX_COMPARE_GENES || celllines.length > MAX_COMPARE_CELLLINES) {
+        throw new ValidationError('Invalid comparison', {
+            hint: `Pass 1-${MAX_COMPARE_GENES} genes and up to ${MAX_COMPARE_CELLLINES} cell lines, e.g. genes=TP53,BRCA1&celllines=KBM7,HAP1`
+        });
+    }
+
+    res.json(await genes.compare(symbols, celllines, params.filters));
+}));
+
+// GET /api/region - Get genes and sgRNAs overlapping a genomic region
+app.get('/api/region', asyncRoute(async (req, res) => {
+    const { genes } = req.dataset.repositories;
+    const params = parseQueryParams(req.query);
+    const region = req.query.region
+        ? parseRegion(req.query.region)
+        : buildRegion(req.query.chr, req.query.start, req.query.end);
+
+    if (!region) {
+        throw new ValidationError('Invalid region', {
+            hint: 'Use chr, start and end (e.g. chr=17&start=7500000&end=7700000) or region=chr17:7.5M-7.7M'
         });
+    }
+
+    const result = await genes.inRegion({ ...params.filters, region }, { page: params.page, limit: params.limit });
+    res.json({
+        region: { ...region, label: formatRegion(region) },
+        genes: result.genes,
+        data: result.sgRNAs,
+        pagination: paginate(params.page, params.limit, result.totalSgRNAs, result.totalPages)
     });
-});
+}));
 
 // GET /api/search/suggest - Get search suggestions
-app.get('/api/search/suggest', (req, res) => {
+app.get('/api/search/suggest', asyncRoute(async (req, res) => {
+    const { genes } = req.dataset.repositories;
     const query = req.query.q || '';
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
-    
+    const limit = Math.min(parseInt(req.query.limit) || 10, MAX_SUGGEST_LIMIT);
+
     if (query.length < 2) return res.json({ suggestions: [] });
-    
-    db.all(`
-        SELECT DISTINCT symbol as value, 'gene_symbol' as type FROM genome_crispr WHERE symbol LIKE ? AND symbol IS NOT NULL
-        UNION SELECT DISTINCT ensg as value, 'ensg_id' as type FROM genome_crispr WHERE ensg LIKE ? AND ensg IS NOT NULL
-        ORDER BY value LIMIT ?
-    `, [`${query}%`, `${query}%`, limit], (err, suggestions) => {
-        if (err) return handleApiError(res, err);
-        res.json({ suggestions });
-    });
-});
+    res.json({ suggestions: await genes.suggest(query, limit) });
+}));
 
-// GET /api/export - Export search results as JSON
-app.get('/api/export', (req, res) => {
+// GET /api/export - Export search results as JSON, or stream them as CSV/TSV/BED/GFF3/FASTA
+app.get('/api/export', asyncRoute(async (req, res) => {
+    const { genes } = req.dataset.repositories;
     const params = parseQueryParams(req.query);
-    const limit = Math.min(parseInt(req.query.limit) || 10000, 50000);
-    
-    if (!params.searchQuery) {
+    const format = (req.query.format || 'json').toLowerCase();
+
+    if (format !== 'json') return streamExport(req, res, params, format);
+
+    if (!params.searchQuery && !hasActiveFilters(params.filters)) {
         return res.json({ 
             data: [],
             metadata: {
                 exportDate: new Date().toISOString(),
                 totalRecords: 0,
-                filters: { query: '', strand: params.strand, effect: params.effect }
+                filters: { query: '', ...params.filters }
             }
         });
     }
     
-    // Use optimized Gene model for export
-    searchGenesWithPagination(params.searchQuery, 1, limit, 'symbol', 'ASC', (err, result) => {
-        if (err) return handleApiError(res, err);
-        
-        res.json({ 
-            data: result.results,
-            metadata: {
-                exportDate: new Date().toISOString(),
-                totalRecords: result.results.length,
-                filters: { query: params.searchQuery, strand: params.strand, effect: params.effect }
-            }
+    // Use optimized Gene model for export, with at most the rows left in the client's export quota
+    const allowance = await access.exportAllowance(req, res);
+    const limit = Math.min(parseInt(req.query.limit) || 10000, MAX_EXPORT_LIMIT, allowance);
+    const result = await genes.search(params.searchQuery, { page: 1, limit, sortBy: 'symbol', sortOrder: 'ASC', filters: params.filters });
+    access.countExport(req, result.results.length);
+    res.json({ 
+        data: result.results,
+        metadata: {
+            exportDate: new Date().toISOString(),
+            totalRecords: result.results.length,
+            filters: { query: params.searchQuery, ...params.filters }
+        }
+    });
+}));
+
+// Stream an export of up to the client's export quota; rows are pulled from SQLite only as fast as the client reads
+async function streamExport(req, res, params, format) {
+    const { sgRNAs } = req.dataset.repositories;
+    const level = (req.query.level || 'sgrna').toLowerCase();
+    const spec = EXPORT_FORMATS[format];
+
+    if (!spec) {
+        throw new ValidationError('Invalid export format', { allowedFormats: ['json', ...Object.keys(EXPORT_FORMATS)] });
+    }
+    if (!spec.levels.includes(level)) {
+        throw new ValidationError(`Format ${format} does not support level ${level}`, { allowedLevels: spec.levels });
+    }
+
+    const allowance = await access.exportAllowance(req, res);
+    const timestamp = new Date().toISOString().slice(0, 10);
+
+    res.set({
+        'Content-Type': `${spec.contentType}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="genome_crispr_${level}_${timestamp}.${spec.extension}"`
+    });
+
+    const rows = limitRows(sgRNAs.exportStream(params.searchQuery, params.filters, level), allowance,
+        count => access.countExport(req, count));
+    pipeline(rows, createFormatStream(format, level), res, (err) => {
+        if (!err) return;
+        if (!res.headersSent) return handleApiError(res, err);
+        console.error('Export stream error:', err.message);
+    });
+}
+
+// Check the genes and sgRNAs of a list request
+function checkListItems(items, required) {
+    const count = items.genes.length + items.sgrnas.length;
+    if ((required && count === 0) || count > MAX_BATCH_GENES) {
+        throw new ValidationError('Invalid list items', {
+            hint: `Send ${required ? 1 : 0}-${MAX_BATCH_GENES} items as {"genes": ["TP53", ...], "sgrnas": [101, ...]}`
         });
+    }
+    return items;
+}
+
+// GET /api/lists - List saved gene lists with their item counts, optionally only those containing a gene or sgRNA
+app.get('/api/lists', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    const sgrna = req.query.sgrna ? parseInt(req.query.sgrna) : null;
+    res.json({ data: await lists.list({ gene: req.query.gene || null, sgrna }) });
+}));
+
+// POST /api/lists - Create a list, optionally with its first genes and sgRNAs
+app.post('/api/lists', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    const fields = ValidationError.check(parseTextFields(req.body, LIST_FIELDS));
+    const items = checkListItems(ValidationError.check(parseListItems(req.body)), false);
+
+    const id = await lists.create(fields);
+    const { notFound, ambiguous } = await lists.addItems(id, items);
+    res.status(201).location(`${res.locals.base}/api/lists/${id}`).json({ ...(await lists.get(id)), notFound, ambiguous });
+}));
+
+// GET /api/lists/:id - Get a list with its genes and sgRNAs (id or starred)
+app.get('/api/lists/:id', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    res.json(await lists.get(req.params.id));
+}));
+
+// PATCH /api/lists/:id - Rename a list or change its description
+app.patch('/api/lists/:id', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    const fields = ValidationError.check(parseTextFields(req.body, LIST_FIELDS, { partial: true }));
+    res.json(await lists.get(await lists.update(req.params.id, fields)));
+}));
+
+// DELETE /api/lists/:id - Delete a list
+app.delete('/api/lists/:id', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    await lists.remove(req.params.id);
+    res.status(204).end();
+}));
+
+// POST /api/lists/:id/items - Add genes (symbols or ENSG IDs) and sgRNAs (record ids) to a list
+app.post('/api/lists/:id/items', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    const items = checkListItems(ValidationError.check(parseListItems(req.body)), true);
+    res.json(await lists.addItems(req.params.id, items));
+}));
+
+// DELETE /api/lists/:id/genes/:symbol - Remove a gene from a list
+app.delete('/api/lists/:id/genes/:symbol', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    await lists.removeItem(req.params.id, { symbol: req.params.symbol });
+    res.status(204).end();
+}));
+
+// DELETE /api/lists/:id/sgrnas/:sgrnaId - Remove an sgRNA from a list
+app.delete('/api/lists/:id/sgrnas/:sgrnaId', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    await lists.removeItem(req.params.id, { sgrna: parseInt(req.params.sgrnaId) });
+    res.status(204).end();
+}));
+
+// GET /api/lists/:id/export - Download a list as CSV/TSV, or its gene symbols as plain text (one per line)
+app.get('/api/lists/:id/export', asyncRoute(async (req, res) => {
+    const { lists } = req.dataset.repositories;
+    const format = (req.query.format || 'csv').toLowerCase();
+
+    if (!LIST_EXPORT_FORMATS.includes(format)) {
+        throw new ValidationError('Invalid export format', { allowedFormats: LIST_EXPORT_FORMATS });
+    }
+
+    const list = await lists.get(req.params.id);
+    // Capped at the rows left in the client's export quota
+    const allowance = await access.exportAllowance(req, res);
+    const filename = `${list.name.replace(/[^\w.-]+/g, '_')}.${format}`;
+    if (format === 'txt') {
+        const symbols = ListRepository.symbols(list).slice(0, allowance);
+        access.countExport(req, symbols.length);
+        res.set({ 'Content-Type': 'text/plain; charset=utf-8', 'Content-Disposition': `attachment; filename="${filename}"` });
+        return res.send(symbols.map(symbol => `${symbol}\n`).join(''));
+    }
+
+    res.set({
+        'Content-Type': `${EXPORT_FORMATS[format].contentType}; charset=utf-8`,
+        'Content-Disposition': `attachment; filename="${filename}"`
     });
+    const rows = limitRows(Readable.from(formatListRows(list)), allowance, count => access.countExport(req, count));
+    pipeline(rows, createFormatStream(format, 'list'), res, (err) => {
+        if (err) console.error('Export stream error:', err.message);
+    });
+}));
+
+// Gene or sgRNA record a new note is about ({gene} or {sgrna}); it must exist in the dataset
+async function noteTarget(req) {
+    const { genes, sgRNAs } = req.dataset.repositories;
+    const { gene, sgrna } = req.body || {};
+
+    if ((gene === undefined) === (sgrna === undefined)) {
+        throw new ValidationError('Invalid note target', { hint: 'Send either gene (a symbol or ENSG ID) or sgrna (a record id)' });
+    }
+    if (sgrna !== undefined) {
+        const sgrnaId = Number(sgrna);
+        if (!(Number.isInteger(sgrnaId) && sgrnaId > 0)) throw new ValidationError('Invalid sgrna', { hint: 'sgrna must be a record id' });
+        if ((await sgRNAs.byIds([sgrnaId])).length === 0) throw new NotFoundError('Record not found');
+        return { sgrnaId };
+    }
+
+    const resolved = await genes.resolveIds([String(gene).trim()]);
+    if (resolved.ambiguous.length > 0) {
+        throw new ValidationError('Ambiguous gene', { matches: resolved.ambiguous[0].matches });
+    }
+    if (resolved.matches.length === 0) throw new NotFoundError('Gene not found');
+    return { symbol: resolved.matches[0].gene.symbol };
+}
+
+// GET /api/notes - List notes, newest first: of a gene and its sgRNAs, of one sgRNA, or all
+app.get('/api/notes', asyncRoute(async (req, res) => {
+    const { notes } = req.dataset.repositories;
+    const { page, limit } = parseQueryParams(req.query);
+    const sgrna = req.query.sgrna ? parseInt(req.query.sgrna) : null;
+    const result = await notes.list({ gene: req.query.gene || null, sgrna, page, limit });
+    res.json({ data: result.data, pagination: paginate(page, limit, result.totalResults) });
+}));
+
+// POST /api/notes - Add a note to a gene or an sgRNA record
+app.post('/api/notes', asyncRoute(async (req, res) => {
+    const { notes } = req.dataset.repositories;
+    const fields = ValidationError.check(parseTextFields(req.body, NOTE_FIELDS));
+    const id = await notes.create({ ...(await noteTarget(req)), ...fields });
+    res.status(201).location(`${res.locals.base}/api/notes/${id}`).json(await notes.get(id));
+}));
+
+// GET /api/notes/:id - Get a note
+app.get('/api/notes/:id', asyncRoute(async (req, res) => {
+    const { notes } = req.dataset.repositories;
+    res.json(await notes.get(req.params.id));
+}));
+
+// PATCH /api/notes/:id - Change the text or author of a note
+app.patch('/api/notes/:id', asyncRoute(async (req, res) => {
+    const { notes } = req.dataset.repositories;
+    const fields = ValidationError.check(parseTextFields(req.body, NOTE_FIELDS, { partial: true }));
+    await notes.update(req.params.id, fields);
+    res.json(await notes.get(req.params.id));
+}));
+
+// DELETE /api/notes/:id - Delete a note
+app.delete('/api/notes/:id', asyncRoute(async (req, res) => {
+    const { notes } = req.dataset.repositories;
+    await notes.remove(req.params.id);
+    res.status(204).end();
+}));
+
+// GraphQL endpoint over genes, experiments, cell lines and sgRNAs (schema in graphql/schema.js)
+const graphqlHandler = asyncRoute(createGraphQLHandler(req => req.dataset.repositories, {
+    exportAllowance: (req, res) => access.exportAllowance(req, res),
+    countExport: (req, rows) => access.countExport(req, rows)
+}));
+app.get('/graphql', graphqlHandler);
+app.post('/graphql', graphqlHandler);
+
+// Paths without a route, answered below as a JSON or page 404
+app.use((req, res, next) => next(new NotFoundError('Not found')));
+
+// API errors: typed errors answer with their status (400 bad input, 401 invalid API key, 404 unknown gene/record/list,
+// 409 list name taken or Starred list renamed/deleted, 429 rate limit or export quota), anything else with 500
+app.use(['/api', '/graphql'], (err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    handleApiError(res, err);
 });
 
-// Start server and handle graceful shutdown
-app.listen(PORT, () => console.log(`Server running at http://localhost:${PORT}`));
-process.on('SIGINT', () => db.close((err) => {
+// Page errors not handled by their route: unknown datasets and paths (404), and unexpected errors (500)
+app.use((err, req, res, next) => {
+    if (res.headersSent) return next(err);
+    renderPageError(res, 'error', err, {
+        base: res.locals.base ?? '',
+        allowedDatasets: (err.details && err.details.allowedDatasets) || null
+    });
+});
+
+// Start server once every dataset has the current schema and its summary tables match its data,
+// and handle graceful shutdown. A schema that does not match the migrations stops the server; other errors
+// reading the version are logged like summary table errors. The access database is created or upgraded here.
+Promise.all(datasets.list().map(dataset => checkSchemaVersion(dataset.db, dataset.file).catch(err => {
+    if (err instanceof SchemaVersionError) throw new Error(`Dataset ${dataset.name}: ${err.message}`);
+    console.error(`Error reading the schema version of dataset ${dataset.name}:`, err.message);
+})).concat(access.store.migrate().catch(err => {
+    throw new Error(`Access database ${accessConfig.file}: ${err.message}`);
+})))
+    .catch(err => {
+        console.error(`Cannot start: ${err.message}`);
+        process.exit(1);
+    })
+    .then(() => datasets.list().reduce((previous, dataset) => previous.then(() => ensureSummaryTables(dataset.db)
+        .then(refreshed => {
+            if (refreshed) {
+                console.log(`Summary tables of dataset ${dataset.name} rebuilt for ${refreshed.genes} genes in ${refreshed.cellLines} cell lines.`);
+            }
+        })
+        .catch(err => console.error(`Error building summary tables of dataset ${dataset.name}:`, err.message))), Promise.resolve()))
+    .then(() => app.listen(PORT, () => console.log(`Server running at http://localhost:${PORT}`)));
+process.on('SIGINT', () => access.close(() => datasets.close((err) => {
     if (err) console.error('Error closing database:', err.message);
-    else console.log('Database connection closed.');
+    else console.log('Database connections closed.');
     process.exit(0);
-}));
\ No newline at end of file
+})));
\ No newline at end of file
@@ -0,0 +1,26 @@
+-- API keys and their usage (access database, ACCESS_DB; managed with scripts/apiKeys.js)
+-- Keys are stored as SHA-256 hashes; the prefix identifies a key in listings without revealing it
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    key_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    rate_limit INTEGER NOT NULL,
+    export_quota INTEGER,
+    created_at TEXT NOT NULL,
+    revoked_at TEXT
+);
+
+-- Requests and exported rows per day, key and endpoint; key_id 0 counts anonymous clients
+CREATE TABLE IF NOT EXISTS api_usage (
+    day TEXT NOT NULL,
+    key_id INTEGER NOT NULL,
+    endpoint TEXT NOT NULL,
+    requests INTEGER NOT NULL,
+    export_rows INTEGER NOT NULL,
+    last_used_at TEXT NOT NULL,
+    PRIMARY KEY (day, key_id, endpoint)
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_usage_key ON api_usage(key_id, day);
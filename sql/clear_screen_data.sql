@@ -0,0 +1,17 @@
+-- Remove the screen data before a full reload (read by the load_*.sql scripts)
+-- Tables and indexes stay as the migrations created them; gene sets, gene lists and gene notes are kept,
+-- sgRNA list items and notes go with the sgRNAs they refer to
+
+DELETE FROM gene_list_items WHERE sgrna_id IS NOT NULL;
+DELETE FROM notes WHERE sgrna_id IS NOT NULL;
+DELETE FROM gene_scores;
+DELETE FROM sgrna_intervals;
+DELETE FROM chromosomes;
+DELETE FROM sgrnas;
+DELETE FROM experiments;
+DELETE FROM cell_lines;
+DELETE FROM genes;
+DELETE FROM summary_state;
+
+-- Restart the ids at 1, so the example data can refer to its own rows
+DELETE FROM sqlite_sequence WHERE name IN ('genes', 'cell_lines', 'experiments', 'sgrnas', 'chromosomes');
@@ -1,55 +1,14 @@
 -- Load example data
--- This creates a small dataset for development and testing
--- Usage: sqlite3 genome_crispr.db < sql/load_example_data.sql
+-- This replaces the screen data with a small dataset for development and testing
+-- Usage: npm run migrate -- --db genome_crispr.db && sqlite3 genome_crispr.db < sql/load_example_data.sql
+-- The schema comes from the migrations in sql/migrations; gene sets are kept
 
--- Drop existing tables and recreate with normalized structure
-DROP VIEW IF EXISTS genome_crispr;
-DROP VIEW IF EXISTS genome_crispr_relational;
-DROP VIEW IF EXISTS genome_crispr_view;
-DROP TABLE IF EXISTS genome_crispr;
-DROP TABLE IF EXISTS genes;
-DROP TABLE IF EXISTS cell_lines;
-DROP TABLE IF EXISTS experiments;
-DROP TABLE IF EXISTS sgrnas;
+.bail on
 
--- Create normalized table structure
-CREATE TABLE genes (
-    gene_id INTEGER PRIMARY KEY AUTOINCREMENT,
-    symbol TEXT NOT NULL UNIQUE,
-    ensg TEXT,
-    chr TEXT NOT NULL
-);
+-- Stops here when the database has not been migrated yet
+SELECT 1 FROM schema_migrations WHERE 0;
 
-CREATE TABLE cell_lines (
-    cellline_id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL UNIQUE
-);
-
-CREATE TABLE experiments (
-    experiment_id INTEGER PRIMARY KEY AUTOINCREMENT,
-    gene_id INTEGER NOT NULL,
-    cellline_id INTEGER NOT NULL,
-    condition TEXT,
-    cas TEXT,
-    screentype TEXT,
-    pubmed TEXT,
-    FOREIGN KEY (gene_id) REFERENCES genes(gene_id),
-    FOREIGN KEY (cellline_id) REFERENCES cell_lines(cellline_id)
-);
-
-CREATE TABLE sgrnas (
-    sgrna_id INTEGER PRIMARY KEY AUTOINCREMENT,
-    experiment_id INTEGER NOT NULL,
-    sequence TEXT NOT NULL,
-    start_pos INTEGER NOT NULL,
-    end_pos INTEGER NOT NULL,
-    strand TEXT,
-    log2fc REAL,
-    effect TEXT,
-    rc_initial INTEGER,
-    rc_final INTEGER,
-    FOREIGN KEY (experiment_id) REFERENCES experiments(experiment_id)
-);
+.read sql/clear_screen_data.sql
 
 -- Insert example data
 INSERT INTO genes (symbol, ensg, chr) VALUES
@@ -87,41 +46,18 @@ INSERT INTO sgrnas (experiment_id, sequence, start_pos, end_pos, strand, log2fc,
 (5, 'GTCTCCAGTGGTAATCTACT', 128748315, 128748337, '+', -0.5, 'down', 900, 700),
 (6, 'ATCTCCAGTGGTAATCTACT', 25398284, 25398306, '+', 1.7, 'up', 600, 1100);
 
--- Create optimized indexes
-CREATE INDEX idx_genes_symbol ON genes(symbol);
-CREATE INDEX idx_genes_chr ON genes(chr);
-CREATE INDEX idx_experiments_gene ON experiments(gene_id);
-CREATE INDEX idx_experiments_cellline ON experiments(cellline_id);
-CREATE INDEX idx_sgrnas_experiment ON sgrnas(experiment_id);
-CREATE INDEX idx_sgrnas_log2fc ON sgrnas(log2fc);
-CREATE INDEX idx_sgrnas_position ON sgrnas(start_pos, end_pos);
-CREATE INDEX idx_genes_symbol_chr ON genes(symbol, chr);
-CREATE INDEX idx_experiments_gene_cellline ON experiments(gene_id, cellline_id);
+-- Interval index for region queries
+INSERT INTO chromosomes (name)
+SELECT DISTINCT chr FROM genes ORDER BY chr;
 
--- Create compatibility view for existing queries
-CREATE VIEW genome_crispr AS
-SELECT 
-    s.sgrna_id as rowid,
-    s.start_pos as start,
-    s.end_pos as end,
-    g.chr,
-    s.strand,
-    e.pubmed,
-    cl.name as cellline,
-    e.condition,
-    s.sequence,
-    g.symbol,
-    g.ensg,
-    s.log2fc,
-    s.rc_initial,
-    s.rc_final,
-    s.effect,
-    e.cas,
-    e.screentype
+INSERT INTO sgrna_intervals (sgrna_id, chr_min, chr_max, start_pos, end_pos)
+SELECT s.sgrna_id, c.chr_key, c.chr_key, MIN(s.start_pos, s.end_pos), MAX(s.start_pos, s.end_pos)
 FROM sgrnas s
 JOIN experiments e ON s.experiment_id = e.experiment_id
 JOIN genes g ON e.gene_id = g.gene_id
-JOIN cell_lines cl ON e.cellline_id = cl.cellline_id;
+JOIN chromosomes c ON g.chr = c.name;
+
+.read sql/summary_tables.sql
 
 -- Verify example data
 SELECT 'Example data loaded:' as info, COUNT(*) as records FROM genome_crispr;
@@ -1,61 +1,21 @@
 -- Load real data
--- This creates normalized structure and loads complete CRISPR dataset
--- Usage: sqlite3 genome_crispr.db < sql/load_real_data.sql
+-- This replaces the screen data with the complete CRISPR dataset
+-- Usage: npm run migrate -- --db genome_crispr.db && sqlite3 genome_crispr.db < sql/load_real_data.sql
+-- The schema comes from the migrations in sql/migrations; gene sets are kept
 
--- First create the trimmed CSV file (remove header and incomplete last line)
-.shell tail -n +2 GenomeCRISPR_full.csv | head -n -1 > GenomeCRISPR_trimmed.csv
-
--- Drop existing tables if they exist
-DROP VIEW IF EXISTS genome_crispr;
-DROP VIEW IF EXISTS genome_crispr_relational;
-DROP VIEW IF EXISTS genome_crispr_view;
-DROP TABLE IF EXISTS genome_crispr;
-DROP TABLE IF EXISTS genes;
-DROP TABLE IF EXISTS cell_lines;
-DROP TABLE IF EXISTS experiments;
-DROP TABLE IF EXISTS sgrnas;
-
--- Create normalized table structure
-CREATE TABLE genes (
-    gene_id INTEGER PRIMARY KEY AUTOINCREMENT,
-    symbol TEXT NOT NULL UNIQUE,
-    ensg TEXT,
-    chr TEXT NOT NULL
-);
+.bail on
 
-CREATE TABLE cell_lines (
-    cellline_id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL UNIQUE
-);
+-- Stops here when the database has not been migrated yet
+SELECT 1 FROM schema_migrations WHERE 0;
 
-CREATE TABLE experiments (
-    experiment_id INTEGER PRIMARY KEY AUTOINCREMENT,
-    gene_id INTEGER NOT NULL,
-    cellline_id INTEGER NOT NULL,
-    condition TEXT,
-    cas TEXT,
-    screentype TEXT,
-    pubmed TEXT,
-    FOREIGN KEY (gene_id) REFERENCES genes(gene_id),
-    FOREIGN KEY (cellline_id) REFERENCES cell_lines(cellline_id)
-);
+-- First create the trimmed CSV file (remove header and incomplete last line)
+.shell tail -n +2 GenomeCRISPR_full.csv | head -n -1 > GenomeCRISPR_trimmed.csv
 
-CREATE TABLE sgrnas (
-    sgrna_id INTEGER PRIMARY KEY AUTOINCREMENT,
-    experiment_id INTEGER NOT NULL,
-    sequence TEXT NOT NULL,
-    start_pos INTEGER NOT NULL,
-    end_pos INTEGER NOT NULL,
-    strand TEXT,
-    log2fc REAL,
-    effect TEXT,
-    rc_initial INTEGER,
-    rc_final INTEGER,
-    FOREIGN KEY (experiment_id) REFERENCES experiments(experiment_id)
-);
+.read sql/clear_screen_data.sql
 
 -- Create temporary flat table for import
-CREATE TABLE genome_crispr(
+DROP TABLE IF EXISTS genome_crispr_import;
+CREATE TABLE genome_crispr_import(
 "start" TEXT, "end" TEXT, "chr" TEXT, "strand" TEXT,
  "pubmed" TEXT, "cellline" TEXT, "condition" TEXT, "sequence" TEXT,
  "symbol" TEXT, "ensg" TEXT, "log2fc" TEXT, "rc_initial" TEXT,
@@ -63,17 +23,17 @@ CREATE TABLE genome_crispr(
 
 -- Import CSV data into flat table
 .mode csv
-.import GenomeCRISPR_trimmed.csv genome_crispr
+.import GenomeCRISPR_trimmed.csv genome_crispr_import
 
 -- Populate normalized tables from flat data
 INSERT OR IGNORE INTO genes (symbol, ensg, chr)
 SELECT DISTINCT symbol, ensg, chr 
-FROM genome_crispr 
+FROM genome_crispr_import 
 WHERE symbol IS NOT NULL AND symbol != '';
 
 INSERT OR IGNORE INTO cell_lines (name)
 SELECT DISTINCT cellline 
-FROM genome_crispr 
+FROM genome_crispr_import 
 WHERE cellline IS NOT NULL AND cellline != '';
 
 INSERT OR IGNORE INTO experiments (gene_id, cellline_id, condition, cas, screentype, pubmed)
@@ -84,7 +44,7 @@ SELECT DISTINCT
     COALESCE(gc.cas, ''),
     COALESCE(gc.screentype, ''),
     COALESCE(gc.pubmed, '')
-FROM genome_crispr gc
+FROM genome_crispr_import gc
 JOIN genes g ON gc.symbol = g.symbol
 JOIN cell_lines cl ON gc.cellline = cl.name
 WHERE gc.symbol IS NOT NULL AND gc.cellline IS NOT NULL;
@@ -108,7 +68,7 @@ SELECT
         WHEN gc.rc_final LIKE '[%]' THEN CAST(SUBSTR(gc.rc_final, 2, LENGTH(gc.rc_final)-2) AS INTEGER)
         ELSE CAST(gc.rc_final AS INTEGER) 
     END
-FROM genome_crispr gc
+FROM genome_crispr_import gc
 JOIN genes g ON gc.symbol = g.symbol
 JOIN cell_lines cl ON gc.cellline = cl.name  
 JOIN experiments e ON e.gene_id = g.gene_id 
@@ -119,45 +79,21 @@ JOIN experiments e ON e.gene_id = g.gene_id
     AND COALESCE(e.pubmed, '') = COALESCE(gc.pubmed, '')
 WHERE gc.symbol IS NOT NULL AND gc.cellline IS NOT NULL;
 
--- Create optimized indexes for relational queries
-CREATE INDEX idx_genes_symbol ON genes(symbol);
-CREATE INDEX idx_genes_chr ON genes(chr);
-CREATE INDEX idx_experiments_gene ON experiments(gene_id);
-CREATE INDEX idx_experiments_cellline ON experiments(cellline_id);
-CREATE INDEX idx_sgrnas_experiment ON sgrnas(experiment_id);
-CREATE INDEX idx_sgrnas_log2fc ON sgrnas(log2fc);
-CREATE INDEX idx_sgrnas_position ON sgrnas(start_pos, end_pos);
-CREATE INDEX idx_genes_symbol_chr ON genes(symbol, chr);
-CREATE INDEX idx_experiments_gene_cellline ON experiments(gene_id, cellline_id);
+-- Interval index for region queries
+INSERT INTO chromosomes (name)
+SELECT DISTINCT chr FROM genes ORDER BY chr;
 
--- Create compatibility view
-CREATE VIEW genome_crispr_relational AS
-SELECT 
-    s.sgrna_id as rowid,
-    s.start_pos as start,
-    s.end_pos as end,
-    g.chr,
-    s.strand,
-    e.pubmed,
-    cl.name as cellline,
-    e.condition,
-    s.sequence,
-    g.symbol,
-    g.ensg,
-    s.log2fc,
-    s.rc_initial,
-    s.rc_final,
-    s.effect,
-    e.cas,
-    e.screentype
+INSERT INTO sgrna_intervals (sgrna_id, chr_min, chr_max, start_pos, end_pos)
+SELECT s.sgrna_id, c.chr_key, c.chr_key, MIN(s.start_pos, s.end_pos), MAX(s.start_pos, s.end_pos)
 FROM sgrnas s
 JOIN experiments e ON s.experiment_id = e.experiment_id
 JOIN genes g ON e.gene_id = g.gene_id
-JOIN cell_lines cl ON e.cellline_id = cl.cellline_id;
+JOIN chromosomes c ON g.chr = c.name;
+
+.read sql/summary_tables.sql
 
--- Drop the temporary flat table and replace with view
-DROP TABLE genome_crispr;
-CREATE VIEW genome_crispr AS SELECT * FROM genome_crispr_relational;
+-- Drop the temporary flat table
+DROP TABLE genome_crispr_import;
 
 -- Verify real data loaded successfully
 SELECT 'Real data loaded:' as info, COUNT(*) as records FROM genome_crispr;
@@ -0,0 +1,77 @@
+-- Normalized screen data: genes, cell lines, experiments (gene x cell line x screen) and their sgRNAs
+-- Tables use IF NOT EXISTS so that databases created before migrations were introduced keep their data
+-- and are adopted as they are
+
+CREATE TABLE IF NOT EXISTS genes (
+    gene_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT NOT NULL UNIQUE,
+    ensg TEXT,
+    chr TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS cell_lines (
+    cellline_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE
+);
+
+CREATE TABLE IF NOT EXISTS experiments (
+    experiment_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    gene_id INTEGER NOT NULL,
+    cellline_id INTEGER NOT NULL,
+    condition TEXT,
+    cas TEXT,
+    screentype TEXT,
+    pubmed TEXT,
+    FOREIGN KEY (gene_id) REFERENCES genes(gene_id),
+    FOREIGN KEY (cellline_id) REFERENCES cell_lines(cellline_id)
+);
+
+CREATE TABLE IF NOT EXISTS sgrnas (
+    sgrna_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    experiment_id INTEGER NOT NULL,
+    sequence TEXT NOT NULL,
+    start_pos INTEGER NOT NULL,
+    end_pos INTEGER NOT NULL,
+    strand TEXT,
+    log2fc REAL,
+    effect TEXT,
+    rc_initial INTEGER,
+    rc_final INTEGER,
+    FOREIGN KEY (experiment_id) REFERENCES experiments(experiment_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_genes_symbol ON genes(symbol);
+CREATE INDEX IF NOT EXISTS idx_genes_chr ON genes(chr);
+CREATE INDEX IF NOT EXISTS idx_experiments_gene ON experiments(gene_id);
+CREATE INDEX IF NOT EXISTS idx_experiments_cellline ON experiments(cellline_id);
+CREATE INDEX IF NOT EXISTS idx_sgrnas_experiment ON sgrnas(experiment_id);
+CREATE INDEX IF NOT EXISTS idx_sgrnas_log2fc ON sgrnas(log2fc);
+CREATE INDEX IF NOT EXISTS idx_sgrnas_position ON sgrnas(start_pos, end_pos);
+CREATE INDEX IF NOT EXISTS idx_genes_symbol_chr ON genes(symbol, chr);
+CREATE INDEX IF NOT EXISTS idx_experiments_gene_cellline ON experiments(gene_id, cellline_id);
+CREATE INDEX IF NOT EXISTS idx_experiments_screen ON experiments(cellline_id, condition, cas, screentype, pubmed);
+
+-- Compatibility view for flat-row queries
+CREATE VIEW IF NOT EXISTS genome_crispr AS
+SELECT
+    s.sgrna_id as rowid,
+    s.start_pos as start,
+    s.end_pos as end,
+    g.chr,
+    s.strand,
+    e.pubmed,
+    cl.name as cellline,
+    e.condition,
+    s.sequence,
+    g.symbol,
+    g.ensg,
+    s.log2fc,
+    s.rc_initial,
+    s.rc_final,
+    s.effect,
+    e.cas,
+    e.screentype
+FROM sgrnas s
+JOIN experiments e ON s.experiment_id = e.experiment_id
+JOIN genes g ON e.gene_id = g.gene_id
+JOIN cell_lines cl ON e.cellline_id = cl.cellline_id;
@@ -0,0 +1,24 @@
+-- Interval index for region queries: R*Tree over (chromosome key, start_pos..end_pos)
+
+CREATE TABLE IF NOT EXISTS chromosomes (
+    chr_key INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE
+);
+
+CREATE VIRTUAL TABLE IF NOT EXISTS sgrna_intervals USING rtree_i32(
+    sgrna_id,
+    chr_min, chr_max,
+    start_pos, end_pos
+);
+
+-- Index sgRNAs loaded before the interval index existed
+INSERT OR IGNORE INTO chromosomes (name)
+SELECT DISTINCT chr FROM genes ORDER BY chr;
+
+INSERT INTO sgrna_intervals (sgrna_id, chr_min, chr_max, start_pos, end_pos)
+SELECT s.sgrna_id, c.chr_key, c.chr_key, MIN(s.start_pos, s.end_pos), MAX(s.start_pos, s.end_pos)
+FROM sgrnas s
+JOIN experiments e ON s.experiment_id = e.experiment_id
+JOIN genes g ON e.gene_id = g.gene_id
+JOIN chromosomes c ON g.chr = c.name
+WHERE NOT EXISTS (SELECT 1 FROM sgrna_intervals);
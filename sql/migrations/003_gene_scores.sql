@@ -0,0 +1,19 @@
+-- Gene-level essentiality scores per experiment (filled by scripts/computeScores.js)
+
+CREATE TABLE IF NOT EXISTS gene_scores (
+    experiment_id INTEGER PRIMARY KEY,
+    gene_id INTEGER NOT NULL,
+    sgrna_count INTEGER NOT NULL,
+    median_log2fc REAL,
+    robust_z REAL,
+    rra_score_depleted REAL,
+    rra_p_depleted REAL,
+    fdr_depleted REAL,
+    rra_score_enriched REAL,
+    rra_p_enriched REAL,
+    fdr_enriched REAL,
+    FOREIGN KEY (experiment_id) REFERENCES experiments(experiment_id),
+    FOREIGN KEY (gene_id) REFERENCES genes(gene_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_gene_scores_gene ON gene_scores(gene_id);
@@ -0,0 +1,62 @@
+-- Materialized summaries for search and stats (rebuilt by sql/summary_tables.sql after every data change;
+-- the server fills them on its first start after this migration)
+
+CREATE TABLE IF NOT EXISTS gene_cellline_summary (
+    gene_id INTEGER NOT NULL,
+    cellline_id INTEGER NOT NULL,
+    experiment_count INTEGER NOT NULL,
+    total_sgrnas INTEGER NOT NULL,
+    log2fc_count INTEGER NOT NULL,
+    log2fc_sum REAL,
+    avg_log2fc REAL,
+    min_start INTEGER,
+    max_end INTEGER,
+    robust_z REAL,
+    fdr_depleted REAL,
+    fdr_enriched REAL,
+    PRIMARY KEY (gene_id, cellline_id)
+);
+
+CREATE TABLE IF NOT EXISTS gene_summary (
+    gene_id INTEGER PRIMARY KEY,
+    experiment_count INTEGER NOT NULL,
+    cell_line_count INTEGER NOT NULL,
+    total_sgrnas INTEGER NOT NULL,
+    avg_log2fc REAL,
+    min_start INTEGER,
+    max_end INTEGER,
+    robust_z REAL,
+    fdr_depleted REAL,
+    fdr_enriched REAL
+);
+
+CREATE TABLE IF NOT EXISTS chromosome_summary (
+    chr TEXT PRIMARY KEY,
+    gene_count INTEGER NOT NULL,
+    sgrna_count INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS cellline_summary (
+    cellline_id INTEGER PRIMARY KEY,
+    experiment_count INTEGER NOT NULL,
+    gene_count INTEGER NOT NULL,
+    sgrna_count INTEGER NOT NULL,
+    avg_log2fc REAL
+);
+
+CREATE TABLE IF NOT EXISTS effect_summary (
+    effect TEXT PRIMARY KEY,
+    sgrna_count INTEGER NOT NULL
+);
+
+-- Data version the summaries were built from; utils/summaryTables.js rebuilds them when it changes
+CREATE TABLE IF NOT EXISTS summary_state (
+    id INTEGER PRIMARY KEY CHECK (id = 1),
+    max_sgrna_id INTEGER,
+    score_count INTEGER NOT NULL,
+    refreshed_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_gene_cellline_summary_cellline ON gene_cellline_summary(cellline_id);
+CREATE INDEX IF NOT EXISTS idx_gene_summary_sgrnas ON gene_summary(total_sgrnas);
+CREATE INDEX IF NOT EXISTS idx_gene_summary_log2fc ON gene_summary(avg_log2fc);
@@ -0,0 +1,17 @@
+-- Gene sets imported from GMT files (filled by scripts/importGeneSets.js); members are symbols,
+-- so sets may name genes that are not screened
+
+CREATE TABLE IF NOT EXISTS gene_sets (
+    set_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    UNIQUE (collection, name)
+);
+
+CREATE TABLE IF NOT EXISTS gene_set_members (
+    set_id INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    PRIMARY KEY (set_id, symbol),
+    FOREIGN KEY (set_id) REFERENCES gene_sets(set_id)
+);
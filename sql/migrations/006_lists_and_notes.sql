@@ -0,0 +1,46 @@
+-- Saved lists of genes and sgRNAs (e.g. "validated hits") and free-text notes on a gene or an sgRNA record.
+-- Genes are kept by symbol, so lists and gene notes survive a reload of the screen data; sgRNAs are kept by id
+-- and are removed by sql/clear_screen_data.sql, whose reload restarts the ids.
+-- The list named Starred holds the genes and sgRNAs starred in the web interface.
+
+CREATE TABLE IF NOT EXISTS gene_lists (
+    list_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL UNIQUE,
+    description TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+);
+
+-- One gene (symbol) or one sgRNA (sgrna_id) per item
+CREATE TABLE IF NOT EXISTS gene_list_items (
+    item_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    list_id INTEGER NOT NULL,
+    symbol TEXT,
+    sgrna_id INTEGER,
+    added_at TEXT NOT NULL,
+    CHECK ((symbol IS NULL) <> (sgrna_id IS NULL)),
+    FOREIGN KEY (list_id) REFERENCES gene_lists(list_id)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gene_list_items_symbol ON gene_list_items(list_id, symbol) WHERE symbol IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_gene_list_items_sgrna ON gene_list_items(list_id, sgrna_id) WHERE sgrna_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_gene_list_items_lookup_symbol ON gene_list_items(symbol);
+CREATE INDEX IF NOT EXISTS idx_gene_list_items_lookup_sgrna ON gene_list_items(sgrna_id);
+
+-- A note on one gene (symbol) or one sgRNA record (sgrna_id)
+CREATE TABLE IF NOT EXISTS notes (
+    note_id INTEGER PRIMARY KEY AUTOINCREMENT,
+    symbol TEXT,
+    sgrna_id INTEGER,
+    body TEXT NOT NULL,
+    author TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    CHECK ((symbol IS NULL) <> (sgrna_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_notes_symbol ON notes(symbol);
+CREATE INDEX IF NOT EXISTS idx_notes_sgrna ON notes(sgrna_id);
+
+INSERT OR IGNORE INTO gene_lists (name, description, created_at, updated_at)
+VALUES ('Starred', 'Genes and sgRNAs starred in the web interface', datetime('now'), datetime('now'));
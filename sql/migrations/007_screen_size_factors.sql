@@ -0,0 +1,18 @@
+-- Read-count size factors per screen and normalization method (rebuilt by sql/summary_tables.sql after every
+-- data change), so recomputing a guide's log2fc does not read the counts of its whole screen.
+-- Clearing summary_state makes the server fill the table on its first start after this migration.
+
+CREATE TABLE IF NOT EXISTS screen_size_factors (
+    cellline_id INTEGER NOT NULL,
+    condition TEXT,
+    cas TEXT,
+    screentype TEXT,
+    pubmed TEXT,
+    method TEXT NOT NULL,
+    initial REAL NOT NULL,
+    final REAL NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_screen_size_factors ON screen_size_factors(cellline_id, method);
+
+DELETE FROM summary_state;
@@ -0,0 +1,103 @@
+-- Rebuild the materialized summary tables and screen size factors from genes/experiments/sgrnas/gene_scores
+-- Run after every data change: the importer and scripts/computeScores.js do this through
+-- utils/summaryTables.js, the SQL loaders with .read sql/summary_tables.sql
+-- Aggregates match the gene search over the full join (only sgRNAs count, AVG skips NULL log2fc)
+
+DELETE FROM gene_cellline_summary;
+DELETE FROM gene_summary;
+DELETE FROM chromosome_summary;
+DELETE FROM cellline_summary;
+DELETE FROM effect_summary;
+DELETE FROM screen_size_factors;
+
+INSERT INTO gene_cellline_summary (
+    gene_id, cellline_id, experiment_count, total_sgrnas, log2fc_count, log2fc_sum, avg_log2fc,
+    min_start, max_end, robust_z, fdr_depleted, fdr_enriched
+)
+SELECT
+    e.gene_id,
+    e.cellline_id,
+    COUNT(DISTINCT e.experiment_id),
+    COUNT(s.sgrna_id),
+    COUNT(s.log2fc),
+    SUM(s.log2fc),
+    AVG(s.log2fc),
+    MIN(s.start_pos),
+    MAX(s.end_pos),
+    MIN(gs.robust_z),
+    MIN(gs.fdr_depleted),
+    MIN(gs.fdr_enriched)
+FROM experiments e
+JOIN sgrnas s ON e.experiment_id = s.experiment_id
+LEFT JOIN gene_scores gs ON gs.experiment_id = e.experiment_id
+GROUP BY e.gene_id, e.cellline_id;
+
+INSERT INTO gene_summary (
+    gene_id, experiment_count, cell_line_count, total_sgrnas, avg_log2fc,
+    min_start, max_end, robust_z, fdr_depleted, fdr_enriched
+)
+SELECT
+    gene_id,
+    SUM(experiment_count),
+    COUNT(*),
+    SUM(total_sgrnas),
+    SUM(log2fc_sum) / NULLIF(SUM(log2fc_count), 0),
+    MIN(min_start),
+    MAX(max_end),
+    MIN(robust_z),
+    MIN(fdr_depleted),
+    MIN(fdr_enriched)
+FROM gene_cellline_summary
+GROUP BY gene_id;
+
+INSERT INTO chromosome_summary (chr, gene_count, sgrna_count)
+SELECT g.chr, COUNT(*), SUM(gsum.total_sgrnas)
+FROM gene_summary gsum
+JOIN genes g ON g.gene_id = gsum.gene_id
+GROUP BY g.chr;
+
+INSERT INTO cellline_summary (cellline_id, experiment_count, gene_count, sgrna_count, avg_log2fc)
+SELECT cellline_id, SUM(experiment_count), COUNT(*), SUM(total_sgrnas), SUM(log2fc_sum) / NULLIF(SUM(log2fc_count), 0)
+FROM gene_cellline_summary
+GROUP BY cellline_id;
+
+INSERT INTO effect_summary (effect, sgrna_count)
+SELECT effect, COUNT(*)
+FROM sgrnas
+WHERE effect IS NOT NULL AND effect != ''
+GROUP BY effect;
+
+-- Read-count size factors per screen (see utils/normalization.js), estimated from the guides with at least
+-- 30 initial reads (NORMALIZATION_DEFAULTS.minCount). Screens without usable guides get no row (factors of 1).
+-- total: sample total / mean of both totals
+INSERT INTO screen_size_factors (cellline_id, condition, cas, screentype, pubmed, method, initial, final)
+SELECT e.cellline_id, e.condition, e.cas, e.screentype, e.pubmed, 'total',
+    SUM(s.rc_initial) / ((SUM(s.rc_initial) + SUM(s.rc_final)) / 2.0),
+    SUM(s.rc_final) / ((SUM(s.rc_initial) + SUM(s.rc_final)) / 2.0)
+FROM experiments e
+JOIN sgrnas s ON s.experiment_id = e.experiment_id
+WHERE s.rc_initial >= 30 AND s.rc_final IS NOT NULL
+GROUP BY e.cellline_id, e.condition, e.cas, e.screentype, e.pubmed
+HAVING SUM(s.rc_initial) > 0 AND SUM(s.rc_final) > 0;
+
+-- median-ratio: median of sqrt(own count / other count) over the guides with both counts positive
+INSERT INTO screen_size_factors (cellline_id, condition, cas, screentype, pubmed, method, initial, final)
+SELECT cellline_id, condition, cas, screentype, pubmed, 'median-ratio',
+    AVG(CASE WHEN initial_rank IN ((n + 1) / 2, (n + 2) / 2) THEN sqrt(ratio) END),
+    AVG(CASE WHEN final_rank IN ((n + 1) / 2, (n + 2) / 2) THEN sqrt(1 / ratio) END)
+FROM (
+    SELECT e.cellline_id, e.condition, e.cas, e.screentype, e.pubmed,
+        s.rc_initial * 1.0 / s.rc_final as ratio,
+        ROW_NUMBER() OVER (PARTITION BY e.cellline_id, e.condition, e.cas, e.screentype, e.pubmed
+            ORDER BY s.rc_initial * 1.0 / s.rc_final) as initial_rank,
+        ROW_NUMBER() OVER (PARTITION BY e.cellline_id, e.condition, e.cas, e.screentype, e.pubmed
+            ORDER BY s.rc_final * 1.0 / s.rc_initial) as final_rank,
+        COUNT(*) OVER (PARTITION BY e.cellline_id, e.condition, e.cas, e.screentype, e.pubmed) as n
+    FROM experiments e
+    JOIN sgrnas s ON s.experiment_id = e.experiment_id
+    WHERE s.rc_initial >= 30 AND s.rc_final > 0
+)
+GROUP BY cellline_id, condition, cas, screentype, pubmed;
+
+INSERT OR REPLACE INTO summary_state (id, max_sgrna_id, score_count, refreshed_at)
+SELECT 1, (SELECT MAX(sgrna_id) FROM sgrnas), (SELECT COUNT(*) FROM gene_scores), datetime('now');
@@ -0,0 +1,222 @@
+/**
+ * Access control for /api and /graphql: API keys, per-client rate limits, daily export quotas and usage accounting.
+ *
+ * Clients send a key (see scripts/apiKeys.js) in the X-API-Key header or as `Authorization: Bearer <key>`.
+ * Requests without a key are limited per address with the anonymous limits; setting ANONYMOUS_RATE_LIMIT=0
+ * makes keys mandatory for the API. The HTML pages call the API from the browser without a key (comparisons,
+ * facet counts, enrichment, notes and gene lists), so with 0 those features fail for visitors with 401.
+ * Export quotas count the rows of /api/export, /api/records (pages and NDJSON streams), the CSV/TSV downloads of
+ * /api/differential, list exports and GraphQL sgRNAs.
+ *
+ * Configuration (environment):
+ * - ACCESS_DB: database of the keys and their usage (default ./access.db)
+ * - ANONYMOUS_RATE_LIMIT: requests per minute and address without a key (default 300)
+ * - ANONYMOUS_EXPORT_QUOTA: exported rows per day and address without a key (default 100000)
+ * - CORS_ORIGINS: comma-separated origins allowed to call the API from a browser, * for any (default none)
+ */
+
+const { AuthenticationError, RateLimitError } = require('./errors');
+const { ANONYMOUS_KEY_ID } = require('./apiKeys');
+const { RateLimiter } = require('./rateLimiter');
+
+const DEFAULT_ANONYMOUS_RATE_LIMIT = 300;
+const DEFAULT_ANONYMOUS_EXPORT_QUOTA = 100000;
+const USAGE_FLUSH_INTERVAL = 10000;
+// Response headers scripts in allowed origins may read
+const EXPOSED_HEADERS = [
+    'ETag', 'Last-Modified', 'Retry-After',
+    'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset', 'X-Export-Quota-Remaining'
+];
+
+/**
+ * Read the access configuration from the environment
+ * @param {Object} env - Environment variables
+ * @returns {Object} {file, anonymousRateLimit, anonymousExportQuota, corsOrigins}
+ */
+function readAccessConfig(env = process.env) {
+    const number = (value, fallback) => (value !== undefined && value !== '' && !isNaN(Number(value)) ? Number(value) : fallback);
+    return {
+        file: env.ACCESS_DB || './access.db',
+        anonymousRateLimit: number(env.ANONYMOUS_RATE_LIMIT, DEFAULT_ANONYMOUS_RATE_LIMIT),
+        anonymousExportQuota: number(env.ANONYMOUS_EXPORT_QUOTA, DEFAULT_ANONYMOUS_EXPORT_QUOTA),
+        corsOrigins: (env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Options for the cors middleware: only the configured origins, or any origin for *
+ * @param {Array<string>} origins - Allowed origins (see readAccessConfig)
+ * @returns {Object}
+ */
+function corsOptions(origins) {
+    return {
+        origin: origins.includes('*') ? '*' : (origins.length > 0 ? origins : false),
+        exposedHeaders: EXPOSED_HEADERS
+    };
+}
+
+/**
+ * Key a request was sent with, from X-API-Key or a bearer token
+ * @returns {string|null}
+ */
+function requestKey(req) {
+    const header = req.get('X-API-Key');
+    if (header) return header.trim();
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    return bearer ? bearer[1] : null;
+}
+
+// Route template of a finished request for the usage log, e.g. GET /api/records/:id
+function endpointOf(req) {
+    return `${req.method} ${req.route ? req.route.path : '(no route)'}`;
+}
+
+class ApiAccess {
+    /**
+     * @param {ApiKeyStore} store - Keys and usage (see utils/apiKeys.js)
+     * @param {Object} options - {anonymousRateLimit, anonymousExportQuota} (see readAccessConfig)
+     */
+    constructor(store, options = {}) {
+        const {
+            anonymousRateLimit = DEFAULT_ANONYMOUS_RATE_LIMIT,
+            anonymousExportQuota = DEFAULT_ANONYMOUS_EXPORT_QUOTA
+        } = options;
+        this.store = store;
+        this.anonymousRateLimit = anonymousRateLimit;
+        this.anonymousExportQuota = anonymousExportQuota;
+        this.limiter = new RateLimiter();
+        // Rows exported today per client: {day, rows}
+        this.exported = new Map();
+        this.flushTimer = setInterval(() => this.flush(), USAGE_FLUSH_INTERVAL);
+        this.flushTimer.unref();
+    }
+
+    /**
+     * Client of a request: its API key, or its address when it sent none
+     * @returns {Promise<Object>} {id, keyId, name, rateLimit, exportQuota}
+     * @throws {AuthenticationError} For unknown or revoked keys, and missing keys when anonymous access is off
+     */
+    async identify(req) {
+        const key = requestKey(req);
+        if (key) {
+            const record = await this.store.findByKey(key);
+            if (!record) throw new AuthenticationError('Invalid API key', { hint: 'The key is unknown or was revoked' });
+            return { id: `key:${record.id}`, keyId: record.id, name: record.name, rateLimit: record.rateLimit, exportQuota: record.exportQuota };
+        }
+        if (this.anonymousRateLimit <= 0) {
+            throw new AuthenticationError('API key required', { hint: 'Send your key in the X-API-Key header' });
+        }
+        return {
+            id: `address:${req.ip}`,
+            keyId: ANONYMOUS_KEY_ID,
+            name: 'anonymous',
+            rateLimit: this.anonymousRateLimit,
+            exportQuota: this.anonymousExportQuota
+        };
+    }
+
+    /**
+     * Middleware identifying the client of an API request and applying its rate limit.
+     * Sets req.apiClient and the X-RateLimit-* headers, and counts the request in the usage log once it is answered
+     * (or the client went away).
+     * @returns {Function} Express middleware; passes on AuthenticationError (401) or RateLimitError (429)
+     */
+    middleware() {
+        return (req, res, next) => {
+            this.identify(req).then(client => {
+                const rate = this.limiter.hit(client.id, client.rateLimit);
+                const resetSeconds = Math.ceil(rate.resetMs / 1000);
+                res.set({
+                    'X-RateLimit-Limit': String(rate.limit),
+                    'X-RateLimit-Remaining': String(rate.remaining),
+                    'X-RateLimit-Reset': String(resetSeconds)
+                });
+
+                req.apiClient = client;
+                res.on('close', () => this.store.record(client.keyId, endpointOf(req), { requests: 1 }));
+
+                if (!rate.allowed) {
+                    res.set('Retry-After', String(resetSeconds));
+                    const hint = client.keyId === ANONYMOUS_KEY_ID
+                        ? `At most ${rate.limit} requests per minute without an API key`
+                        : `At most ${rate.limit} requests per minute for this key`;
+                    throw new RateLimitError('Rate limit exceeded', { hint, retryAfter: resetSeconds });
+                }
+                next();
+            }).catch(next);
+        };
+    }
+
+    /**
+     * Rows the client may still export today; sets X-Export-Quota-Remaining
+     * @returns {Promise<number>} Remaining rows, Infinity without a quota
+     * @throws {RateLimitError} When the quota is used up
+     */
+    async exportAllowance(req, res) {
+        const client = req.apiClient;
+        if (!client || client.exportQuota === null || client.exportQuota === undefined) return Infinity;
+
+        const remaining = Math.max(0, client.exportQuota - (await this.exportedToday(client)));
+        res.set('X-Export-Quota-Remaining', String(remaining));
+        if (remaining === 0) {
+            throw new RateLimitError('Export quota exceeded', {
+                hint: `At most ${client.exportQuota} exported rows per day; the quota resets at midnight UTC`,
+                exportQuota: client.exportQuota
+            });
+        }
+        return remaining;
+    }
+
+    /**
+     * Add exported rows to the client's quota and the usage log
+     * @param {number} rows - Rows sent
+     */
+    countExport(req, rows) {
+        const client = req.apiClient;
+        if (!client) return;
+        const counter = this.exported.get(client.id);
+        if (counter) counter.rows += rows;
+        this.store.record(client.keyId, endpointOf(req), { exportRows: rows });
+    }
+
+    /**
+     * Rows exported today; keys continue from the usage log after a restart
+     * @private
+     */
+    async exportedToday(client) {
+        const day = new Date().toISOString().slice(0, 10);
+        let counter = this.exported.get(client.id);
+        if (!counter || counter.day !== day) {
+            const rows = client.keyId === ANONYMOUS_KEY_ID ? 0 : await this.store.exportedToday(client.keyId);
+            counter = this.exported.get(client.id);
+            if (!counter || counter.day !== day) {
+                counter = { day, rows };
+                this.exported.set(client.id, counter);
+            }
+        }
+        return counter.rows;
+    }
+
+    /**
+     * Write the counted usage; errors are logged, the counts of a failed write are lost
+     * @returns {Promise<void>}
+     */
+    flush() {
+        return this.store.flush().catch(err => console.error('Error writing API usage:', err.message));
+    }
+
+    /**
+     * Write the remaining usage and close the access database
+     * @param {Function} callback - Receives an error, if any
+     */
+    close(callback) {
+        clearInterval(this.flushTimer);
+        this.flush().then(() => this.store.db.close(callback));
+    }
+}
+
+module.exports = {
+    readAccessConfig,
+    corsOptions,
+    ApiAccess
+};
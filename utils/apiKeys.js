@@ -0,0 +1,224 @@
+/**
+ * API keys and usage accounting, kept in their own SQLite database (ACCESS_DB, default ./access.db)
+ * so that datasets can be reloaded or swapped without losing them.
+ *
+ * A key is shown once when it is created (gck_<prefix>_<secret>); only its SHA-256 hash is stored.
+ * Usage is counted per day, key and endpoint in memory and written in batches by flush().
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { run, get, all, exec } = require('./dbAsync');
+const { migrate, loadMigrations } = require('./migrations');
+
+const ACCESS_MIGRATIONS_DIR = path.join(__dirname, '..', 'sql', 'access_migrations');
+const KEY_PATTERN = /^gck_([0-9a-f]{8})_[0-9a-f]{32}$/;
+const DEFAULT_RATE_LIMIT = 600;
+const DEFAULT_EXPORT_QUOTA = 1000000;
+// key_id of anonymous clients in api_usage
+const ANONYMOUS_KEY_ID = 0;
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Usage day in UTC, e.g. 2024-05-01
+function today() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+// UTC time in SQLite's datetime('now') format, e.g. 2024-05-01 12:30:00
+function timestamp() {
+    return new Date().toISOString().slice(0, 19).replace('T', ' ');
+}
+
+function toKey(row) {
+    return {
+        id: row.key_id,
+        name: row.name,
+        prefix: row.prefix,
+        rateLimit: row.rate_limit,
+        exportQuota: row.export_quota,
+        createdAt: row.created_at,
+        revokedAt: row.revoked_at
+    };
+}
+
+class ApiKeyStore {
+    /**
+     * @param {Object} db - Connection to the access database
+     */
+    constructor(db) {
+        this.db = db;
+        this.pending = new Map();
+    }
+
+    /**
+     * Create the access tables or upgrade them (see sql/access_migrations)
+     * @returns {Promise<Object>} Migration result (see utils/migrations.js)
+     */
+    migrate() {
+        return migrate(this.db, { migrations: loadMigrations(ACCESS_MIGRATIONS_DIR) });
+    }
+
+    /**
+     * Create a key
+     * @param {Object} options - {name, rateLimit: requests per minute, exportQuota: exported rows per day, null for none}
+     * @returns {Promise<Object>} The key record with `key`, the only time the key itself is available
+     */
+    async create(options) {
+        const { name, rateLimit = DEFAULT_RATE_LIMIT, exportQuota = DEFAULT_EXPORT_QUOTA } = options;
+        const prefix = crypto.randomBytes(4).toString('hex');
+        const key = `gck_${prefix}_${crypto.randomBytes(16).toString('hex')}`;
+
+        const { lastID } = await run(this.db, `
+            INSERT INTO api_keys (name, prefix, key_hash, rate_limit, export_quota, created_at)
+            VALUES (?, ?, ?, ?, ?, datetime('now'))
+        `, [name, prefix, hashKey(key), rateLimit, exportQuota]);
+        return { ...toKey(await get(this.db, 'SELECT * FROM api_keys WHERE key_id = ?', [lastID])), key };
+    }
+
+    /**
+     * Every key, revoked ones included, with its last use
+     * @returns {Promise<Array<Object>>}
+     */
+    async list() {
+        const rows = await all(this.db, `
+            SELECT k.*, (SELECT MAX(u.last_used_at) FROM api_usage u WHERE u.key_id = k.key_id) as last_used_at
+            FROM api_keys k ORDER BY k.key_id
+        `);
+        return rows.map(row => ({ ...toKey(row), lastUsedAt: row.last_used_at }));
+    }
+
+    /**
+     * Revoke a key by id or prefix; requests with it are rejected from then on
+     * @param {string|number} idOrPrefix - Key id or the 8 hex digits after gck_
+     * @returns {Promise<Object|null>} The revoked key, or null when no active key matches
+     */
+    async revoke(idOrPrefix) {
+        const row = await get(this.db, 'SELECT * FROM api_keys WHERE (key_id = ? OR prefix = ?) AND revoked_at IS NULL',
+            [Number(idOrPrefix) || 0, String(idOrPrefix)]);
+        if (!row) return null;
+        const revokedAt = timestamp();
+        await run(this.db, 'UPDATE api_keys SET revoked_at = ? WHERE key_id = ?', [revokedAt, row.key_id]);
+        return toKey({ ...row, revoked_at: revokedAt });
+    }
+
+    /**
+     * Look up the active key a client sent
+     * @param {string} key - Key from the request
+     * @returns {Promise<Object|null>} The key record, or null for unknown, malformed or revoked keys
+     */
+    async findByKey(key) {
+        if (!KEY_PATTERN.test(key)) return null;
+        const row = await get(this.db, 'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [hashKey(key)]);
+        return row ? toKey(row) : null;
+    }
+
+    /**
+     * Rows a key exported today, including counts not yet written
+     * @param {number} keyId - Key id
+     * @returns {Promise<number>}
+     */
+    async exportedToday(keyId) {
+        const day = today();
+        const row = await get(this.db, 'SELECT COALESCE(SUM(export_rows), 0) as rows FROM api_usage WHERE day = ? AND key_id = ?',
+            [day, keyId]);
+        const pending = [...this.pending.values()]
+            .filter(entry => entry.day === day && entry.keyId === keyId)
+            .reduce((sum, entry) => sum + entry.exportRows, 0);
+        return row.rows + pending;
+    }
+
+    /**
+     * Count requests or exported rows until the next flush
+     * @param {number} keyId - Key id, ANONYMOUS_KEY_ID for clients without a key
+     * @param {string} endpoint - Route, e.g. GET /api/records/:id
+     * @param {Object} counts - {requests, exportRows} to add
+     */
+    record(keyId, endpoint, counts) {
+        const { requests = 0, exportRows = 0 } = counts;
+        const day = today();
+        const id = `${day}\t${keyId}\t${endpoint}`;
+        const entry = this.pending.get(id) || { day, keyId, endpoint, requests: 0, exportRows: 0 };
+        entry.requests += requests;
+        entry.exportRows += exportRows;
+        entry.lastUsedAt = timestamp();
+        this.pending.set(id, entry);
+    }
+
+    /**
+     * Write the counted usage in one transaction
+     * @returns {Promise<number>} Usage rows written
+     */
+    async flush() {
+        const entries = [...this.pending.values()];
+        if (entries.length === 0) return 0;
+        this.pending.clear();
+
+        try {
+            await exec(this.db, 'BEGIN');
+            for (const entry of entries) {
+                await run(this.db, `
+                    INSERT INTO api_usage (day, key_id, endpoint, requests, export_rows, last_used_at)
+                    VALUES (?, ?, ?, ?, ?, ?)
+                    ON CONFLICT (day, key_id, endpoint) DO UPDATE SET
+                        requests = requests + excluded.requests,
+                        export_rows = export_rows + excluded.export_rows,
+                        last_used_at = excluded.last_used_at
+                `, [entry.day, entry.keyId, entry.endpoint, entry.requests, entry.exportRows, entry.lastUsedAt]);
+            }
+            await exec(this.db, 'COMMIT');
+        } catch (err) {
+            await exec(this.db, 'ROLLBACK').catch(() => {});
+            throw err;
+        }
+        return entries.length;
+    }
+
+    /**
+     * Usage per day, key and endpoint, most recent first
+     * @param {Object} options - {days: how many days back (default 7), keyId: only this key}
+     * @returns {Promise<Array<Object>>} [{day, keyId, name, endpoint, requests, exportRows, lastUsedAt}]
+     */
+    async usage(options = {}) {
+        const { days = 7, keyId = null } = options;
+        const rows = await all(this.db, `
+            SELECT u.day, u.key_id, COALESCE(k.name, 'anonymous') as name, u.endpoint, u.requests, u.export_rows, u.last_used_at
+            FROM api_usage u
+            LEFT JOIN api_keys k ON k.key_id = u.key_id
+            WHERE u.day > date('now', ?) AND (? IS NULL OR u.key_id = ?)
+            ORDER BY u.day DESC, u.key_id, u.requests DESC
+        `, [`-${days} days`, keyId, keyId]);
+        return rows.map(row => ({
+            day: row.day,
+            keyId: row.key_id,
+            name: row.name,
+            endpoint: row.endpoint,
+            requests: row.requests,
+            exportRows: row.export_rows,
+            lastUsedAt: row.last_used_at
+        }));
+    }
+}
+
+/**
+ * Open the access database, which is created when it does not exist
+ * @param {string} file - Database file
+ * @returns {ApiKeyStore}
+ */
+function openKeyStore(file) {
+    const db = new sqlite3.Database(file, (err) => {
+        if (err) console.error(`Error opening access database ${file}:`, err.message);
+    });
+    return new ApiKeyStore(db);
+}
+
+module.exports = {
+    ANONYMOUS_KEY_ID,
+    DEFAULT_RATE_LIMIT,
+    DEFAULT_EXPORT_QUOTA,
+    ApiKeyStore,
+    openKeyStore
+};
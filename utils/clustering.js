@@ -0,0 +1,59 @@
+/**
+ * Hierarchical clustering used to order heatmap rows and columns
+ */
+
+/**
+ * Root mean squared difference over the positions where both vectors have a value
+ * @private
+ */
+function distance(a, b) {
+    let sum = 0;
+    let shared = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === null || b[i] === null) continue;
+        sum += (a[i] - b[i]) ** 2;
+        shared++;
+    }
+    return shared > 0 ? Math.sqrt(sum / shared) : null;
+}
+
+/**
+ * Average-linkage agglomerative clustering
+ * @param {Array<Array<number|null>>} vectors - One vector per item; null marks a missing value
+ * @returns {Array<number>} Item indices in dendrogram leaf order
+ */
+function clusterOrder(vectors) {
+    const n = vectors.length;
+    if (n < 3) return vectors.map((_, i) => i);
+
+    // Pairs without shared values are placed after every measurable pair
+    const pairwise = vectors.map(a => vectors.map(b => distance(a, b)));
+    const finite = pairwise.flat().filter(d => d !== null);
+    const unrelated = (finite.length > 0 ? Math.max(...finite) : 0) + 1;
+    const dist = pairwise.map(row => row.map(d => (d === null ? unrelated : d)));
+
+    let clusters = vectors.map((_, i) => ({ members: [i], leaves: [i] }));
+    while (clusters.length > 1) {
+        let best = { i: 0, j: 1, d: Infinity };
+        for (let i = 0; i < clusters.length; i++) {
+            for (let j = i + 1; j < clusters.length; j++) {
+                let total = 0;
+                clusters[i].members.forEach(a => clusters[j].members.forEach(b => { total += dist[a][b]; }));
+                const d = total / (clusters[i].members.length * clusters[j].members.length);
+                if (d < best.d) best = { i, j, d };
+            }
+        }
+
+        const merged = {
+            members: [...clusters[best.i].members, ...clusters[best.j].members],
+            leaves: [...clusters[best.i].leaves, ...clusters[best.j].leaves]
+        };
+        clusters = clusters.filter((_, k) => k !== best.i && k !== best.j);
+        clusters.push(merged);
+    }
+    return clusters[0].leaves;
+}
+
+module.exports = {
+    clusterOrder
+};
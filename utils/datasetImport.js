@@ -0,0 +1,312 @@
+/**
+ * Streaming importer for GenomeCRISPR CSV files
+ * Validates every row, appends to the normalized tables in batched transactions
+ * and records rejected rows with their line numbers.
+ */
+
+const fs = require('fs');
+const readline = require('readline');
+const { runStatement, all, exec, finalize } = require('./dbAsync');
+const { migrate } = require('./migrations');
+
+const REQUIRED_COLUMNS = [
+    'start', 'end', 'chr', 'strand', 'pubmed', 'cellline', 'condition', 'sequence',
+    'symbol', 'ensg', 'log2fc', 'rc_initial', 'rc_final', 'effect', 'cas', 'screentype'
+];
+
+/**
+ * Split one CSV line into fields, honoring double-quoted fields with "" escapes
+ * @param {string} line - CSV line without trailing newline
+ * @returns {Array<string>|null} Fields, or null for an unterminated quote
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            fields.push(field);
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) return null;
+    fields.push(field);
+    return fields;
+}
+
+/**
+ * Parse a read count such as 123 or [123]. Replicate lists ([12, 34]) are summed.
+ * @returns {number|null|undefined} Count, null when empty, undefined when invalid
+ */
+function parseReadCount(value) {
+    const text = value.trim();
+    if (text === '' || text === '[]') return null;
+
+    const inner = /^\[(.*)\]$/.exec(text);
+    const parts = (inner ? inner[1] : text).split(',').map(part => part.trim());
+    if (!parts.every(part => /^\d+$/.test(part))) return undefined;
+    return parts.reduce((sum, part) => sum + parseInt(part, 10), 0);
+}
+
+/**
+ * Validate and normalize one CSV record
+ * @param {Object} raw - Field values keyed by column name
+ * @returns {Object} {record, errors}
+ */
+function validateRecord(raw) {
+    const errors = [];
+    const text = key => (raw[key] || '').trim();
+
+    const start = /^\d+$/.test(text('start')) ? parseInt(text('start'), 10) : NaN;
+    const end = /^\d+$/.test(text('end')) ? parseInt(text('end'), 10) : NaN;
+    if (isNaN(start) || start < 1) errors.push(`invalid start "${text('start')}"`);
+    if (isNaN(end) || end < 1) errors.push(`invalid end "${text('end')}"`);
+    if (!isNaN(start) && !isNaN(end) && start > end) errors.push(`start ${start} is after end ${end}`);
+
+    const chr = text('chr').replace(/^chr/i, '');
+    if (!/^[0-9A-Za-z_.]+$/.test(chr)) errors.push(`invalid chromosome "${text('chr')}"`);
+
+    const strand = text('strand');
+    if (strand !== '+' && strand !== '-') errors.push(`invalid strand "${strand}"`);
+
+    const sequence = text('sequence').toUpperCase();
+    if (!/^[ACGTN]+$/.test(sequence)) errors.push(`invalid sequence "${text('sequence')}"`);
+
+    const symbol = text('symbol');
+    if (!symbol) errors.push('missing symbol');
+
+    const ensg = text('ensg');
+    if (ensg && !/^ENSG\d+(\.\d+)?$/.test(ensg)) errors.push(`invalid ENSG ID "${ensg}"`);
+
+    const cellline = text('cellline');
+    if (!cellline) errors.push('missing cell line');
+
+    const pubmed = text('pubmed');
+    if (pubmed && !/^\d+$/.test(pubmed)) errors.push(`invalid pubmed ID "${pubmed}"`);
+
+    let log2fc = null;
+    if (text('log2fc') !== '') {
+        log2fc = Number(text('log2fc'));
+        if (!isFinite(log2fc)) errors.push(`invalid log2fc "${text('log2fc')}"`);
+    }
+
+    const rcInitial = parseReadCount(text('rc_initial'));
+    if (rcInitial === undefined) errors.push(`invalid rc_initial "${text('rc_initial')}"`);
+    const rcFinal = parseReadCount(text('rc_final'));
+    if (rcFinal === undefined) errors.push(`invalid rc_final "${text('rc_final')}"`);
+
+    return {
+        errors,
+        record: {
+            start, end, chr, strand, sequence, symbol,
+            ensg: ensg || null,
+            cellline,
+            pubmed,
+            condition: text('condition'),
+            cas: text('cas'),
+            screentype: text('screentype'),
+            effect: text('effect') || null,
+            log2fc,
+            rc_initial: rcInitial,
+            rc_final: rcFinal
+        }
+    };
+}
+
+function experimentKey(geneId, celllineId, record) {
+    return [geneId, celllineId, record.condition, record.cas, record.screentype, record.pubmed].join('\u0000');
+}
+
+/**
+ * Load id lookups for rows that already exist, so appends reuse genes, cell lines and experiments
+ * @private
+ */
+async function loadLookups(db) {
+    const genes = new Map();
+    (await all(db, 'SELECT gene_id, symbol, chr FROM genes'))
+        .forEach(row => genes.set(row.symbol, { id: row.gene_id, chr: row.chr }));
+
+    const cellLines = new Map();
+    (await all(db, 'SELECT cellline_id, name FROM cell_lines'))
+        .forEach(row => cellLines.set(row.name, row.cellline_id));
+
+    const experiments = new Map();
+    (await all(db, 'SELECT experiment_id, gene_id, cellline_id, condition, cas, screentype, pubmed FROM experiments'))
+        .forEach(row => experiments.set(experimentKey(row.gene_id, row.cellline_id, {
+            condition: row.condition || '', cas: row.cas || '', screentype: row.screentype || '', pubmed: row.pubmed || ''
+        }), { id: row.experiment_id, existing: true }));
+
+    const chromosomes = new Map();
+    (await all(db, 'SELECT chr_key, name FROM chromosomes'))
+        .forEach(row => chromosomes.set(row.name, row.chr_key));
+
+    return { genes, cellLines, experiments, chromosomes };
+}
+
+/**
+ * Import a GenomeCRISPR CSV file into the database without dropping existing data
+ * @param {Object} db - Database connection
+ * @param {string} inputPath - CSV file with a header row
+ * @param {Object} options - {reportPath, batchSize, onProgress(stats)}
+ * @returns {Promise<Object>} Import statistics
+ */
+async function importDataset(db, inputPath, options = {}) {
+    const { reportPath = null, batchSize = 5000, onProgress = null } = options;
+
+    // Check the input before anything is written: errors of its read stream are only handled once reading starts
+    await fs.promises.access(inputPath, fs.constants.R_OK);
+    if (!(await fs.promises.stat(inputPath)).isFile()) throw new Error(`${inputPath} is not a file`);
+
+    await migrate(db);
+    const lookups = await loadLookups(db);
+
+    const statements = {
+        gene: db.prepare('INSERT INTO genes (symbol, ensg, chr) VALUES (?, ?, ?)'),
+        cellLine: db.prepare('INSERT INTO cell_lines (name) VALUES (?)'),
+        experiment: db.prepare('INSERT INTO experiments (gene_id, cellline_id, condition, cas, screentype, pubmed) VALUES (?, ?, ?, ?, ?, ?)'),
+        chromosome: db.prepare('INSERT INTO chromosomes (name) VALUES (?)'),
+        sgRNA: db.prepare(`INSERT INTO sgrnas (experiment_id, sequence, start_pos, end_pos, strand, log2fc, effect, rc_initial, rc_final)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`),
+        interval: db.prepare('INSERT INTO sgrna_intervals (sgrna_id, chr_min, chr_max, start_pos, end_pos) VALUES (?, ?, ?, ?, ?)')
+    };
+
+    const report = reportPath ? fs.createWriteStream(reportPath) : null;
+    if (report) report.write('line\treason\traw\n');
+
+    const stats = { lines: 0, imported: 0, rejected: 0, duplicates: 0, newGenes: 0, newCellLines: 0, newExperiments: 0 };
+    const reject = (lineNumber, reasons, line) => {
+        stats.rejected++;
+        if (report) report.write(`${lineNumber}\t${reasons.join('; ')}\t${line.replace(/\t/g, ' ')}\n`);
+    };
+
+    const idFor = async (map, key, statement, params, counter = null) => {
+        if (map.has(key)) return map.get(key);
+        const { lastID } = await runStatement(statement, params);
+        map.set(key, lastID);
+        if (counter) stats[counter]++;
+        return lastID;
+    };
+
+    const input = readline.createInterface({ input: fs.createReadStream(inputPath), crlfDelay: Infinity });
+    let columns = null;
+    let lineNumber = 0;
+    let pendingInTransaction = 0;
+
+    try {
+        await exec(db, 'BEGIN');
+
+        for await (const line of input) {
+            lineNumber++;
+            if (line.trim() === '') continue;
+
+            const fields = parseCsvLine(line);
+            if (!columns) {
+                columns = (fields || []).map(name => name.trim().toLowerCase());
+                const missing = REQUIRED_COLUMNS.filter(name => !columns.includes(name));
+                if (missing.length > 0) throw new Error(`Header is missing columns: ${missing.join(', ')}`);
+                continue;
+            }
+
+            stats.lines++;
+            if (!fields || fields.length !== columns.length) {
+                reject(lineNumber, [fields ? `expected ${columns.length} fields, found ${fields.length}` : 'unterminated quote'], line);
+                continue;
+            }
+
+            const raw = {};
+            columns.forEach((name, i) => { raw[name] = fields[i]; });
+            const { record, errors } = validateRecord(raw);
+
+            const knownGene = lookups.genes.get(record.symbol);
+            if (knownGene && errors.length === 0 && knownGene.chr !== record.chr) {
+                errors.push(`chromosome ${record.chr} conflicts with ${record.symbol} on chromosome ${knownGene.chr}`);
+            }
+            if (errors.length > 0) {
+                reject(lineNumber, errors, line);
+                continue;
+            }
+
+            let gene = knownGene;
+            if (!gene) {
+                const { lastID } = await runStatement(statements.gene, [record.symbol, record.ensg, record.chr]);
+                gene = { id: lastID, chr: record.chr };
+                lookups.genes.set(record.symbol, gene);
+                stats.newGenes++;
+            }
+
+            const celllineId = await idFor(lookups.cellLines, record.cellline, statements.cellLine, [record.cellline], 'newCellLines');
+            const chrKey = await idFor(lookups.chromosomes, record.chr, statements.chromosome, [record.chr]);
+
+            const key = experimentKey(gene.id, celllineId, record);
+            let experiment = lookups.experiments.get(key);
+            if (!experiment) {
+                const { lastID } = await runStatement(statements.experiment,
+                    [gene.id, celllineId, record.condition, record.cas, record.screentype, record.pubmed]);
+                experiment = { id: lastID, existing: false };
+                lookups.experiments.set(key, experiment);
+                stats.newExperiments++;
+            }
+
+            // Re-importing a screen must not duplicate guides already stored for that experiment
+            if (experiment.existing) {
+                const [duplicate] = await all(db,
+                    'SELECT 1 FROM sgrnas WHERE experiment_id = ? AND sequence = ? AND start_pos = ? AND end_pos = ? LIMIT 1',
+                    [experiment.id, record.sequence, record.start, record.end]);
+                if (duplicate) {
+                    stats.duplicates++;
+                    continue;
+                }
+            }
+
+            const { lastID: sgrnaId } = await runStatement(statements.sgRNA, [
+                experiment.id, record.sequence, record.start, record.end, record.strand,
+                record.log2fc, record.effect, record.rc_initial, record.rc_final
+            ]);
+            await runStatement(statements.interval, [sgrnaId, chrKey, chrKey, record.start, record.end]);
+            stats.imported++;
+
+            if (++pendingInTransaction >= batchSize) {
+                await exec(db, 'COMMIT');
+                await exec(db, 'BEGIN');
+                pendingInTransaction = 0;
+                if (onProgress) onProgress({ ...stats });
+            }
+        }
+
+        if (!columns) throw new Error('Input file is empty');
+        await exec(db, 'COMMIT');
+    } catch (err) {
+        await exec(db, 'ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        input.close();
+        await Promise.all(Object.values(statements).map(finalize));
+        if (report) await new Promise(resolve => report.end(resolve));
+    }
+
+    return stats;
+}
+
+module.exports = {
+    REQUIRED_COLUMNS,
+    parseCsvLine,
+    parseReadCount,
+    validateRecord,
+    importDataset
+};
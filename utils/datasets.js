@@ -0,0 +1,189 @@
+/**
+ * Dataset registry: several GenomeCRISPR databases (e.g. the example and the full set, or two releases)
+ * served side by side, each with its own connection, query cache and repositories.
+ *
+ * Datasets are configured with
+ * - DATASETS_CONFIG: path of a JSON file {"default": "full", "datasets": [{"name", "file", "label"}]},
+ *   whose relative file paths are resolved against the file's directory, or
+ * - DATASETS: comma-separated name=file pairs, e.g. example=./example.db,full=./genome_crispr.db
+ * DEFAULT_DATASET overrides the default, which is otherwise the first dataset. Without any configuration
+ * the single dataset "default" is ./genome_crispr.db.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { QueryCache } = require('./queryCache');
+const { NotFoundError, ValidationError } = require('./errors');
+const { createRepositories } = require('../repository');
+
+const DATASET_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const DEFAULT_DATASET = { name: 'default', file: './genome_crispr.db', label: 'GenomeCRISPR' };
+
+/**
+ * Read the dataset configuration from the environment
+ * @param {Object} env - Environment variables (DATASETS_CONFIG, DATASETS, DEFAULT_DATASET)
+ * @returns {Object} {datasets: [{name, file, label}], defaultName}
+ * @throws {Error} When the configuration is unreadable or names a dataset twice
+ */
+function readDatasetConfig(env = process.env) {
+    let datasets = [DEFAULT_DATASET];
+    let defaultName = null;
+
+    if (env.DATASETS_CONFIG) {
+        const config = JSON.parse(fs.readFileSync(env.DATASETS_CONFIG, 'utf8'));
+        const baseDir = path.dirname(path.resolve(env.DATASETS_CONFIG));
+        datasets = (config.datasets || []).map(dataset => ({
+            name: dataset.name,
+            file: path.resolve(baseDir, String(dataset.file || '')),
+            label: dataset.label || dataset.name
+        }));
+        defaultName = config.default || null;
+    } else if (env.DATASETS) {
+        datasets = env.DATASETS.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+            const [name, file] = entry.split('=').map(part => (part || '').trim());
+            return { name, file, label: name };
+        });
+    }
+    defaultName = env.DEFAULT_DATASET || defaultName || (datasets[0] && datasets[0].name);
+
+    const names = new Set();
+    datasets.forEach(dataset => {
+        if (!DATASET_NAME_PATTERN.test(dataset.name || '') || !dataset.file) {
+            throw new Error(`Invalid dataset "${dataset.name}": use name=file with a name of letters, digits, - and _`);
+        }
+        if (names.has(dataset.name)) throw new Error(`Dataset "${dataset.name}" is configured twice`);
+        names.add(dataset.name);
+    });
+    if (!names.has(defaultName)) throw new Error(`Default dataset "${defaultName}" is not configured`);
+
+    return { datasets, defaultName };
+}
+
+/**
+ * URL of a page without the dataset parameter, for links to the same page in another dataset
+ * @param {string} url - Request URL below the dataset prefix
+ * @returns {string}
+ */
+function pageUrl(url) {
+    const parsed = new URL(url, 'http://localhost');
+    parsed.searchParams.delete('dataset');
+    return parsed.pathname + parsed.search;
+}
+
+class DatasetRegistry {
+    /**
+     * Open a connection, query cache and repositories per dataset
+     * @param {Object} config - {datasets, defaultName} (see readDatasetConfig)
+     * @param {Object} options - {cacheSize: query cache entries per dataset}
+     */
+    constructor(config, options = {}) {
+        const { cacheSize = 500 } = options;
+        this.defaultName = config.defaultName;
+        this.datasets = new Map();
+
+        config.datasets.forEach(({ name, file, label }) => {
+            const db = new sqlite3.Database(file, sqlite3.OPEN_READWRITE, (err) => {
+                if (err) console.error(`Error opening database of dataset ${name} (${file}):`, err.message);
+                else console.log(`Connected to the SQLite database of dataset ${name}.`);
+            });
+            const cache = new QueryCache(db, { maxEntries: cacheSize });
+            this.datasets.set(name, {
+                name, label, file, db, cache,
+                repositories: createRepositories(db, { cache }),
+                // Link prefix of the dataset's pages; the default dataset keeps the plain URLs
+                base: name === this.defaultName ? '' : `/d/${name}`
+            });
+        });
+    }
+
+    get names() {
+        return [...this.datasets.keys()];
+    }
+
+    get default() {
+        return this.datasets.get(this.defaultName);
+    }
+
+    get(name) {
+        return this.datasets.get(name);
+    }
+
+    list() {
+        return [...this.datasets.values()];
+    }
+
+    /**
+     * Version and size of every dataset for GET /api/datasets; unreadable datasets are listed as unavailable
+     * @returns {Promise<Array<Object>>} [{name, label, default, available, version, lastModified, totalRecords}]
+     */
+    describe() {
+        return Promise.all(this.list().map(async dataset => {
+            const entry = { name: dataset.name, label: dataset.label, default: dataset.name === this.defaultName };
+            try {
+                const [{ version, lastModified }, overview] = await Promise.all([
+                    dataset.cache.version(),
+                    dataset.repositories.stats.overview()
+                ]);
+                return {
+                    ...entry,
+                    available: true,
+                    version,
+                    lastModified: lastModified ? lastModified.toISOString() : null,
+                    totalRecords: overview.totalRecords
+                };
+            } catch (err) {
+                return { ...entry, available: false, version: null, lastModified: null, totalRecords: null };
+            }
+        }));
+    }
+
+    /**
+     * Middleware selecting the dataset of a request: a /d/<name> path prefix, which is stripped so that every
+     * page and API route also answers below it, or a `dataset` query parameter; otherwise the default dataset.
+     * Sets req.dataset, and res.locals.dataset, datasets and base (link prefix) for the page templates.
+     * @returns {Function} Express middleware
+     */
+    selector() {
+        return (req, res, next) => {
+            const prefix = /^\/d\/([^/?]*)/.exec(req.url);
+            let dataset = this.default;
+            let error = null;
+
+            if (prefix) {
+                req.url = req.url.slice(prefix[0].length).replace(/^(?!\/)/, '/');
+                dataset = this.datasets.get(prefix[1]);
+                if (!dataset) error = new NotFoundError('Unknown dataset', { allowedDatasets: this.names });
+            } else if (req.query.dataset !== undefined && req.query.dataset !== '') {
+                dataset = this.datasets.get(req.query.dataset);
+                if (!dataset) error = new ValidationError('Unknown dataset', { allowedDatasets: this.names });
+            }
+            if (error) return next(error);
+
+            req.dataset = dataset;
+            res.locals.dataset = dataset;
+            res.locals.datasets = this.list();
+            res.locals.base = dataset.base;
+            res.locals.currentUrl = pageUrl(req.url);
+            next();
+        };
+    }
+
+    /**
+     * Close every connection
+     * @param {Function} callback - Receives the first error, if any
+     */
+    close(callback) {
+        let pending = this.datasets.size;
+        let firstError = null;
+        this.list().forEach(({ db }) => db.close((err) => {
+            firstError = firstError || err;
+            if (--pending === 0) callback(firstError);
+        }));
+    }
+}
+
+module.exports = {
+    readDatasetConfig,
+    DatasetRegistry
+};
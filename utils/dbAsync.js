@@ -0,0 +1,40 @@
+/**
+ * Promise wrappers for the callback-based sqlite3 API, for scripts and repositories that run statements in sequence
+ */
+
+function run(db, sql, params = []) {
+    return new Promise((resolve, reject) => db.run(sql, params, function(err) {
+        return err ? reject(err) : resolve(this);
+    }));
+}
+
+function runStatement(statement, params) {
+    return new Promise((resolve, reject) => statement.run(params, function(err) {
+        return err ? reject(err) : resolve(this);
+    }));
+}
+
+function get(db, sql, params = []) {
+    return new Promise((resolve, reject) => db.get(sql, params, (err, row) => err ? reject(err) : resolve(row)));
+}
+
+function all(db, sql, params = []) {
+    return new Promise((resolve, reject) => db.all(sql, params, (err, rows) => err ? reject(err) : resolve(rows)));
+}
+
+function exec(db, sql) {
+    return new Promise((resolve, reject) => db.exec(sql, err => err ? reject(err) : resolve()));
+}
+
+function finalize(statement) {
+    return new Promise(resolve => statement.finalize(() => resolve()));
+}
+
+module.exports = {
+    run,
+    runStatement,
+    get,
+    all,
+    exec,
+    finalize
+};
@@ -0,0 +1,257 @@
+/**
+ * Gene set enrichment of a ranked gene list
+ *
+ * - gsea: preranked GSEA. The enrichment score (ES) is the maximum deviation of a running sum over the ranked
+ *   genes that steps up at set members (weighted by |score|) and down at the others. Nominal p-values come from
+ *   random gene sets of the same size; NES divides ES by the mean null ES of the same sign. As in GSEA, the FDR
+ *   compares each NES with the null NES pooled over all tested sets rather than adjusting the p-values.
+ * - hypergeometric: over-representation of called hits among the set members, with the ranked genes as universe.
+ * Genes are ranked in the requested direction, so positive ES means enrichment among depleted (or enriched) genes.
+ *
+ * The server runs GSEA through gseaInWorker: the permutation null takes seconds for large collections, so it runs
+ * in a worker thread, at most GSEA_WORKERS at a time, with further requests queued up to GSEA_QUEUE_LIMIT.
+ */
+
+const os = require('os');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { mean, hypergeometricUpper, benjaminiHochberg } = require('./statistics');
+const { RateLimitError } = require('./errors');
+
+const ENRICHMENT_METHODS = ['gsea', 'hypergeometric'];
+
+const ENRICHMENT_DEFAULTS = {
+    method: 'gsea',
+    direction: 'depleted',
+    minSize: 15,
+    maxSize: 500,
+    fdr: 0.1,
+    permutations: 1000,
+    seed: 42
+};
+
+const GSEA_WORKERS = Math.max(1, os.cpus().length - 1);
+const GSEA_QUEUE_LIMIT = 20;
+const GSEA_WORKER_PATH = path.join(__dirname, 'gseaWorker.js');
+
+// Running worker count and the GSEA calls waiting for a worker
+let runningWorkers = 0;
+const waitingRuns = [];
+
+/**
+ * Small seeded PRNG (mulberry32) so permutation p-values are reproducible
+ * @private
+ */
+function random(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * k distinct sorted positions out of 0..total-1 (Floyd's algorithm)
+ * @param {Uint8Array} marks - Scratch flags for 0..total-1, all 0; left all 0 again
+ * @private
+ */
+function samplePositions(k, total, next, marks) {
+    const chosen = new Int32Array(k);
+    for (let j = total - k, i = 0; j < total; j++, i++) {
+        const candidate = Math.floor(next() * (j + 1));
+        chosen[i] = marks[candidate] ? j : candidate;
+        marks[chosen[i]] = 1;
+    }
+    chosen.forEach(position => { marks[position] = 0; });
+    // Typed arrays sort numerically without a comparator, which keeps the permutation null fast
+    return Array.from(chosen.sort());
+}
+
+/**
+ * Running-sum enrichment score of set members at the given ranks
+ * @param {Array<number>} positions - Sorted ranks of the members (0 = top)
+ * @param {Array<number>} weights - Ranking scores of all genes, in rank order
+ * @returns {Object} {es, leadingEdge} with leadingEdge the number of members before the peak
+ *                   (counted from the top for positive ES, from the bottom for negative ES)
+ */
+function enrichmentScore(positions, weights) {
+    const missStep = 1 / (weights.length - positions.length);
+    const hitWeights = positions.map(position => Math.abs(weights[position]));
+    const hitTotal = hitWeights.reduce((sum, weight) => sum + weight, 0);
+
+    let running = 0;
+    let best = { es: 0, leadingEdge: 0 };
+    positions.forEach((position, i) => {
+        const misses = (position - i) * missStep;
+        const before = running - misses;
+        running += hitTotal > 0 ? hitWeights[i] / hitTotal : 1 / positions.length;
+        const after = running - misses;
+
+        if (after > Math.abs(best.es)) best = { es: after, leadingEdge: i + 1 };
+        if (-before > Math.abs(best.es)) best = { es: before, leadingEdge: positions.length - i };
+    });
+    return best;
+}
+
+/**
+ * Number of values >= threshold in an ascending array
+ * @private
+ */
+function countAtLeast(sorted, threshold) {
+    let low = 0;
+    let high = sorted.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (sorted[middle] < threshold) low = middle + 1;
+        else high = middle;
+    }
+    return sorted.length - low;
+}
+
+/**
+ * Preranked GSEA
+ * @param {Array<Object>} ranked - Genes {symbol, score} in rank order (most depleted/enriched first)
+ * @param {Array<Object>} sets - Sets {positions} with sorted ranks of their members in `ranked`
+ * @param {Object} options - {permutations, seed}
+ * @returns {Array<Object>} Per set {es, nes, pValue, fdr, leadingEdge (symbols)}
+ */
+function gsea(ranked, sets, options = {}) {
+    const { permutations = ENRICHMENT_DEFAULTS.permutations, seed = ENRICHMENT_DEFAULTS.seed } = options;
+    const weights = ranked.map(gene => gene.score);
+    const next = random(seed);
+    const marks = new Uint8Array(weights.length);
+
+    // Null distributions depend only on the set size, so equally sized sets share one
+    const nullsBySize = new Map();
+    const nullFor = size => {
+        if (!nullsBySize.has(size)) {
+            const scores = [];
+            for (let i = 0; i < permutations; i++) scores.push(enrichmentScore(samplePositions(size, weights.length, next, marks), weights).es);
+            // Absolute null scores per sign, ascending, with their mean for normalization
+            const side = values => {
+                const sorted = values.map(Math.abs).sort((a, b) => a - b);
+                return { sorted, mean: sorted.length > 0 ? mean(sorted) : 0 };
+            };
+            nullsBySize.set(size, {
+                positive: side(scores.filter(score => score >= 0)),
+                negative: side(scores.filter(score => score < 0))
+            });
+        }
+        return nullsBySize.get(size);
+    };
+
+    const results = sets.map(set => {
+        const { es, leadingEdge } = enrichmentScore(set.positions, weights);
+        const sameSign = nullFor(set.positions.length)[es >= 0 ? 'positive' : 'negative'];
+        const extreme = countAtLeast(sameSign.sorted, Math.abs(es));
+        const edgePositions = es >= 0 ? set.positions.slice(0, leadingEdge) : set.positions.slice(-leadingEdge).reverse();
+
+        return {
+            es,
+            nes: sameSign.mean > 0 ? es / sameSign.mean : null,
+            pValue: (extreme + 1) / (sameSign.sorted.length + 1),
+            leadingEdge: edgePositions.map(position => ranked[position].symbol)
+        };
+    });
+
+    // FDR: share of null NES at least as extreme (pooled over the sets' nulls) over the share of observed NES
+    const sizeCounts = new Map();
+    sets.forEach(set => sizeCounts.set(set.positions.length, (sizeCounts.get(set.positions.length) || 0) + 1));
+    ['positive', 'negative'].forEach(sign => {
+        const observed = results
+            .filter(result => result.nes !== null && (result.nes >= 0) === (sign === 'positive'))
+            .map(result => Math.abs(result.nes))
+            .sort((a, b) => a - b);
+
+        results.forEach(result => {
+            if (result.nes === null || (result.nes >= 0) !== (sign === 'positive')) return;
+            const nes = Math.abs(result.nes);
+            let nullExtreme = 0;
+            let nullTotal = 0;
+            sizeCounts.forEach((count, size) => {
+                const nulls = nullFor(size)[sign];
+                if (nulls.mean === 0) return;
+                nullExtreme += count * countAtLeast(nulls.sorted, nes * nulls.mean);
+                nullTotal += count * nulls.sorted.length;
+            });
+            const observedShare = countAtLeast(observed, nes) / observed.length;
+            result.fdr = nullTotal > 0 ? Math.min(1, (nullExtreme / nullTotal) / observedShare) : null;
+        });
+    });
+    results.forEach(result => { if (result.fdr === undefined) result.fdr = null; });
+    return results;
+}
+
+/**
+ * Run gsea() in a worker thread; calls beyond GSEA_WORKERS wait for a free worker
+ * @param {Array<Object>} ranked - See gsea
+ * @param {Array<Object>} sets - See gsea
+ * @param {Object} options - See gsea
+ * @returns {Promise<Array<Object>>} Result of gsea; RateLimitError when GSEA_QUEUE_LIMIT runs are already waiting
+ */
+function gseaInWorker(ranked, sets, options = {}) {
+    if (runningWorkers >= GSEA_WORKERS && waitingRuns.length >= GSEA_QUEUE_LIMIT) {
+        return Promise.reject(new RateLimitError('Too many enrichment analyses', {
+            hint: 'The server is busy with other gene set enrichment analyses; try again shortly'
+        }));
+    }
+
+    return new Promise((resolve, reject) => {
+        const start = () => {
+            runningWorkers++;
+            let settled = false;
+            const settle = (err, results) => {
+                if (settled) return;
+                settled = true;
+                runningWorkers--;
+                if (waitingRuns.length > 0) waitingRuns.shift()();
+                if (err) reject(err);
+                else resolve(results);
+            };
+
+            const worker = new Worker(GSEA_WORKER_PATH, { workerData: { ranked, sets, options } });
+            worker.once('message', results => settle(null, results));
+            worker.once('error', err => settle(err));
+            worker.once('exit', code => settle(new Error(`GSEA worker stopped with exit code ${code}`)));
+        };
+
+        if (runningWorkers < GSEA_WORKERS) start();
+        else waitingRuns.push(start);
+    });
+}
+
+/**
+ * Hypergeometric over-representation of hits
+ * @param {number} universe - Number of ranked genes
+ * @param {number} hitCount - Number of hits among them
+ * @param {Array<Object>} sets - Sets {positions, hits} with the ranks and the hit symbols among their members
+ * @returns {Array<Object>} Per set {overlap, expected, foldEnrichment, pValue, fdr, genes}
+ */
+function overRepresentation(universe, hitCount, sets) {
+    const results = sets.map(set => {
+        const expected = hitCount * set.positions.length / universe;
+        return {
+            overlap: set.hits.length,
+            expected,
+            foldEnrichment: expected > 0 ? set.hits.length / expected : null,
+            pValue: hypergeometricUpper(set.hits.length, universe, set.positions.length, hitCount),
+            genes: set.hits
+        };
+    });
+
+    const fdr = benjaminiHochberg(results.map(result => result.pValue));
+    results.forEach((result, i) => { result.fdr = fdr[i]; });
+    return results;
+}
+
+module.exports = {
+    ENRICHMENT_METHODS,
+    ENRICHMENT_DEFAULTS,
+    enrichmentScore,
+    gsea,
+    gseaInWorker,
+    overRepresentation
+};
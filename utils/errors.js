@@ -0,0 +1,84 @@
+/**
+ * Typed errors for the API and page routes.
+ * Each error carries the HTTP status it maps to; details are merged into the JSON error body
+ * (e.g. {error: 'Invalid region', hint: '...'}).
+ */
+
+class AppError extends Error {
+    constructor(message, status = 500, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// Bad input: invalid parameters or request body (400)
+class ValidationError extends AppError {
+    constructor(message, details = {}) {
+        super(message, 400, details);
+    }
+
+    /**
+     * Throw for a parse result of the form {error, hint}, otherwise return it
+     * @param {Object} parsed - Result of one of the parse* helpers
+     * @returns {Object} The parse result when it has no error
+     */
+    static check(parsed) {
+        if (parsed && parsed.error) {
+            const { error, ...details } = parsed;
+            throw new ValidationError(error, details);
+        }
+        return parsed;
+    }
+}
+
+// Unknown gene, record, study, cell line or experiment (404)
+class NotFoundError extends AppError {
+    constructor(message = 'Not found', details = {}) {
+        super(message, 404, details);
+    }
+}
+
+// Request clashes with stored data, e.g. a list name that is taken (409)
+class ConflictError extends AppError {
+    constructor(message = 'Conflict', details = {}) {
+        super(message, 409, details);
+    }
+}
+
+// Missing, unknown or revoked API key (401)
+class AuthenticationError extends AppError {
+    constructor(message = 'Invalid API key', details = {}) {
+        super(message, 401, details);
+    }
+}
+
+// Request rate limit or daily export quota used up (429)
+class RateLimitError extends AppError {
+    constructor(message = 'Too many requests', details = {}) {
+        super(message, 429, details);
+    }
+}
+
+/**
+ * HTTP status for any error: typed errors use their own, client errors raised by
+ * Express middleware (e.g. malformed JSON) keep theirs, everything else is a 500
+ * @param {Error} err - Error to map
+ * @returns {number} HTTP status
+ */
+function statusOf(err) {
+    if (err instanceof AppError) return err.status;
+    if (err && err.expose && err.status >= 400 && err.status < 500) return err.status;
+    return 500;
+}
+
+module.exports = {
+    AppError,
+    ValidationError,
+    NotFoundError,
+    ConflictError,
+    AuthenticationError,
+    RateLimitError,
+    statusOf
+};
@@ -0,0 +1,216 @@
+/**
+ * Streaming export of search results in tabular and genomic file formats
+ */
+
+const { Readable, Transform } = require('stream');
+
+// Columns written for each export level (also the CSV/TSV header)
+const EXPORT_COLUMNS = {
+    sgrna: [
+        'sgrna_id', 'symbol', 'ensg', 'chr', 'start', 'end', 'strand', 'sequence', 'log2fc', 'effect',
+        'rc_initial', 'rc_final', 'cellline', 'condition', 'cas', 'screentype', 'pubmed'
+    ],
+    gene: [
+        'gene_id', 'symbol', 'ensg', 'chr', 'experiment_count', 'cell_line_count',
+        'total_sgrnas', 'avg_log2fc', 'min_start', 'max_end'
+    ],
+    // Per-gene group comparison (CSV/TSV only, written from /api/differential)
+    differential: [
+        'symbol', 'count_a', 'count_b', 'mean_a', 'mean_b', 'difference', 'median_difference',
+        'welch_t', 'welch_df', 'welch_p', 'welch_fdr', 'mann_whitney_u', 'mann_whitney_p', 'mann_whitney_fdr'
+    ],
+    // Genes and sgRNAs of a saved list (CSV/TSV only, written from /api/lists/:id/export)
+    list: [
+        'type', 'symbol', 'ensg', 'sgrna_id', 'cellline', 'chr', 'start', 'end', 'strand', 'sequence', 'log2fc', 'added_at'
+    ]
+};
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv', extension: 'csv', levels: ['sgrna', 'gene'] },
+    tsv: { contentType: 'text/tab-separated-values', extension: 'tsv', levels: ['sgrna', 'gene'] },
+    bed: { contentType: 'text/plain', extension: 'bed', levels: ['sgrna', 'gene'] },
+    gff3: { contentType: 'text/x-gff3', extension: 'gff3', levels: ['sgrna', 'gene'] },
+    fasta: { contentType: 'text/x-fasta', extension: 'fasta', levels: ['sgrna'] }
+};
+
+/**
+ * Create an object stream that pulls rows from a prepared statement one at a time,
+ * so the query only advances as fast as the consumer reads (backpressure)
+ * @param {Object} db - Database connection
+ * @param {string} sql - Query
+ * @param {Array} params - Query parameters
+ * @param {Function} [mapRow] - Applied to each row before it is pushed
+ * @returns {Readable} Object-mode stream of rows
+ */
+function createRowStream(db, sql, params = [], mapRow = row => row) {
+    let statement = null;
+
+    return new Readable({
+        objectMode: true,
+        read() {
+            const step = () => statement.get((err, row) => {
+                if (err) return this.destroy(err);
+                this.push(row === undefined ? null : mapRow(row));
+            });
+
+            if (statement) return step();
+            statement = db.prepare(sql, params, (err) => {
+                if (err) return this.destroy(err);
+                step();
+            });
+        },
+        destroy(err, callback) {
+            if (!statement) return callback(err);
+            statement.finalize(() => callback(err));
+        }
+    });
+}
+
+function formatNumber(value) {
+    return value === null || value === undefined || isNaN(value) ? '' : String(value);
+}
+
+function csvValue(value, delimiter) {
+    const text = value === null || value === undefined ? '' : String(value);
+    if (delimiter === '\t') return text.replace(/[\t\r\n]+/g, ' ');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// GFF3 reserves ; = & , and control characters in attribute values
+function gffValue(value) {
+    return String(value).replace(/[;=&,%\t\r\n]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
+}
+
+function gffAttributes(attributes) {
+    return Object.entries(attributes)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([key, value]) => `${key}=${gffValue(value)}`)
+        .join(';');
+}
+
+function bedStrand(strand) {
+    return strand === '+' || strand === '-' ? strand : '.';
+}
+
+function chromName(chr) {
+    return /^chr/i.test(chr) ? chr : `chr${chr}`;
+}
+
+/**
+ * Line formatters per format and level: {header, row(row)}
+ * Coordinates are stored 1-based inclusive; BED is written 0-based half-open.
+ */
+const FORMATTERS = {
+    csv: level => delimitedFormatter(level, ','),
+    tsv: level => delimitedFormatter(level, '\t'),
+    bed: level => ({
+        header: '',
+        row: level === 'sgrna'
+            ? row => [chromName(row.chr), row.start - 1, row.end, `${row.symbol}_${row.sgrna_id}`,
+                formatNumber(row.log2fc) || '0', bedStrand(row.strand)].join('\t') + '\n'
+            : row => [chromName(row.chr), row.min_start - 1, row.max_end, row.symbol,
+                formatNumber(row.avg_log2fc) || '0', '.'].join('\t') + '\n'
+    }),
+    gff3: level => ({
+        header: '##gff-version 3\n',
+        row: level === 'sgrna'
+            ? row => [chromName(row.chr), 'GenomeCRISPR', 'guide_RNA', row.start, row.end,
+                formatNumber(row.log2fc) || '.', bedStrand(row.strand), '.',
+                gffAttributes({
+                    ID: `sgRNA_${row.sgrna_id}`, Name: row.sequence, gene: row.symbol, ensg: row.ensg,
+                    cellline: row.cellline, condition: row.condition, cas: row.cas,
+                    screentype: row.screentype, pubmed: row.pubmed, effect: row.effect
+                })].join('\t') + '\n'
+            : row => [chromName(row.chr), 'GenomeCRISPR', 'gene', row.min_start, row.max_end,
+                formatNumber(row.avg_log2fc) || '.', '.', '.',
+                gffAttributes({
+                    ID: `gene_${row.gene_id}`, Name: row.symbol, ensg: row.ensg,
+                    total_sgrnas: row.total_sgrnas, cell_line_count: row.cell_line_count
+                })].join('\t') + '\n'
+    }),
+    fasta: () => ({
+        header: '',
+        row: row => `>sgRNA_${row.sgrna_id} gene=${row.symbol} loc=${chromName(row.chr)}:${row.start}-${row.end}` +
+            `(${bedStrand(row.strand)}) cellline=${row.cellline} log2fc=${formatNumber(row.log2fc) || 'NA'}` +
+            (row.pubmed ? ` pubmed=${row.pubmed}` : '') + `\n${row.sequence}\n`
+    })
+};
+
+function delimitedFormatter(level, delimiter) {
+    const columns = EXPORT_COLUMNS[level];
+    return {
+        header: columns.join(delimiter) + '\n',
+        row: row => columns.map(column => csvValue(row[column], delimiter)).join(delimiter) + '\n'
+    };
+}
+
+/**
+ * Create a transform stream turning rows into lines of the given format
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {string} level - 'sgrna' or 'gene'
+ * @returns {Transform} Stream of text chunks
+ */
+function createFormatStream(format, level) {
+    const formatter = FORMATTERS[format](level);
+    let headerWritten = false;
+
+    return new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, callback) {
+            let chunk = formatter.row(row);
+            if (!headerWritten) {
+                chunk = formatter.header + chunk;
+                headerWritten = true;
+            }
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (!headerWritten) this.push(formatter.header);
+            callback();
+        }
+    });
+}
+
+/**
+ * Create a transform stream writing each object as one line of JSON (NDJSON)
+ * @returns {Transform} Stream of text chunks
+ */
+function createNdjsonStream() {
+    return new Transform({
+        writableObjectMode: true,
+        transform(record, encoding, callback) {
+            callback(null, `${JSON.stringify(record)}\n`);
+        }
+    });
+}
+
+/**
+ * Pass on at most maxRows rows of an object stream; the source is closed once the limit is reached
+ * @param {Readable} rows - Object-mode stream of rows
+ * @param {number} maxRows - Rows to pass on (Infinity for all)
+ * @param {Function} onEnd - Called with the number of rows passed on when the stream ends or is closed
+ * @returns {Readable} Object-mode stream of rows
+ */
+function limitRows(rows, maxRows, onEnd) {
+    let count = 0;
+    return Readable.from((async function* () {
+        try {
+            for await (const row of rows) {
+                if (count >= maxRows) break;
+                count++;
+                yield row;
+            }
+        } finally {
+            onEnd(count);
+        }
+    })());
+}
+
+module.exports = {
+    EXPORT_COLUMNS,
+    EXPORT_FORMATS,
+    createRowStream,
+    limitRows,
+    createFormatStream,
+    createNdjsonStream
+};
@@ -0,0 +1,124 @@
+/**
+ * Gene-level essentiality scores per experiment
+ *
+ * A screen is the set of experiments sharing cell line, condition, cas, screen type and pubmed.
+ * Each gene's guides are scored against all guides of its screen:
+ * - median log2fc of the gene's guides
+ * - robust z-score: (gene median - screen median) / scaled MAD of the screen
+ * - RRA rank aggregation of the guides' ranks for depletion and enrichment, with BH FDR per screen
+ */
+
+const { run, runStatement, all, exec, finalize } = require('./dbAsync');
+const { median, scaledMad, rankAggregation, benjaminiHochberg } = require('./statistics');
+
+// Experiment columns identifying a screen
+const SCREEN_COLUMNS = ['cellline_id', 'condition', 'cas', 'screentype', 'pubmed'];
+
+/**
+ * Score all experiments of one screen from its guides
+ * @param {Array<Object>} guides - Rows with experiment_id, gene_id and log2fc
+ * @returns {Array<Object>} One score row per experiment
+ */
+function scoreScreen(guides) {
+    const sorted = [...guides].sort((a, b) => a.log2fc - b.log2fc);
+    const total = sorted.length;
+    const values = sorted.map(guide => guide.log2fc);
+    const screenMedian = median(values);
+    const screenMad = scaledMad(values, screenMedian);
+
+    const experiments = new Map();
+    sorted.forEach((guide, index) => {
+        if (!experiments.has(guide.experiment_id)) {
+            experiments.set(guide.experiment_id, { gene_id: guide.gene_id, values: [], depletedRanks: [], enrichedRanks: [] });
+        }
+        const experiment = experiments.get(guide.experiment_id);
+        experiment.values.push(guide.log2fc);
+        experiment.depletedRanks.push((index + 1) / total);
+        experiment.enrichedRanks.push((total - index) / total);
+    });
+
+    const scores = Array.from(experiments.entries()).map(([experimentId, experiment]) => {
+        const geneMedian = median(experiment.values);
+        const depleted = rankAggregation(experiment.depletedRanks);
+        const enriched = rankAggregation(experiment.enrichedRanks);
+        return {
+            experiment_id: experimentId,
+            gene_id: experiment.gene_id,
+            sgrna_count: experiment.values.length,
+            median_log2fc: geneMedian,
+            robust_z: screenMad > 0 ? (geneMedian - screenMedian) / screenMad : null,
+            rra_score_depleted: depleted.score,
+            rra_p_depleted: depleted.pValue,
+            rra_score_enriched: enriched.score,
+            rra_p_enriched: enriched.pValue
+        };
+    });
+
+    const fdrDepleted = benjaminiHochberg(scores.map(score => score.rra_p_depleted));
+    const fdrEnriched = benjaminiHochberg(scores.map(score => score.rra_p_enriched));
+    scores.forEach((score, i) => {
+        score.fdr_depleted = fdrDepleted[i];
+        score.fdr_enriched = fdrEnriched[i];
+    });
+    return scores;
+}
+
+/**
+ * Recompute gene_scores for every screen in the database
+ * @param {Object} db - Database connection
+ * @param {Object} options - {onProgress(done, total)}
+ * @returns {Promise<Object>} {screens, experiments}
+ */
+async function computeGeneScores(db, options = {}) {
+    const { onProgress = null } = options;
+    const screenCondition = SCREEN_COLUMNS.map(column => `e.${column} IS ?`).join(' AND ');
+    const screens = await all(db, `SELECT DISTINCT ${SCREEN_COLUMNS.join(', ')} FROM experiments`);
+
+    const insert = db.prepare(`
+        INSERT OR REPLACE INTO gene_scores (
+            experiment_id, gene_id, sgrna_count, median_log2fc, robust_z,
+            rra_score_depleted, rra_p_depleted, fdr_depleted,
+            rra_score_enriched, rra_p_enriched, fdr_enriched
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    let scored = 0;
+    try {
+        await exec(db, 'BEGIN');
+        await run(db, 'DELETE FROM gene_scores');
+
+        for (const [index, screen] of screens.entries()) {
+            const guides = await all(db, `
+                SELECT e.experiment_id, e.gene_id, s.log2fc
+                FROM experiments e
+                JOIN sgrnas s ON s.experiment_id = e.experiment_id
+                WHERE ${screenCondition} AND s.log2fc IS NOT NULL
+            `, SCREEN_COLUMNS.map(column => screen[column]));
+
+            for (const score of scoreScreen(guides)) {
+                await runStatement(insert, [
+                    score.experiment_id, score.gene_id, score.sgrna_count, score.median_log2fc, score.robust_z,
+                    score.rra_score_depleted, score.rra_p_depleted, score.fdr_depleted,
+                    score.rra_score_enriched, score.rra_p_enriched, score.fdr_enriched
+                ]);
+                scored++;
+            }
+            if (onProgress) onProgress(index + 1, screens.length);
+        }
+
+        await exec(db, 'COMMIT');
+    } catch (err) {
+        await exec(db, 'ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        await finalize(insert);
+    }
+
+    return { screens: screens.length, experiments: scored };
+}
+
+module.exports = {
+    SCREEN_COLUMNS,
+    scoreScreen,
+    computeGeneScores
+};
@@ -0,0 +1,120 @@
+/**
+ * Gene sets from GMT files (pathways, complexes, ...)
+ *
+ * GMT: one set per line, tab-separated: name, description, member symbols.
+ * Sets are grouped into collections (by default the file name) so that several GMT files can be loaded side by side.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { run, runStatement, all, exec, finalize } = require('./dbAsync');
+
+/**
+ * Parse GMT text into gene sets; blank lines and lines starting with # are skipped
+ * @param {string} text - GMT file content
+ * @returns {Object} {sets: [{name, description, genes}], rejected: [{line, reason}]}
+ */
+function parseGmt(text) {
+    const sets = [];
+    const rejected = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        if (line.trim() === '' || line.startsWith('#')) return;
+
+        const [name, description, ...members] = line.split('\t').map(field => field.trim());
+        const genes = [...new Set(members.filter(member => member !== ''))];
+        if (!name) return rejected.push({ line: index + 1, reason: 'missing set name' });
+        if (genes.length === 0) return rejected.push({ line: index + 1, reason: 'no genes' });
+
+        sets.push({ name, description: description && description.toLowerCase() !== 'na' ? description : null, genes });
+    });
+
+    return { sets, rejected };
+}
+
+/**
+ * Default collection name for a GMT file (file name without extension)
+ * @param {string} filePath - GMT file path
+ * @returns {string} Collection name
+ */
+function collectionName(filePath) {
+    return path.basename(filePath).replace(/\.gmt$/i, '');
+}
+
+/**
+ * Store gene sets in one transaction. Sets already in the collection are replaced by name;
+ * with `replace` every other set of the collection is removed as well.
+ * @param {Object} db - Database connection
+ * @param {Array<Object>} sets - Parsed sets (see parseGmt)
+ * @param {Object} options - {collection, replace}
+ * @returns {Promise<Object>} {sets, members, removed}
+ */
+async function importGeneSets(db, sets, options) {
+    const { collection, replace = false } = options;
+    const existing = new Map((await all(db, 'SELECT set_id, name FROM gene_sets WHERE collection = ?', [collection]))
+        .map(row => [row.name, row.set_id]));
+
+    const insertSet = db.prepare('INSERT INTO gene_sets (collection, name, description) VALUES (?, ?, ?)');
+    const insertMember = db.prepare('INSERT OR IGNORE INTO gene_set_members (set_id, symbol) VALUES (?, ?)');
+    const stats = { sets: 0, members: 0, removed: 0 };
+
+    const removeSet = async setId => {
+        await run(db, 'DELETE FROM gene_set_members WHERE set_id = ?', [setId]);
+        await run(db, 'DELETE FROM gene_sets WHERE set_id = ?', [setId]);
+    };
+
+    try {
+        await exec(db, 'BEGIN');
+
+        if (replace) {
+            const incoming = new Set(sets.map(set => set.name));
+            for (const [name, setId] of existing) {
+                if (incoming.has(name)) continue;
+                await removeSet(setId);
+                stats.removed++;
+            }
+        }
+
+        for (const set of sets) {
+            if (existing.has(set.name)) await removeSet(existing.get(set.name));
+
+            const { lastID } = await runStatement(insertSet, [collection, set.name, set.description]);
+            for (const gene of set.genes) {
+                await runStatement(insertMember, [lastID, gene]);
+                stats.members++;
+            }
+            stats.sets++;
+        }
+
+        await exec(db, 'COMMIT');
+    } catch (err) {
+        await exec(db, 'ROLLBACK').catch(() => {});
+        throw err;
+    } finally {
+        await finalize(insertSet);
+        await finalize(insertMember);
+    }
+
+    return stats;
+}
+
+/**
+ * Read, parse and store a GMT file
+ * @param {Object} db - Database connection
+ * @param {string} filePath - GMT file path
+ * @param {Object} options - {collection (default: file name), replace}
+ * @returns {Promise<Object>} {collection, sets, members, removed, rejected}
+ */
+async function importGmtFile(db, filePath, options = {}) {
+    const collection = options.collection || collectionName(filePath);
+    const { sets, rejected } = parseGmt(fs.readFileSync(filePath, 'utf8'));
+    const stats = await importGeneSets(db, sets, { collection, replace: options.replace });
+    return { collection, ...stats, rejected };
+}
+
+module.exports = {
+    parseGmt,
+    collectionName,
+    importGeneSets,
+    importGmtFile
+};
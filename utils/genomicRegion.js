@@ -0,0 +1,60 @@
+/**
+ * Genomic region parsing for locus queries
+ */
+
+// e.g. chr17:7.5M-7.7M, 17:7,500,000-7,700,000, chrX:1200k-1300k
+const REGION_PATTERN = /^(?:chr)?([0-9A-Za-z_]+):([\d.,]+[kKmM]?)-([\d.,]+[kKmM]?)$/;
+const UNIT_FACTORS = { k: 1e3, m: 1e6 };
+
+/**
+ * Parse a coordinate with optional thousands separators and k/M suffix
+ * @param {string} value - Coordinate text
+ * @returns {number|null} Base-pair position
+ */
+function parseCoordinate(value) {
+    const text = String(value).trim().replace(/,/g, '');
+    const match = /^(\d+(?:\.\d+)?)([kKmM]?)$/.exec(text);
+    if (!match) return null;
+
+    const factor = match[2] ? UNIT_FACTORS[match[2].toLowerCase()] : 1;
+    const position = Math.round(parseFloat(match[1]) * factor);
+    return Number.isSafeInteger(position) ? position : null;
+}
+
+/**
+ * Build a region from separate chromosome/start/end values
+ * @returns {Object|null} {chr, start, end} or null if invalid
+ */
+function buildRegion(chr, start, end) {
+    const name = String(chr || '').trim().replace(/^chr/i, '');
+    const startPos = parseCoordinate(start);
+    const endPos = parseCoordinate(end);
+
+    if (!name || startPos === null || endPos === null || startPos > endPos) return null;
+    return { chr: name, start: startPos, end: endPos };
+}
+
+/**
+ * Parse a region string such as chr17:7.5M-7.7M
+ * @param {string} text - Region string
+ * @returns {Object|null} {chr, start, end} or null if the text is not a region
+ */
+function parseRegion(text) {
+    const match = REGION_PATTERN.exec(String(text || '').trim());
+    return match ? buildRegion(match[1], match[2], match[3]) : null;
+}
+
+/**
+ * Format a region for display
+ * @param {Object} region - {chr, start, end}
+ * @returns {string} e.g. chr17:7,500,000-7,700,000
+ */
+function formatRegion(region) {
+    return `chr${region.chr}:${region.start.toLocaleString('en-US')}-${region.end.toLocaleString('en-US')}`;
+}
+
+module.exports = {
+    parseRegion,
+    buildRegion,
+    formatRegion
+};
@@ -0,0 +1,10 @@
+/**
+ * Worker thread running one preranked GSEA (see gseaInWorker in utils/enrichment.js),
+ * so the permutation null does not block the server's event loop
+ */
+
+const { parentPort, workerData } = require('worker_threads');
+const { gsea } = require('./enrichment');
+
+const { ranked, sets, options } = workerData;
+parentPort.postMessage(gsea(ranked, sets, options));
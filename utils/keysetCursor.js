@@ -0,0 +1,85 @@
+/**
+ * Keyset (cursor) pagination.
+ * Results are ordered by a list of keys ending in a unique id (gene_id or sgrna_id). A cursor holds the
+ * key values of the last row of a page; the next page starts strictly after them, so deep pages cost
+ * the same as the first and rows do not shift between pages. NULLs sort first, as in SQLite.
+ */
+
+/**
+ * ORDER BY clause for a key list
+ * @param {Array<Object>} keys - [{column, order: 'ASC'|'DESC'}]
+ * @returns {string}
+ */
+function orderByClause(keys) {
+    return `ORDER BY ${keys.map(key => `${key.column} ${key.order}`).join(', ')}`;
+}
+
+/**
+ * Condition selecting the rows after a cursor position in key order
+ * @param {Array<Object>} keys - [{column, order}]
+ * @param {Array} values - Key values of the last row of the previous page
+ * @returns {Object} {condition, params}
+ */
+function keysetCondition(keys, values) {
+    const after = (key, value) => {
+        if (value === null) return key.order === 'ASC' ? { sql: `${key.column} IS NOT NULL`, params: [] } : { sql: '0', params: [] };
+        return key.order === 'ASC'
+            ? { sql: `${key.column} > ?`, params: [value] }
+            : { sql: `(${key.column} < ? OR ${key.column} IS NULL)`, params: [value] };
+    };
+    const equal = (key, value) => (value === null
+        ? { sql: `${key.column} IS NULL`, params: [] }
+        : { sql: `${key.column} = ?`, params: [value] });
+
+    // after(k1) OR (k1 = v1 AND (after(k2) OR (k2 = v2 AND ...)))
+    return keys.reduceRight((rest, key, i) => {
+        const first = after(key, values[i]);
+        if (!rest) return { condition: first.sql, params: first.params };
+        const same = equal(key, values[i]);
+        return {
+            condition: `(${first.sql} OR (${same.sql} AND ${rest.condition}))`,
+            params: [...first.params, ...same.params, ...rest.params]
+        };
+    }, null);
+}
+
+/**
+ * Key values of a result row, in key order
+ * @param {Array<Object>} keys - [{column, order}] where column is also the row property
+ * @param {Object} row - Query result row
+ * @returns {Array}
+ */
+function keyValues(keys, row) {
+    return keys.map(key => (row[key.column] === undefined ? null : row[key.column]));
+}
+
+/**
+ * Encode a cursor as an opaque URL-safe string
+ * @param {Object} payload - Cursor contents, e.g. {level, sortBy, sortOrder, after}
+ * @returns {string}
+ */
+function encodeCursor(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor made by encodeCursor
+ * @param {string} cursor - Cursor string
+ * @returns {Object|null} Cursor contents, or null when the string is not a valid cursor
+ */
+function decodeCursor(cursor) {
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return payload && typeof payload === 'object' && Array.isArray(payload.after) ? payload : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+module.exports = {
+    orderByClause,
+    keysetCondition,
+    keyValues,
+    encodeCursor,
+    decodeCursor
+};
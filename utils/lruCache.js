@@ -0,0 +1,68 @@
+/**
+ * Least-recently-used cache with hit/miss counters
+ * Entries live in a Map, whose insertion order doubles as the recency order.
+ */
+
+class LruCache {
+    /**
+     * @param {number} maxEntries - Entries kept before the least recently used one is evicted
+     */
+    constructor(maxEntries = 500) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+    }
+
+    /**
+     * Look up a key, marking it as most recently used
+     * @returns {*} The value, or undefined on a miss
+     */
+    get(key) {
+        if (!this.entries.has(key)) {
+            this.misses++;
+            return undefined;
+        }
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        this.hits++;
+        return value;
+    }
+
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    /**
+     * Counters since the cache was created
+     * @returns {Object} {entries, maxEntries, hits, misses, hitRate, evictions}
+     */
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups > 0 ? this.hits / lookups : null,
+            evictions: this.evictions
+        };
+    }
+}
+
+module.exports = LruCache;
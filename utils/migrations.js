@@ -0,0 +1,137 @@
+/**
+ * Versioned schema migrations
+ *
+ * The schema is defined by the numbered files in sql/migrations (NNN_name.sql), applied in order.
+ * schema_migrations records every applied version, so `npm run migrate` upgrades an existing database
+ * in place and the server can refuse to start against a database whose schema is behind (or ahead of) the code.
+ * Databases created before migrations existed have no schema_migrations table; the early migrations only
+ * create what is missing, so migrating them adopts their tables and data.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { run, all, exec } = require('./dbAsync');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'sql', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_(\w+)\.sql$/;
+
+// The schema of a database does not match the migrations of this code
+class SchemaVersionError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'SchemaVersionError';
+        this.status = status;
+    }
+}
+
+/**
+ * List the migration files in version order
+ * @param {string} dir - Directory of NNN_name.sql files
+ * @returns {Array<Object>} [{version, name, file}]
+ * @throws {Error} When two files share a version
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+    const migrations = fs.readdirSync(dir)
+        .map(file => ({ file, match: MIGRATION_FILE_PATTERN.exec(file) }))
+        .filter(({ match }) => match)
+        .map(({ file, match }) => ({ version: parseInt(match[1], 10), name: match[2], file: path.join(dir, file) }))
+        .sort((a, b) => a.version - b.version);
+
+    migrations.forEach((migration, i) => {
+        if (i > 0 && migration.version === migrations[i - 1].version) {
+            throw new Error(`Migration version ${migration.version} is used twice (${path.basename(migration.file)})`);
+        }
+    });
+    return migrations;
+}
+
+/**
+ * Versions already applied to a database; none when it predates migrations
+ * @param {Object} db - Database connection
+ * @returns {Promise<Array<number>>}
+ */
+async function appliedVersions(db) {
+    const [table] = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+    if (!table) return [];
+    return (await all(db, 'SELECT version FROM schema_migrations ORDER BY version')).map(row => row.version);
+}
+
+/**
+ * Compare the schema version of a database with the migrations of this code
+ * @param {Object} db - Database connection
+ * @param {Array<Object>} migrations - See loadMigrations
+ * @returns {Promise<Object>} {current, latest, pending: [{version, name, file}], unknown: [version]}
+ */
+async function schemaStatus(db, migrations = loadMigrations()) {
+    const applied = await appliedVersions(db);
+    const known = new Set(migrations.map(migration => migration.version));
+    return {
+        current: applied.length > 0 ? applied[applied.length - 1] : 0,
+        latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+        pending: migrations.filter(migration => !applied.includes(migration.version)),
+        unknown: applied.filter(version => !known.has(version))
+    };
+}
+
+/**
+ * Apply every pending migration, each in its own transaction together with its schema_migrations row
+ * @param {Object} db - Database connection
+ * @param {Object} options - {migrations, onApply: called with each migration before it runs}
+ * @returns {Promise<Object>} {from, to, applied: [{version, name}]}
+ */
+async function migrate(db, options = {}) {
+    const { migrations = loadMigrations(), onApply = null } = options;
+    await exec(db, `CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TEXT NOT NULL
+    )`);
+
+    const status = await schemaStatus(db, migrations);
+    const applied = [];
+    for (const migration of status.pending) {
+        if (onApply) onApply(migration);
+        try {
+            await exec(db, 'BEGIN');
+            await exec(db, fs.readFileSync(migration.file, 'utf8'));
+            await run(db, "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, datetime('now'))",
+                [migration.version, migration.name]);
+            await exec(db, 'COMMIT');
+        } catch (err) {
+            await exec(db, 'ROLLBACK').catch(() => {});
+            throw new Error(`Migration ${path.basename(migration.file)} failed: ${err.message}`);
+        }
+        applied.push({ version: migration.version, name: migration.name });
+    }
+
+    return { from: status.current, to: applied.length > 0 ? applied[applied.length - 1].version : status.current, applied };
+}
+
+/**
+ * Make sure a database has exactly the schema this code expects
+ * @param {Object} db - Database connection
+ * @param {string} dbPath - Database file, for the upgrade command in the error message
+ * @returns {Promise<Object>} Schema status (see schemaStatus)
+ * @throws {SchemaVersionError} When migrations are pending, or the database was migrated by a newer version of the code
+ */
+async function checkSchemaVersion(db, dbPath) {
+    const status = await schemaStatus(db);
+    if (status.unknown.length > 0) {
+        throw new SchemaVersionError(`${dbPath} has schema version ${status.current}, newer than the latest migration ` +
+            `${status.latest} of this server; update the server before using it`, status);
+    }
+    if (status.pending.length > 0) {
+        const pending = status.pending.map(migration => path.basename(migration.file)).join(', ');
+        throw new SchemaVersionError(`${dbPath} has schema version ${status.current}, but this server needs ${status.latest} ` +
+            `(pending: ${pending}); upgrade it with: npm run migrate -- --db ${dbPath}`, status);
+    }
+    return status;
+}
+
+module.exports = {
+    SchemaVersionError,
+    loadMigrations,
+    schemaStatus,
+    migrate,
+    checkSchemaVersion
+};
@@ -0,0 +1,68 @@
+/**
+ * Recompute sgRNA log2 fold changes from raw read counts
+ *
+ * Counts are normalized per screen (experiments sharing cell line, condition, cas, screen type and pubmed,
+ * i.e. one pair of sequenced samples) with size factors for the initial and final sample:
+ * - median-ratio: median of each sample's count / geometric mean of both counts (DESeq-style)
+ * - total: sample total / mean of both totals
+ * - none: raw counts
+ * log2fc = log2((final / sfFinal + pseudocount) / (initial / sfInitial + pseudocount))
+ *
+ * The size factors are estimated once per screen from the guides with at least NORMALIZATION_DEFAULTS.minCount
+ * initial reads and stored in screen_size_factors by sql/summary_tables.sql; the minCount option of a request
+ * only decides which guides are flagged as low count.
+ */
+
+const NORMALIZATION_METHODS = ['median-ratio', 'total', 'none'];
+
+// minCount is also the threshold of the size factor estimate in sql/summary_tables.sql
+const NORMALIZATION_DEFAULTS = {
+    method: 'median-ratio',
+    pseudocount: 1,
+    minCount: 30
+};
+
+/**
+ * Parse normalization options from query parameters, falling back to the defaults
+ * @param {Object} query - Request query (normalization, pseudocount, minCount)
+ * @returns {Object} {method, pseudocount, minCount}
+ */
+function parseNormalizationOptions(query = {}) {
+    const method = String(query.normalization || '').toLowerCase();
+    const pseudocount = parseFloat(query.pseudocount);
+    const minCount = parseInt(query.minCount);
+
+    return {
+        method: NORMALIZATION_METHODS.includes(method) ? method : NORMALIZATION_DEFAULTS.method,
+        pseudocount: pseudocount > 0 ? pseudocount : NORMALIZATION_DEFAULTS.pseudocount,
+        minCount: minCount >= 0 ? minCount : NORMALIZATION_DEFAULTS.minCount
+    };
+}
+
+function hasCounts(guide) {
+    return Number.isFinite(guide.rc_initial) && Number.isFinite(guide.rc_final);
+}
+
+/**
+ * Recompute log2fc for one guide
+ * @param {Object} guide - Row with rc_initial and rc_final
+ * @param {Object} factors - Size factors of the guide's screen ({initial, final}, see screen_size_factors)
+ * @param {Object} options - {pseudocount, minCount}
+ * @returns {Object} {log2fc, lowCount}; guides without counts are flagged with a null log2fc
+ */
+function normalizeGuide(guide, factors, options) {
+    if (!hasCounts(guide)) return { log2fc: null, lowCount: true };
+    const initial = guide.rc_initial / factors.initial + options.pseudocount;
+    const final = guide.rc_final / factors.final + options.pseudocount;
+    return {
+        log2fc: Math.log2(final / initial),
+        lowCount: guide.rc_initial < options.minCount
+    };
+}
+
+module.exports = {
+    NORMALIZATION_METHODS,
+    NORMALIZATION_DEFAULTS,
+    parseNormalizationOptions,
+    normalizeGuide
+};
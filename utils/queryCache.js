@@ -0,0 +1,146 @@
+/**
+ * In-process cache of query results, tied to the dataset version.
+ *
+ * The dataset version is the summary_state row that sql/summary_tables.sql rewrites on every load,
+ * import and score recomputation. It is re-read at most once per `versionTtl` ms; when it changes,
+ * every cached result is dropped.
+ */
+
+const crypto = require('crypto');
+const LruCache = require('./lruCache');
+const { get } = require('./dbAsync');
+
+/**
+ * JSON with object keys sorted, so that equal parameters give equal cache keys
+ * @param {*} value - Parameters (plain objects, arrays and primitives)
+ * @returns {string}
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+class QueryCache {
+    /**
+     * @param {Object} db - Database connection
+     * @param {Object} options - {maxEntries, versionTtl (ms between dataset version checks)}
+     */
+    constructor(db, options = {}) {
+        const { maxEntries = 500, versionTtl = 5000 } = options;
+        this.db = db;
+        this.versionTtl = versionTtl;
+        this.results = new LruCache(maxEntries);
+        this.invalidations = 0;
+        this.namespaces = new Map();
+        this.conditional = { requests: 0, notModified: 0 };
+        this.dataset = null;
+        this.checkedAt = 0;
+        this.pendingCheck = null;
+    }
+
+    /**
+     * Current dataset version; drops the cached results when it changed since the last check
+     * @returns {Promise<Object>} {version, lastModified (Date or null)}
+     */
+    async version() {
+        if (this.dataset && Date.now() - this.checkedAt < this.versionTtl) return this.dataset;
+        if (!this.pendingCheck) {
+            this.pendingCheck = this._readVersion().finally(() => { this.pendingCheck = null; });
+        }
+        return this.pendingCheck;
+    }
+
+    /**
+     * Return the cached result for (namespace, params), or compute and cache it.
+     * Concurrent calls with the same key share one computation; failures are not cached.
+     * @param {string} namespace - Query name, e.g. 'genes.search'
+     * @param {*} params - Query parameters; normalized into the cache key
+     * @param {Function} compute - Returns a promise of the result
+     * @returns {Promise<*>}
+     */
+    async get(namespace, params, compute) {
+        await this.version();
+
+        const key = `${namespace}:${stableStringify(params)}`;
+        const cached = this.results.get(key);
+        const counts = this.namespaces.get(namespace) || { hits: 0, misses: 0 };
+        this.namespaces.set(namespace, counts);
+        if (cached) {
+            counts.hits++;
+            return cached;
+        }
+        counts.misses++;
+
+        const result = compute();
+        this.results.set(key, result);
+        result.catch(() => this.results.delete(key));
+        return result;
+    }
+
+    /**
+     * Count a conditional GET answered from the dataset version
+     * @param {boolean} notModified - Whether the client's copy was current (304)
+     */
+    recordConditional(notModified) {
+        this.conditional.requests++;
+        if (notModified) this.conditional.notModified++;
+    }
+
+    /**
+     * Counters for the diagnostics endpoint
+     * @returns {Object} {dataset, versionCheckedAt, results, queries, conditional}
+     */
+    stats() {
+        const rate = (hits, total) => (total > 0 ? hits / total : null);
+        const queries = {};
+        this.namespaces.forEach(({ hits, misses }, namespace) => {
+            queries[namespace] = { hits, misses, hitRate: rate(hits, hits + misses) };
+        });
+
+        return {
+            dataset: this.dataset && {
+                version: this.dataset.version,
+                lastModified: this.dataset.lastModified ? this.dataset.lastModified.toISOString() : null
+            },
+            versionCheckedAt: this.checkedAt ? new Date(this.checkedAt).toISOString() : null,
+            results: { ...this.results.stats(), invalidations: this.invalidations },
+            queries,
+            conditional: {
+                ...this.conditional,
+                notModifiedRate: rate(this.conditional.notModified, this.conditional.requests)
+            }
+        };
+    }
+
+    /**
+     * Read summary_state and turn it into a version tag
+     * @private
+     */
+    async _readVersion() {
+        const state = await get(this.db, 'SELECT max_sgrna_id, score_count, refreshed_at FROM summary_state WHERE id = 1');
+        const stamp = state ? `${state.max_sgrna_id}:${state.score_count}:${state.refreshed_at}` : 'empty';
+        const dataset = {
+            version: crypto.createHash('sha1').update(stamp).digest('hex').slice(0, 16),
+            lastModified: state ? new Date(`${state.refreshed_at.replace(' ', 'T')}Z`) : null
+        };
+
+        if (this.dataset && this.dataset.version !== dataset.version) {
+            this.results.clear();
+            this.invalidations++;
+        }
+        this.dataset = dataset;
+        this.checkedAt = Date.now();
+        return dataset;
+    }
+}
+
+module.exports = {
+    stableStringify,
+    QueryCache
+};
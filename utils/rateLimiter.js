@@ -0,0 +1,51 @@
+/**
+ * Fixed-window request counter per client (API key or address)
+ * Windows start with a client's first request; counters of finished windows are dropped on the next sweep.
+ */
+
+class RateLimiter {
+    /**
+     * @param {number} windowMs - Window length (default one minute)
+     */
+    constructor(windowMs = 60000) {
+        this.windowMs = windowMs;
+        this.windows = new Map();
+        this.lastSweep = Date.now();
+    }
+
+    /**
+     * Count one request of a client
+     * @param {string} client - Client id
+     * @param {number} limit - Requests allowed per window
+     * @returns {Object} {allowed, limit, remaining, resetMs: time until the window ends}
+     */
+    hit(client, limit) {
+        const now = Date.now();
+        if (now - this.lastSweep > this.windowMs) this.sweep(now);
+
+        let window = this.windows.get(client);
+        if (!window || now >= window.resetAt) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(client, window);
+        }
+        window.count++;
+
+        return {
+            allowed: window.count <= limit,
+            limit,
+            remaining: Math.max(0, limit - window.count),
+            resetMs: window.resetAt - now
+        };
+    }
+
+    sweep(now = Date.now()) {
+        this.windows.forEach((window, client) => {
+            if (now >= window.resetAt) this.windows.delete(client);
+        });
+        this.lastSweep = now;
+    }
+}
+
+module.exports = {
+    RateLimiter
+};
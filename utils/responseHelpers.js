@@ -3,6 +3,11 @@
  */
 
 const Gene = require('../model/Gene');
+const { statusOf } = require('./errors');
+const { parseRegion } = require('./genomicRegion');
+const { SequenceIndex } = require('./sequenceIndex');
+const { ENRICHMENT_METHODS, ENRICHMENT_DEFAULTS } = require('./enrichment');
+const { decodeCursor } = require('./keysetCursor');
 
 /**
  * Standard error response for index page
@@ -15,10 +20,10 @@ function renderIndexError(res, req, error, options = {}) {
     };
     
     res.render('index', {
-        ...defaults, ...options, error,
+        ...defaults, sequenceSearch: null, ...options, error,
         searchQuery: req.query.query || '',
-        strand: req.query.strand || '',
-        effect: req.query.effect || ''
+        searchMode: parseSearchMode(req.query),
+        filters: parseFilters(req.query)
     });
 }
 
@@ -27,36 +32,150 @@ function renderIndexError(res, req, error, options = {}) {
  */
 function renderIndexSuccess(res, req, data) {
     res.render('index', {
-        ...data, error: null,
+        sequenceSearch: null, ...data, error: null,
         searchQuery: req.query.query || '',
-        strand: req.query.strand || '',
-        effect: req.query.effect || ''
+        searchMode: parseSearchMode(req.query),
+        filters: parseFilters(req.query)
     });
 }
 
 /**
- * Format database row using Gene model
+ * Search form mode and sequence options echoed back into the index page form
  */
-function formatGeneFromRow(row) {
-    return Gene.fromDbRow({ ...row, id: row.rowid }).toJSON();
+function parseSearchMode(query) {
+    return {
+        mode: query.mode === 'sequence' ? 'sequence' : 'gene',
+        mismatches: String(query.mismatches || '0'),
+        pam: query.pam || ''
+    };
 }
 
 /**
- * Handle database/API errors consistently
+ * Handle database/API errors consistently: typed errors (utils/errors) answer with their status,
+ * message and details, anything else is logged and answered with a 500
  */
 function handleApiError(res, err, message = 'Internal server error') {
-    console.error('Error:', err);
-    return res.status(500).json({ error: message });
+    const status = statusOf(err);
+    if (status === 500) {
+        console.error('Error:', err);
+        removeValidators(res);
+        return res.status(500).json({ error: message });
+    }
+    return res.status(status).json({ error: err.message, ...err.details });
+}
+
+/**
+ * Render a page's error state with the status of the error (404 for unknown genes, records, ...)
+ * @param {string} view - Template name
+ * @param {Object} locals - Template variables for the error state, e.g. {gene: null}
+ */
+function renderPageError(res, view, err, locals = {}) {
+    const status = statusOf(err);
+    if (status === 500) {
+        console.error('Error:', err);
+        removeValidators(res);
+    }
+    res.status(status).render(view, { ...locals, error: status === 500 ? 'Database error occurred' : err.message });
+}
+
+/**
+ * Conditional GET middleware for responses that depend only on the loaded dataset.
+ * Sets ETag and Last-Modified from the dataset version and answers 304 when the client's copy
+ * is current, before the route queries the database. Without a readable version the route runs as usual.
+ * @param {Function} cacheOf - Returns the query cache that tracks the version of the request's dataset (utils/queryCache)
+ */
+function conditionalGet(cacheOf) {
+    return async (req, res, next) => {
+        const cache = cacheOf(req);
+        let dataset;
+        try {
+            dataset = await cache.version();
+        } catch (err) {
+            return next();
+        }
+
+        res.set({ 'ETag': `W/"${dataset.version}"`, 'Cache-Control': 'no-cache' });
+        if (dataset.lastModified) res.set('Last-Modified', dataset.lastModified.toUTCString());
+
+        const notModified = req.fresh;
+        cache.recordConditional(notModified);
+        if (notModified) return res.status(304).end();
+        next();
+    };
+}
+
+/**
+ * Drop cache validators set by conditionalGet, so that failed responses are never revalidated
+ */
+function removeValidators(res) {
+    if (res.headersSent) return;
+    res.removeHeader('ETag');
+    res.removeHeader('Last-Modified');
+}
+
+/**
+ * Wrap an async route handler so that rejected promises reach Express error handling
+ */
+function asyncRoute(handler) {
+    return (req, res, next) => handler(req, res, next).catch(next);
 }
 
 /**
- * Validate and parse common query parameters
+ * Parse a list parameter given as a repeated parameter or a comma-separated list
+ */
+function parseList(value) {
+    return [].concat(value ?? [])
+        .flatMap(v => String(v).split(','))
+        .map(v => v.trim())
+        .filter(v => v !== '');
+}
+
+/**
+ * Parse a pasted or uploaded gene list: a JSON array, or text separated by whitespace, commas or semicolons.
+ * Duplicates are dropped, keeping the first occurrence.
+ * @param {Object|string} body - Request body ({genes: [...] | "..."} or plain text)
+ * @returns {Array<string>} Distinct gene identifiers
+ */
+function parseGeneList(body) {
+    const source = typeof body === 'string' ? body : (body && body.genes);
+    const ids = [].concat(source ?? [])
+        .flatMap(value => String(value).split(/[\s,;]+/))
+        .filter(id => id !== '');
+    return [...new Set(ids)];
+}
+
+/**
+ * Parse facet filters from query parameters.
+ * Facets accept a repeated parameter or a comma-separated list (e.g. ?cellline=KBM7,HAP1).
+ */
+function parseFilters(query) {
+    const number = value => {
+        const parsed = parseFloat(value);
+        return isNaN(parsed) ? null : parsed;
+    };
+
+    const filters = { minLog2fc: number(query.minLog2fc), maxLog2fc: number(query.maxLog2fc) };
+    Gene.FILTER_FIELDS.forEach(field => { filters[field] = parseList(query[field]); });
+    return filters;
+}
+
+/**
+ * Check whether any facet filter is set
+ */
+function hasActiveFilters(filters) {
+    return Boolean(filters.region) || filters.minLog2fc !== null || filters.maxLog2fc !== null ||
+        Gene.FILTER_FIELDS.some(field => filters[field].length > 0);
+}
+
+/**
+ * Validate and parse common query parameters.
+ * A search query that looks like a region (e.g. chr17:7.5M-7.7M) becomes a region filter.
  */
 function parseQueryParams(query) {
+    const region = parseRegion(query.query);
     return {
-        searchQuery: query.query || '',
-        strand: query.strand || '',
-        effect: query.effect || '',
+        searchQuery: region ? '' : (query.query || ''),
+        filters: { ...parseFilters(query), region },
         page: parseInt(query.page) || 1,
         limit: Math.min(parseInt(query.limit) || 25, 1000),
         sortBy: query.sortBy || 'rowid',
@@ -65,18 +184,218 @@ function parseQueryParams(query) {
 }
 
 /**
- * Validate sortBy parameter
+ * Parse the keyset cursor of a records request; it must come from a page with the same level and sort order
+ * @param {Object} query - Request query ({cursor})
+ * @param {Object} page - {level, sortBy, sortOrder} of the request
+ * @returns {Object} {after} or {error, hint}; after is undefined without a cursor parameter,
+ *   null for an empty cursor (first page) and the key values to start after otherwise
+ */
+function parseCursor(query, { level, sortBy, sortOrder }) {
+    if (query.cursor === undefined) return { after: undefined };
+    if (query.cursor === '') return { after: null };
+
+    const cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.level !== level || cursor.sortBy !== sortBy || cursor.sortOrder !== sortOrder) {
+        return { error: 'Invalid cursor', hint: 'Pass the nextCursor of a previous page with the same level, sortBy and sortOrder' };
+    }
+    return { after: cursor.after };
+}
+
+/**
+ * Parse the two experiment groups of a differential comparison.
+ * Groups are given as nested filters (e.g. ?a[cellline]=KBM7&b[cellline]=HAP1);
+ * top-level filters apply to both groups unless a group overrides them.
+ * @returns {Object|null} {a, b} filters, or null unless both groups set at least one filter
+ */
+function parseDifferentialGroups(query) {
+    const shared = parseQueryParams(query).filters;
+    const group = value => {
+        const own = parseFilters(value && typeof value === 'object' ? value : {});
+        if (!hasActiveFilters(own)) return null;
+
+        const merged = { ...shared };
+        Object.entries(own).forEach(([field, ownValue]) => {
+            if (ownValue !== null && !(Array.isArray(ownValue) && ownValue.length === 0)) merged[field] = ownValue;
+        });
+        return merged;
+    };
+
+    const a = group(query.a);
+    const b = group(query.b);
+    return a && b ? { a, b } : null;
+}
+
+/**
+ * Parse and validate sgRNA sequence search parameters (seq or query, mismatches, pam)
+ * @returns {Object} {sequence, mismatches, pam} or {error, hint}
+ */
+function parseSequenceSearch(query) {
+    const sequence = String(query.seq || query.query || '').toUpperCase().replace(/\s+/g, '').replace(/U/g, 'T');
+    const mismatches = query.mismatches === undefined || query.mismatches === '' ? 0 : Number(query.mismatches);
+    const pam = String(query.pam || '').toUpperCase().trim();
+
+    if (!Number.isInteger(mismatches) || mismatches < 0 || mismatches > SequenceIndex.MAX_MISMATCHES) {
+        return { error: 'Invalid mismatches', hint: `Use 0-${SequenceIndex.MAX_MISMATCHES} mismatches` };
+    }
+    if (!/^[ACGT]+$/.test(sequence)) {
+        return { error: 'Invalid sequence', hint: 'Use a DNA sequence of A, C, G and T (e.g. seq=GACTCCAGTGGTAATCTACT)' };
+    }
+    const minimumLength = SequenceIndex.minimumQueryLength(mismatches);
+    if (sequence.length < minimumLength || sequence.length > 100) {
+        return { error: 'Invalid sequence length', hint: `Use ${minimumLength}-100 nt for ${mismatches} mismatches` };
+    }
+    if (pam && !/^[ACGTRYSWKMBDHVN]{1,8}$/.test(pam)) {
+        return { error: 'Invalid PAM', hint: 'Use IUPAC nucleotide codes, e.g. pam=NGG' };
+    }
+    return { sequence, mismatches, pam };
+}
+
+/**
+ * Parse and validate gene set enrichment parameters; the selection is experimentId or the facet filters
+ * @returns {Object} {filters, experimentId, collection, method, direction, minSize, maxSize, fdr, permutations} or {error, hint}
+ */
+function parseEnrichmentOptions(query) {
+    const number = (value, fallback) => (value === undefined || value === '' ? fallback : Number(value));
+    const method = String(query.method || ENRICHMENT_DEFAULTS.method).toLowerCase();
+    const direction = String(query.direction || ENRICHMENT_DEFAULTS.direction).toLowerCase();
+    const minSize = number(query.minSize, ENRICHMENT_DEFAULTS.minSize);
+    const maxSize = number(query.maxSize, ENRICHMENT_DEFAULTS.maxSize);
+    const fdr = number(query.fdr, ENRICHMENT_DEFAULTS.fdr);
+    const permutations = number(query.permutations, ENRICHMENT_DEFAULTS.permutations);
+    const experimentId = number(query.experimentId, null);
+
+    if (!ENRICHMENT_METHODS.includes(method)) {
+        return { error: 'Invalid method', hint: `Use one of: ${ENRICHMENT_METHODS.join(', ')}` };
+    }
+    if (!['depleted', 'enriched'].includes(direction)) {
+        return { error: 'Invalid direction', hint: 'Use direction=depleted or direction=enriched' };
+    }
+    if (!Number.isInteger(minSize) || !Number.isInteger(maxSize) || minSize < 1 || maxSize < minSize) {
+        return { error: 'Invalid set size range', hint: 'Use integers with 1 <= minSize <= maxSize' };
+    }
+    if (!(fdr > 0 && fdr <= 1)) {
+        return { error: 'Invalid fdr', hint: 'Use an FDR threshold in (0, 1]' };
+    }
+    if (!Number.isInteger(permutations) || permutations < 100 || permutations > 10000) {
+        return { error: 'Invalid permutations', hint: 'Use 100-10000 permutations' };
+    }
+    if (experimentId !== null && !(Number.isInteger(experimentId) && experimentId > 0)) {
+        return { error: 'Invalid experimentId', hint: 'Use a positive integer experiment id' };
+    }
+
+    return {
+        filters: parseFilters(query),
+        experimentId,
+        collection: query.collection ? String(query.collection) : null,
+        method, direction, minSize, maxSize, fdr, permutations
+    };
+}
+
+/**
+ * Parse the genes and sgRNAs of a list request body ({genes, sgrnas}); genes are read like parseGeneList
+ * @param {Object} body - Request body
+ * @returns {Object} {genes, sgrnas} or {error, hint}
+ */
+function parseListItems(body) {
+    const genes = parseGeneList(body);
+    const sgrnas = [...new Set(parseGeneList(body && body.sgrnas !== undefined ? { genes: body.sgrnas } : null).map(Number))];
+
+    if (sgrnas.some(id => !(Number.isInteger(id) && id > 0))) {
+        return { error: 'Invalid sgRNA ids', hint: 'Pass sgRNA record ids as numbers, e.g. {"sgrnas": [101, 102]}' };
+    }
+    return { genes, sgrnas };
+}
+
+/**
+ * Parse and validate text fields of a request body: trimmed strings, empty ones as null
+ * @param {Object} body - Request body
+ * @param {Object} fields - {name: {required, max}} per field
+ * @param {Object} options - {partial: only check the fields that are present (for PATCH)}
+ * @returns {Object} The present fields, or {error, hint}
+ */
+function parseTextFields(body, fields, options = {}) {
+    const { partial = false } = options;
+    const source = body && typeof body === 'object' ? body : {};
+    const parsed = {};
+
+    for (const [name, { required = false, max }] of Object.entries(fields)) {
+        if (source[name] === undefined) {
+            if (required && !partial) return { error: `Missing ${name}`, hint: `Send a JSON body with ${name}` };
+            continue;
+        }
+        if (source[name] !== null && typeof source[name] !== 'string') {
+            return { error: `Invalid ${name}`, hint: `${name} must be a string` };
+        }
+        const value = (source[name] || '').trim() || null;
+        if (required && value === null) return { error: `Missing ${name}`, hint: `${name} must not be empty` };
+        if (value !== null && value.length > max) return { error: `Invalid ${name}`, hint: `${name} may have at most ${max} characters` };
+        parsed[name] = value;
+    }
+
+    if (Object.keys(parsed).length === 0) {
+        return { error: 'Nothing to change', hint: `Send at least one of: ${Object.keys(fields).join(', ')}` };
+    }
+    return parsed;
+}
+
+/**
+ * Flatten a differential result into an export row (EXPORT_COLUMNS.differential)
+ */
+function formatDifferentialRow(result) {
+    return {
+        symbol: result.symbol,
+        count_a: result.countA,
+        count_b: result.countB,
+        mean_a: result.meanA,
+        mean_b: result.meanB,
+        difference: result.difference,
+        median_difference: result.medianDifference,
+        welch_t: result.welch.t,
+        welch_df: result.welch.df,
+        welch_p: result.welch.pValue,
+        welch_fdr: result.welch.fdr,
+        mann_whitney_u: result.mannWhitney.u,
+        mann_whitney_p: result.mannWhitney.pValue,
+        mann_whitney_fdr: result.mannWhitney.fdr
+    };
+}
+
+/**
+ * Flatten the genes and sgRNAs of a saved list into export rows (EXPORT_COLUMNS.list)
+ * @param {Object} list - List with items (ListRepository.get)
+ * @returns {Array<Object>}
  */
-function validateSortBy(sortBy) {
-    const allowedFields = ['rowid', 'chr', 'start', 'end', 'strand', 'symbol', 'ensg', 'log2fc', 'effect', 'cellline'];
-    return allowedFields.includes(sortBy);
+function formatListRows(list) {
+    return [
+        ...list.items.genes.map(gene => ({
+            type: 'gene', symbol: gene.symbol, ensg: gene.ensg, chr: gene.chr, added_at: gene.addedAt
+        })),
+        ...list.items.sgrnas.map(sgRNA => ({
+            type: 'sgrna', symbol: sgRNA.symbol, ensg: sgRNA.ensg, sgrna_id: sgRNA.id, cellline: sgRNA.cellline,
+            chr: sgRNA.chr, start: sgRNA.start, end: sgRNA.end, strand: sgRNA.strand, sequence: sgRNA.sequence,
+            log2fc: sgRNA.log2fc, added_at: sgRNA.addedAt
+        }))
+    ];
 }
 
 module.exports = {
     renderIndexError,
     renderIndexSuccess,
-    formatGeneFromRow,
     handleApiError,
+    renderPageError,
+    asyncRoute,
+    conditionalGet,
+    parseList,
+    parseGeneList,
+    parseFilters,
+    hasActiveFilters,
     parseQueryParams,
-    validateSortBy
+    parseCursor,
+    parseDifferentialGroups,
+    parseSequenceSearch,
+    parseEnrichmentOptions,
+    parseListItems,
+    parseTextFields,
+    formatDifferentialRow,
+    formatListRows
 };
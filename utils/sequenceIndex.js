@@ -0,0 +1,237 @@
+/**
+ * In-memory k-mer index over the distinct sgRNA sequences for mismatch-tolerant search
+ *
+ * Seeding uses the pigeonhole principle: a query with at most m mismatches splits into m + 1
+ * segments of which at least one matches exactly, so every exact k-mer inside a segment is a
+ * valid seed. The rarest k-mer of each segment is looked up and the candidates are verified
+ * by Hamming distance (substitutions only, no gaps).
+ */
+
+const KMER_LENGTH = 4;
+const MAX_MISMATCHES = 3;
+
+const BASE_CODES = { A: 0, C: 1, G: 2, T: 3 };
+const COMPLEMENT = { A: 'T', C: 'G', G: 'C', T: 'A', N: 'N' };
+
+// IUPAC nucleotide codes accepted in PAM patterns
+const IUPAC = {
+    A: 'A', C: 'C', G: 'G', T: 'T',
+    R: 'AG', Y: 'CT', S: 'CG', W: 'AT', K: 'GT', M: 'AC',
+    B: 'CGT', D: 'AGT', H: 'ACT', V: 'ACG', N: 'ACGT'
+};
+
+/**
+ * Reverse complement of a DNA sequence
+ * @param {string} sequence - Uppercase sequence
+ * @returns {string} Reverse complement (unknown bases become N)
+ */
+function reverseComplement(sequence) {
+    let result = '';
+    for (let i = sequence.length - 1; i >= 0; i--) result += COMPLEMENT[sequence[i]] || 'N';
+    return result;
+}
+
+/**
+ * Check a site against an IUPAC pattern of the same length
+ * @param {string} site - Uppercase sequence
+ * @param {string} pattern - IUPAC pattern (e.g. NGG)
+ * @returns {boolean} True when every base is allowed by the pattern
+ */
+function matchesPattern(site, pattern) {
+    if (site.length !== pattern.length) return false;
+    for (let i = 0; i < pattern.length; i++) {
+        if (!IUPAC[pattern[i]] || !IUPAC[pattern[i]].includes(site[i])) return false;
+    }
+    return true;
+}
+
+/**
+ * 2-bit code of the k-mer starting at a position, or -1 if it contains a non-ACGT base
+ * @private
+ */
+function kmerCode(sequence, start) {
+    let code = 0;
+    for (let i = start; i < start + KMER_LENGTH; i++) {
+        const base = BASE_CODES[sequence[i]];
+        if (base === undefined) return -1;
+        code = (code << 2) | base;
+    }
+    return code;
+}
+
+function hammingWithin(pattern, sequence, start, limit) {
+    let mismatches = 0;
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] !== sequence[start + i] && ++mismatches > limit) return mismatches;
+    }
+    return mismatches;
+}
+
+class SequenceIndex {
+    /**
+     * @param {Map<string, Array<number>>} idsBySequence - sgRNA ids per distinct uppercase sequence
+     */
+    constructor(idsBySequence) {
+        this.sequences = Array.from(idsBySequence.keys());
+        this.ids = this.sequences.map(sequence => idsBySequence.get(sequence));
+        this.maxLength = this.sequences.reduce((max, sequence) => Math.max(max, sequence.length), 0);
+        this._buildPostings();
+    }
+
+    /**
+     * Number of distinct sequences in the index
+     * @returns {number} Sequence count
+     */
+    get size() {
+        return this.sequences.length;
+    }
+
+    /**
+     * Minimum query length that guarantees finding every match with the given mismatches
+     * @param {number} mismatches - Allowed mismatches
+     * @returns {number} Query length
+     */
+    static minimumQueryLength(mismatches) {
+        return KMER_LENGTH * (mismatches + 1);
+    }
+
+    /**
+     * Load all sgRNA sequences from the database into a new index
+     * @param {Object} db - Database connection
+     * @param {Function} callback - Callback receiving the SequenceIndex
+     */
+    static load(db, callback) {
+        const idsBySequence = new Map();
+        db.each('SELECT sgrna_id, sequence FROM sgrnas WHERE sequence IS NOT NULL', (err, row) => {
+            if (err) return;
+            const sequence = row.sequence.toUpperCase();
+            if (!idsBySequence.has(sequence)) idsBySequence.set(sequence, []);
+            idsBySequence.get(sequence).push(row.sgrna_id);
+        }, (err) => {
+            if (err) return callback(err, null);
+            callback(null, new SequenceIndex(idsBySequence));
+        });
+    }
+
+    /**
+     * Build postings (sequence index, position) per k-mer code in two passes into typed arrays
+     * @private
+     */
+    _buildPostings() {
+        const codeCount = 1 << (2 * KMER_LENGTH);
+        const counts = new Uint32Array(codeCount + 1);
+
+        this.sequences.forEach(sequence => {
+            for (let pos = 0; pos + KMER_LENGTH <= sequence.length; pos++) {
+                const code = kmerCode(sequence, pos);
+                if (code >= 0) counts[code + 1]++;
+            }
+        });
+        for (let code = 0; code < codeCount; code++) counts[code + 1] += counts[code];
+
+        this.offsets = counts.slice();
+        this.postingSequences = new Uint32Array(counts[codeCount]);
+        this.postingPositions = new Uint16Array(counts[codeCount]);
+
+        const next = counts.slice(0, codeCount);
+        this.sequences.forEach((sequence, index) => {
+            for (let pos = 0; pos + KMER_LENGTH <= sequence.length; pos++) {
+                const code = kmerCode(sequence, pos);
+                if (code < 0) continue;
+                this.postingSequences[next[code]] = index;
+                this.postingPositions[next[code]] = pos;
+                next[code]++;
+            }
+        });
+    }
+
+    /**
+     * Find stored sequences containing the query (or its reverse complement) with at most `mismatches` substitutions
+     * @param {string} query - Uppercase ACGT query of at least minimumQueryLength(mismatches)
+     * @param {Object} options - {mismatches, pam}; with a PAM the bases following the match (in query orientation) must match it.
+     *   The PAM is read from the stored sequence, so matches whose sequence ends before the PAM cannot be checked.
+     * @returns {Object} {hits: [{sequence, sgrnaIds, strand, offset, mismatches, pam}], pamUnchecked: number of
+     *   matching sequences left out because they do not extend over the PAM}
+     */
+    search(query, options = {}) {
+        const { mismatches = 0, pam = '' } = options;
+        const hits = [];
+        const seen = new Set();
+        const matched = new Set();
+        const unchecked = new Set();
+
+        [{ strand: '+', pattern: query }, { strand: '-', pattern: reverseComplement(query) }].forEach(({ strand, pattern }) => {
+            this._seeds(pattern, mismatches).forEach(seed => {
+                for (let p = this.offsets[seed.code]; p < this.offsets[seed.code + 1]; p++) {
+                    const index = this.postingSequences[p];
+                    const sequence = this.sequences[index];
+                    const start = this.postingPositions[p] - seed.offset;
+                    if (start < 0 || start + pattern.length > sequence.length) continue;
+
+                    const key = `${index}:${start}:${strand}`;
+                    if (seen.has(key)) continue;
+                    seen.add(key);
+
+                    const distance = hammingWithin(pattern, sequence, start, mismatches);
+                    if (distance > mismatches) continue;
+
+                    const site = pam ? this._pamSite(sequence, start, pattern.length, pam.length, strand) : null;
+                    if (pam && site === null) unchecked.add(index);
+                    if (pam && (site === null || !matchesPattern(site, pam))) continue;
+
+                    hits.push({ sequence, sgrnaIds: this.ids[index], strand, offset: start, mismatches: distance, pam: site });
+                    matched.add(index);
+                }
+            });
+        });
+
+        // A sequence with a checked PAM site elsewhere (e.g. on the other strand) is a hit, not unchecked
+        matched.forEach(index => unchecked.delete(index));
+        return { hits, pamUnchecked: unchecked.size };
+    }
+
+    /**
+     * Rarest k-mer of each of the mismatches + 1 pigeonhole segments
+     * @private
+     */
+    _seeds(pattern, mismatches) {
+        const segmentCount = mismatches + 1;
+        const segmentLength = Math.floor(pattern.length / segmentCount);
+        const seeds = [];
+
+        for (let segment = 0; segment < segmentCount; segment++) {
+            const from = segment * segmentLength;
+            const to = segment === segmentCount - 1 ? pattern.length : from + segmentLength;
+            let best = null;
+            for (let offset = from; offset + KMER_LENGTH <= to; offset++) {
+                const code = kmerCode(pattern, offset);
+                if (code < 0) continue;
+                const count = this.offsets[code + 1] - this.offsets[code];
+                if (!best || count < best.count) best = { code, offset, count };
+            }
+            if (best) seeds.push(best);
+        }
+        return seeds;
+    }
+
+    /**
+     * PAM site next to a match, read in query orientation; null when it runs past the stored sequence
+     * @private
+     */
+    _pamSite(sequence, start, length, pamLength, strand) {
+        if (strand === '+') {
+            const end = start + length + pamLength;
+            return end <= sequence.length ? sequence.slice(start + length, end) : null;
+        }
+        return start >= pamLength ? reverseComplement(sequence.slice(start - pamLength, start)) : null;
+    }
+}
+
+SequenceIndex.KMER_LENGTH = KMER_LENGTH;
+SequenceIndex.MAX_MISMATCHES = MAX_MISMATCHES;
+
+module.exports = {
+    SequenceIndex,
+    reverseComplement,
+    matchesPattern
+};
@@ -0,0 +1,271 @@
+/**
+ * Statistical helpers for screen analysis
+ */
+
+/**
+ * Median of a numeric array
+ * @param {Array<number>} values - Values (not modified)
+ * @returns {number|null} Median, or null for an empty array
+ */
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Arithmetic mean of a numeric array
+ * @param {Array<number>} values - Values
+ * @returns {number|null} Mean, or null for an empty array
+ */
+function mean(values) {
+    if (values.length === 0) return null;
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Sample variance (n - 1 denominator)
+ * @param {Array<number>} values - Values
+ * @param {number} [center] - Precomputed mean
+ * @returns {number|null} Variance, or null for fewer than two values
+ */
+function variance(values, center = mean(values)) {
+    if (values.length < 2) return null;
+    return values.reduce((sum, value) => sum + (value - center) ** 2, 0) / (values.length - 1);
+}
+
+/**
+ * Median absolute deviation scaled to be consistent with the standard deviation of a normal distribution
+ * @param {Array<number>} values - Values
+ * @param {number} [center] - Precomputed median
+ * @returns {number|null} Scaled MAD
+ */
+function scaledMad(values, center = median(values)) {
+    if (values.length === 0) return null;
+    return 1.4826 * median(values.map(value => Math.abs(value - center)));
+}
+
+/**
+ * P(U_(k) <= x) for the k-th smallest of n uniform order statistics,
+ * i.e. the upper tail of Binomial(n, x) from k
+ * @private
+ */
+function orderStatisticCdf(x, k, n) {
+    let probability = 0;
+    let coefficient = 1; // C(n, j), built incrementally
+    for (let j = 0; j <= n; j++) {
+        if (j > 0) coefficient = coefficient * (n - j + 1) / j;
+        if (j >= k) probability += coefficient * Math.pow(x, j) * Math.pow(1 - x, n - j);
+    }
+    return Math.min(1, probability);
+}
+
+/**
+ * Robust rank aggregation score (Kolde et al. 2012) for a set of normalized ranks
+ * @param {Array<number>} normalizedRanks - Ranks divided by the number of ranked items, in (0, 1]
+ * @returns {Object} {score, pValue} where pValue is the Bonferroni-corrected rho score
+ */
+function rankAggregation(normalizedRanks) {
+    const n = normalizedRanks.length;
+    if (n === 0) return { score: null, pValue: null };
+
+    const sorted = [...normalizedRanks].sort((a, b) => a - b);
+    const score = Math.min(...sorted.map((rank, i) => orderStatisticCdf(rank, i + 1, n)));
+    return { score, pValue: Math.min(1, score * n) };
+}
+
+/**
+ * Natural log of the gamma function (Lanczos approximation)
+ * @private
+ */
+function logGamma(x) {
+    const coefficients = [
+        76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5
+    ];
+    let y = x;
+    const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+    let series = 1.000000000190015;
+    coefficients.forEach(c => { series += c / ++y; });
+    return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Continued fraction for the incomplete beta function (modified Lentz)
+ * @private
+ */
+function betaContinuedFraction(x, a, b) {
+    const tiny = 1e-30;
+    let c = 1;
+    let d = 1 - (a + b) * x / (a + 1);
+    if (Math.abs(d) < tiny) d = tiny;
+    d = 1 / d;
+    let result = d;
+
+    for (let m = 1; m <= 200; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        result *= d * c;
+
+        aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+        d = 1 + aa * d;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = 1 + aa / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        result *= delta;
+        if (Math.abs(delta - 1) < 3e-12) break;
+    }
+    return result;
+}
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @private
+ */
+function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    return x < (a + 1) / (a + b + 2)
+        ? front * betaContinuedFraction(x, a, b) / a
+        : 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+}
+
+/**
+ * Two-sided p-value of a standard normal statistic
+ * (complementary error function, fractional error below 1.2e-7)
+ * @private
+ */
+function normalTwoSided(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.5 * x);
+    const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 +
+        t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 +
+        t * (-0.82215223 + t * 0.17087277)))))))));
+    return Math.min(1, erfc);
+}
+
+/**
+ * Welch's unequal-variance t-test
+ * @param {Array<number>} a - First sample
+ * @param {Array<number>} b - Second sample
+ * @returns {Object} {t, df, pValue} (nulls when either sample has fewer than two values or both have no variance)
+ */
+function welchTTest(a, b) {
+    const meanA = mean(a);
+    const meanB = mean(b);
+    const varA = variance(a, meanA);
+    const varB = variance(b, meanB);
+    if (varA === null || varB === null) return { t: null, df: null, pValue: null };
+
+    const seA = varA / a.length;
+    const seB = varB / b.length;
+    if (seA + seB === 0) return { t: null, df: null, pValue: null };
+
+    const t = (meanB - meanA) / Math.sqrt(seA + seB);
+    const df = (seA + seB) ** 2 / (seA ** 2 / (a.length - 1) + seB ** 2 / (b.length - 1));
+    return { t, df, pValue: incompleteBeta(df / (df + t * t), df / 2, 0.5) };
+}
+
+/**
+ * Mann-Whitney U test, normal approximation with tie and continuity correction
+ * @param {Array<number>} a - First sample
+ * @param {Array<number>} b - Second sample
+ * @returns {Object} {u, pValue} where u is the statistic of the first sample
+ */
+function mannWhitneyU(a, b) {
+    const n1 = a.length;
+    const n2 = b.length;
+    if (n1 === 0 || n2 === 0) return { u: null, pValue: null };
+
+    const pooled = [...a.map(value => ({ value, first: true })), ...b.map(value => ({ value, first: false }))]
+        .sort((x, y) => x.value - y.value);
+
+    let rankSumA = 0;
+    let tieTerm = 0;
+    for (let i = 0; i < pooled.length;) {
+        let j = i;
+        while (j + 1 < pooled.length && pooled[j + 1].value === pooled[i].value) j++;
+        const rank = (i + j + 2) / 2;
+        const ties = j - i + 1;
+        for (let k = i; k <= j; k++) if (pooled[k].first) rankSumA += rank;
+        tieTerm += ties ** 3 - ties;
+        i = j + 1;
+    }
+
+    const n = n1 + n2;
+    const u = rankSumA - n1 * (n1 + 1) / 2;
+    const sd = Math.sqrt(n1 * n2 / 12 * ((n + 1) - tieTerm / (n * (n - 1))));
+    if (!(sd > 0)) return { u, pValue: null };
+
+    const z = Math.max(0, Math.abs(u - n1 * n2 / 2) - 0.5) / sd;
+    return { u, pValue: normalTwoSided(z) };
+}
+
+function logChoose(n, k) {
+    return logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+}
+
+/**
+ * Upper tail of the hypergeometric distribution, P(X >= x), for over-representation tests
+ * @param {number} x - Observed overlap (hits in the set)
+ * @param {number} total - Population size
+ * @param {number} successes - Population members with the property (set size)
+ * @param {number} draws - Sample size (number of hits)
+ * @returns {number} One-sided p-value
+ */
+function hypergeometricUpper(x, total, successes, draws) {
+    const support = Math.max(0, draws - (total - successes));
+    const high = Math.min(successes, draws);
+    if (x <= support) return 1;
+    if (x > high) return 0;
+
+    const denominator = logChoose(total, draws);
+    let p = 0;
+    for (let k = x; k <= high; k++) {
+        p += Math.exp(logChoose(successes, k) + logChoose(total - successes, draws - k) - denominator);
+    }
+    return Math.min(1, p);
+}
+
+/**
+ * Benjamini-Hochberg adjusted p-values
+ * @param {Array<number|null>} pValues - P-values (nulls are passed through)
+ * @returns {Array<number|null>} Adjusted values in the input order
+ */
+function benjaminiHochberg(pValues) {
+    const indexed = pValues
+        .map((p, index) => ({ p, index }))
+        .filter(item => item.p !== null && !isNaN(item.p))
+        .sort((a, b) => b.p - a.p);
+
+    const adjusted = pValues.map(() => null);
+    const m = indexed.length;
+    let running = 1;
+    indexed.forEach((item, i) => {
+        const rank = m - i;
+        running = Math.min(running, item.p * m / rank);
+        adjusted[item.index] = running;
+    });
+    return adjusted;
+}
+
+module.exports = {
+    mean,
+    variance,
+    median,
+    scaledMad,
+    rankAggregation,
+    welchTTest,
+    mannWhitneyU,
+    hypergeometricUpper,
+    benjaminiHochberg
+};
@@ -0,0 +1,66 @@
+/**
+ * Materialized summary tables (per gene, gene x cell line, chromosome, cell line and effect)
+ *
+ * Gene search and /api/stats read these instead of aggregating the sgRNA join on every request.
+ * summary_state records the data version (highest sgRNA id, number of gene scores) they were built from,
+ * so a server started on a database changed by another tool rebuilds them before serving.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { all, exec } = require('./dbAsync');
+
+const REFRESH_SQL_PATH = path.join(__dirname, '..', 'sql', 'summary_tables.sql');
+
+/**
+ * Rebuild every summary table in one transaction
+ * @param {Object} db - Database connection
+ * @returns {Promise<Object>} {genes, cellLines} summarized
+ */
+async function refreshSummaryTables(db) {
+    try {
+        await exec(db, 'BEGIN');
+        await exec(db, fs.readFileSync(REFRESH_SQL_PATH, 'utf8'));
+        await exec(db, 'COMMIT');
+    } catch (err) {
+        await exec(db, 'ROLLBACK').catch(() => {});
+        throw err;
+    }
+
+    const [counts] = await all(db, `
+        SELECT (SELECT COUNT(*) FROM gene_summary) as genes, (SELECT COUNT(*) FROM cellline_summary) as cellLines
+    `);
+    return counts;
+}
+
+/**
+ * Whether the data changed since the summaries were last built (or they never were)
+ * @param {Object} db - Database connection
+ * @returns {Promise<boolean>}
+ */
+async function summariesAreStale(db) {
+    const [state] = await all(db, `
+        SELECT st.max_sgrna_id, st.score_count,
+               (SELECT MAX(sgrna_id) FROM sgrnas) as current_max_sgrna_id,
+               (SELECT COUNT(*) FROM gene_scores) as current_score_count
+        FROM (SELECT 1) LEFT JOIN summary_state st ON st.id = 1
+    `);
+    return state.score_count === null ||
+        state.max_sgrna_id !== state.current_max_sgrna_id ||
+        state.score_count !== state.current_score_count;
+}
+
+/**
+ * Rebuild the summary tables when they are stale (the schema must be current, see utils/migrations.js)
+ * @param {Object} db - Database connection
+ * @returns {Promise<Object|null>} Refresh result, or null when the summaries were current
+ */
+async function ensureSummaryTables(db) {
+    return (await summariesAreStale(db)) ? refreshSummaryTables(db) : null;
+}
+
+module.exports = {
+    refreshSummaryTables,
+    summariesAreStale,
+    ensureSummaryTables
+};